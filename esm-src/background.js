@@ -0,0 +1,60 @@
+/**
+ * Video Blocker Extension - Background Service Worker
+ * Fetches poster images and tweet photos for the content script from the
+ * extension context, so they can be hashed without tainting the page canvas.
+ *
+ * Kept free of imports: shared modules would be split into a chunk the
+ * (non-module) content script cannot load.
+ */
+
+const MESSAGE_TYPES = {
+	FETCH_IMAGE: "vb_fetch_image",
+};
+
+// Only Twitter/X media hosts are fetched (see host_permissions)
+const ALLOWED_HOSTS = ["pbs.twimg.com"];
+
+const MAX_IMAGE_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Fetch an image and encode it as a data URL
+ * @param {string} url - Poster or photo URL
+ * @returns {Promise<string>} - data: URL
+ */
+async function fetchImageAsDataUrl(url) {
+	const parsed = new URL(url);
+	if (parsed.protocol !== "https:" || !ALLOWED_HOSTS.includes(parsed.hostname)) {
+		throw new Error(`Image host not allowed: ${parsed.hostname}`);
+	}
+
+	const response = await fetch(parsed.href, { credentials: "omit" });
+	if (!response.ok) {
+		throw new Error(`Image request failed: ${response.status}`);
+	}
+
+	const blob = await response.blob();
+	if (!blob.type.startsWith("image/") || blob.size > MAX_IMAGE_BYTES) {
+		throw new Error("Response is not a supported image");
+	}
+
+	const bytes = new Uint8Array(await blob.arrayBuffer());
+	let binary = "";
+	for (let i = 0; i < bytes.length; i += 0x8000) {
+		binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+	}
+
+	return `data:${blob.type};base64,${btoa(binary)}`;
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+	if (!message || message.type !== MESSAGE_TYPES.FETCH_IMAGE) {
+		return false;
+	}
+
+	fetchImageAsDataUrl(message.url)
+		.then((dataUrl) => sendResponse({ ok: true, dataUrl }))
+		.catch((error) => sendResponse({ ok: false, error: error.message }));
+
+	// Keep the channel open for the async response
+	return true;
+});
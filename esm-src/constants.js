@@ -5,30 +5,126 @@
 // Storage configuration
 export const STORAGE = {
   KEY: 'vb_blocked_hashes_v1',
+  ENTRY_VERSION: '2.0',          // Entry format: hex-packed hashes
   LOG_LEVEL_KEY: 'vb_log_level',
-  SETTINGS_KEY: 'vb_settings'
+  SETTINGS_KEY: 'vb_settings',
+  ALLOWLIST_KEY: 'vb_allowlist_v1'
 };
 
 // Video processing configuration
 export const VIDEO_PROCESSING = {
   FRAMES_TO_CAPTURE: 3,           // Number of frames to sample for fingerprinting
   FRAME_DELAY_MS: 120,           // Delay between frame captures
-  CANVAS_SIZE: 32,               // Canvas size for image processing (32x32)
-  DCT_BLOCK_SIZE: 8,             // DCT block size for hash computation
-  AUTO_SCAN_FRAMES: 2            // Reduced frames for auto-scanning
+  CANVAS_SIZE: 32,               // Canvas size for image processing (32x32, standard geometry)
+  DCT_BLOCK_SIZE: 8,             // DCT block size for hash computation (standard geometry)
+  AUTO_SCAN_FRAMES: 2,           // Reduced frames for auto-scanning
+  SEQUENCE_INTERVAL_S: 1,        // Seconds between frames of a full-duration sequence
+  SEQUENCE_MAX_FRAMES: 60,       // Maximum frames sampled across a video's duration
+  SEEK_TIMEOUT_MS: 1000,         // Maximum wait for a single seek while sampling
+  BORDER_DETECT_SIZE: 128,       // Analysis size for letterbox/pillarbox detection
+  BORDER_UNIFORM_STDDEV: 6,      // Rows/columns flatter than this are solid bars
+  BORDER_ACTIVITY_RATIO: 0.2,    // Rows/columns with less detail than this share of the picture's are blurred fill
+  BORDER_MIN_CROP: 0.02,         // Ignore bars thinner than this fraction of the frame
+  BORDER_MIN_ACTIVE: 0.4,        // Never crop the picture below this fraction of the frame
+  NORMALIZE_PERCENTILE: 0.01,    // Share of darkest/brightest pixels ignored when measuring contrast
+  NORMALIZE_MIN_RANGE: 8,        // Frames spanning fewer gray levels are blank and flattened
+  NORMALIZE_TARGET_RANGE: 96,    // Frames spanning fewer gray levels are contrast-stretched before hashing
+  KEYFRAMES: 3,                  // Keyframes taken from distinct scenes (replaces the frame burst)
+  SCENE_MIN_DURATION_S: 4,       // Shorter videos are sampled with a frame burst instead of keyframes
+  SCENE_PROBES: 16,              // Low-res probes spread over the video to find shot boundaries
+  SCENE_PROBE_SIZE: 16,          // Probe size (16x16 grayscale)
+  SCENE_CHANGE_THRESHOLD: 0.12,  // Mean absolute probe difference (0-1) that marks a shot boundary
+  SCENE_MIN_STDDEV: 6,           // Probes flatter than this (black, fades) are never picked as keyframes
+  PASSIVE_FRAMES: 6,             // Recent frames kept per playing video, captured as it plays
+  PASSIVE_INTERVAL_MS: 250       // Minimum playback wall time between passively captured frames
 };
 
 // Hash comparison configuration
 // Using let instead of const to allow runtime modification of threshold
 export let HASH_CONFIG = {
   HAMMING_THRESHOLD: 12,         // Maximum Hamming distance for match (modified by sensitivity setting)
-  MIN_ONES_ZEROS: 4             // Minimum ones/zeros to avoid trivial hashes
+  ALGORITHM: 'phash',            // Fingerprint algorithm for new entries (modified by hashAlgorithm setting)
+  GEOMETRY: 'standard',          // Hash geometry for new entries (modified by hashGeometry setting)
+  REFERENCE_BITS: 64,            // Hash length HAMMING_THRESHOLD is tuned for; longer hashes scale it
+  MIN_ONES_ZEROS: 4,            // Minimum ones/zeros to avoid trivial hashes (when no signal is available)
+  MIN_SIGNAL_ENTROPY: 0.05,      // Minimum normalized luminance entropy for a frame to be hashable
+  FLIP_INVARIANT: false,         // Also match horizontally mirrored videos (modified by flipInvariant setting)
+  COLOR_CHECK: true,             // Compare color signatures to reject recolored lookalikes (modified by colorCheck setting)
+  COLOR_MAX_DISTANCE: 0.5,       // Maximum color signature distance for a visual match
+  MATCH_POLICY: 'either',        // Policy for new entries: visual, audio, either or both (modified by matchPolicy setting)
+  BLOCK_ACTION: 'hide',          // Action for entries without their own (modified by blockAction setting)
+  PLACEHOLDER_CARD: false,       // Leave a card explaining the match where hidden tweets were (modified by placeholderCard setting)
+  SEQUENCE_MATCH_RATIO: 0.6,     // Fraction of aligned frames that must match for a temporal match
+  DURATION_TOLERANCE: 0.1,       // Relative duration difference allowed before hashes are compared (null disables)
+  DURATION_TOLERANCE_S: 1,       // Absolute duration difference always allowed, for short videos
+  ASPECT_RATIO_TOLERANCE: 0.08,  // Allowed |ln(ratio1 / ratio2)| between picture aspect ratios (null disables)
+  REGION_MATCH_MIN: 3,           // Sub-regions that must match when the full frame doesn't
+  REGION_MIN_ENTROPY: 0.5,       // Region hashes with less bit entropy (flat areas) are not stored or compared
+  MAX_NEGATIVE_EXAMPLES: 20      // "Not a match" examples kept per entry (oldest dropped first)
+};
+
+// Hash geometries: matrix size frames are scaled to, and the low-frequency block
+// (or grid) the bits are taken from. Entries record the geometry they were
+// hashed with; entries saved before geometries existed are standard v1.
+export const HASH_GEOMETRIES = {
+  standard: { id: 'standard', version: 1, canvasSize: VIDEO_PROCESSING.CANVAS_SIZE, blockSize: VIDEO_PROCESSING.DCT_BLOCK_SIZE }, // 63/64-bit hashes
+  strict: { id: 'strict', version: 1, canvasSize: 64, blockSize: 16 } // 255/256-bit hashes, fewer false positives on large blocklists
+};
+
+// Sub-regions hashed next to the full frame, as fractions of the active picture
+// `mirror` names the region that lands in the same place when the frame is flipped
+export const HASH_REGIONS = [
+  { name: 'center', x: 0.25, y: 0.25, width: 0.5, height: 0.5, mirror: 'center' },
+  { name: 'topLeft', x: 0, y: 0, width: 0.5, height: 0.5, mirror: 'topRight' },
+  { name: 'topRight', x: 0.5, y: 0, width: 0.5, height: 0.5, mirror: 'topLeft' },
+  { name: 'bottomLeft', x: 0, y: 0.5, width: 0.5, height: 0.5, mirror: 'bottomRight' },
+  { name: 'bottomRight', x: 0.5, y: 0.5, width: 0.5, height: 0.5, mirror: 'bottomLeft' }
+];
+
+// Audio fingerprint configuration
+export const AUDIO = {
+  VERSION: 1,                    // Landmark format version stored on entries
+  CAPTURE_SECONDS: 4,            // Audio captured while fingerprinting a playing video
+  WINDOW_SECONDS: 0.09,          // FFT window length (rounded to a power of two)
+  HOP_SECONDS: 0.045,            // Step between FFT frames
+  MIN_FREQUENCY_HZ: 250,         // Lowest frequency considered for peaks
+  MAX_FREQUENCY_HZ: 4000,        // Highest frequency considered for peaks
+  BANDS_PER_OCTAVE: 24,          // Frequency resolution of landmark hashes
+  PEAK_THRESHOLD: 1.0,           // Peaks must reach this share of their octave's mean level
+  FAN_OUT: 3,                    // Target peaks paired with each anchor peak
+  MAX_TIME_GAP: 32,              // Maximum frames between paired peaks
+  MIN_RMS: 0.005,                // Captures quieter than this are treated as silent
+  MIN_MATCHES: 12,               // Aligned landmarks needed for an audio match
+  MATCH_RATIO: 0.15              // Share of landmarks that must line up for an audio match
+};
+
+// Blocklist entry match policies
+export const MATCH_POLICIES = {
+  VISUAL: 'visual',              // Block on a visual match only
+  AUDIO: 'audio',                // Block on an audio match only
+  EITHER: 'either',              // Block on a visual or an audio match
+  BOTH: 'both'                   // Block only when visual and audio both match
+};
+
+// What happens to a tweet whose media is blocked (see esm-src/utils/block-actions.js)
+export const BLOCK_ACTIONS = {
+  HIDE: 'hide',                  // Fade the whole tweet out
+  COLLAPSE: 'collapse',          // Replace the tweet with a one-line placeholder
+  BLUR: 'blur',                  // Blur the media behind a click-to-reveal overlay
+  MUTE: 'mute',                  // Keep the video muted (videos only)
+  PAUSE: 'pause'                 // Stop the video from autoplaying (videos only)
 };
 
 // Concurrency configuration
 export const CONCURRENCY = {
   MAX_CONCURRENT: 3,             // Maximum concurrent video processing tasks
-  QUEUE_TIMEOUT_MS: 5000         // Timeout for queue operations
+  QUEUE_TIMEOUT_MS: 5000,        // Timeout for queue operations
+  LONG_JOB_TIMEOUT_MS: 30000     // Timeout for jobs that sample a whole video or fetch a full-size photo
+};
+
+// Hash worker configuration
+export const WORKER = {
+  TIMEOUT_MS: 5000               // Timeout for a single hashing request
 };
 
 // UI configuration
@@ -37,6 +133,9 @@ export const UI = {
   TOAST_ID: 'vb-toast',          // Toast element ID
   FADE_DURATION_MS: 180,         // Article fade out duration
   HIDE_DELAY_MS: 200,            // Delay before hiding article
+  BLUR_PX: 24,                   // Blur radius of blurred media
+  UNDO_DURATION_MS: 6000,        // How long a manual block can be undone
+  ACTION_TOAST_DURATION_MS: 4000, // Duration of toasts with buttons
   TOAST_GRAVITY: 'top',          // Toast position vertical (top/bottom)
   TOAST_POSITION: 'right',       // Toast position horizontal (left/center/right)
   TOAST_OFFSET: {                // Toast offset from position
@@ -69,16 +168,42 @@ export const TIMING = {
   URL_CHANGE_SCAN_DELAY_MS: 300  // Delay after URL change before scanning
 };
 
+// Poster and photo pre-check configuration
+export const POSTER = {
+  MESSAGE_TYPE: 'vb_fetch_image', // Background image fetch message (must match esm-src/background.js)
+  CACHE_LIMIT: 200,              // Poster/photo fingerprints kept per page
+  VIEWPORT_MARGIN_PX: 1200       // Check posters and photos this far below the viewport, ahead of scrolling
+};
+
+// Playback monitor configuration
+export const PLAYBACK = {
+  POLL_INTERVAL_MS: 500,         // How often playing videos are checked for a new sample
+  WINDOW_FRAMES: 10,             // Rolling frame hashes (one per SEQUENCE_INTERVAL_S of playback) compared to the blocklist
+  MIN_WINDOW_FRAMES: 4,          // Samples needed before a window is compared
+  MAX_GAP_S: 2.5                 // A larger jump in playback time (seeking) starts a new window
+};
+
+// Kinds of media a blocklist entry can describe
+export const MEDIA_TYPES = {
+  VIDEO: 'video',
+  IMAGE: 'image'
+};
+
 // Selector configuration
 export const SELECTORS = {
   ARTICLE: 'article',
   VIDEO: 'video',
-  VIDEO_COMPONENT: '[data-testid="videoComponent"]'
+  VIDEO_COMPONENT: '[data-testid="videoComponent"]',
+  POSTER_VIDEO: 'video[poster]',
+  TWEET_PHOTO: '[data-testid="tweetPhoto"]',
+  TWEET_PHOTO_IMAGE: '[data-testid="tweetPhoto"] img',
+  TWEET_AUTHOR_LINK: '[data-testid="User-Name"] a[href^="/"]'
 };
 
 // Event configuration
 export const EVENTS = {
   MODIFIER_KEY: 'metaKey',       // Key for blocking (Cmd on Mac, Ctrl on others)
+  UNDO_KEY_CODE: 'KeyZ',         // Alt + this key undoes the last manual block
   URL_CHANGE: 'urlchange'
 };
 
@@ -97,12 +222,16 @@ export const LOG_CATEGORIES = {
   SCANNER: 'SCANNER',
   BLOCKER: 'BLOCKER',
   QUEUE: 'QUEUE',
+  INDEX: 'INDEX',
+  AUDIO: 'AUDIO',
+  WORKER: 'WORKER',
   EVENT: 'EVENT'
 };
 
 // Error messages
 export const ERROR_MESSAGES = {
-  NO_VIDEO_FOUND: 'No video found at pointer location',
+  NO_VIDEO_FOUND: 'No video or photo found at pointer location',
+  IMAGE_FAILED: 'Cannot block: photo could not be fingerprinted',
   FINGERPRINT_FAILED: 'Fingerprint failed (poster/blocked)',
   CANVAS_TAINTED: 'Canvas is tainted - cannot process video',
   VIDEO_NOT_READY: 'Video not ready for processing',
@@ -110,7 +239,12 @@ export const ERROR_MESSAGES = {
   HASH_COMPUTATION_ERROR: 'Hash computation failed',
   VIDEO_POSTER_FRAME: 'Cannot block: video not ready or is poster frame',
   VIDEO_LOADING: 'Video is still loading, please try again',
-  VIDEO_TRIVIAL: 'Cannot block: video appears to be blank or loading screen'
+  VIDEO_TRIVIAL: 'Cannot block: video appears to be blank or loading screen',
+  NO_VISIBLE_VIDEO: 'No video visible on screen',
+  REFINGERPRINT_NO_MATCH: 'Visible video does not match any blocked entry',
+  ENTRY_REMOVE_FAILED: 'Blocked entry could not be removed',
+  UNDO_FAILED: 'Block could not be undone',
+  ALLOWLIST_FAILED: 'Could not add to allowlist'
 };
 
 // Success messages
@@ -120,5 +254,18 @@ export const SUCCESS_MESSAGES = {
   FINGERPRINTING_RETRY: 'Analyzing video (retry attempt)...',
   HASH_SAVED: 'Hash saved to blocked list',
   AUTO_BLOCKED: 'Video auto-blocked',
-  VIDEO_ALREADY_BLOCKED: 'Video already blocked'
+  CLIP_BLOCKED: 'Blocked clip found at',
+  VIDEO_ALREADY_BLOCKED: 'Video already blocked',
+  FINGERPRINTING_IMAGE: 'Fingerprinting photo...',
+  IMAGE_BLOCKED: 'Photo blocked',
+  IMAGE_AUTO_BLOCKED: 'Photo auto-blocked',
+  IMAGE_ALREADY_BLOCKED: 'Photo already blocked',
+  REFINGERPRINTING: 'Re-fingerprinting video...',
+  REFINGERPRINTED: 'Blocked entry updated to the current hash settings',
+  REFINGERPRINT_CURRENT: 'Blocked entry already uses the current hash settings',
+  MATCH_DISMISSED: 'Entry will not block this media again',
+  ENTRY_REMOVED: 'Blocked entry removed',
+  BLOCK_UNDONE: 'Block undone',
+  MEDIA_ALLOWED: 'Added to allowlist, it will not be blocked again',
+  HANDLE_ALLOWED: 'Account added to allowlist:'
 };
@@ -4,19 +4,24 @@
  */
 
 import {
+	BLOCK_ACTIONS,
 	DEBUG,
 	ERROR_MESSAGES,
 	EVENTS,
 	HASH_CONFIG,
+	HASH_GEOMETRIES,
 	LOG_CATEGORIES,
+	MATCH_POLICIES,
 	SELECTORS,
 	STORAGE,
 	SUCCESS_MESSAGES,
 } from "./constants.js";
 import { VideoBlocker } from "./core/blocker.js";
+import { PlaybackMonitor } from "./core/playback-monitor.js";
 import { ConcurrencyQueue } from "./core/queue.js";
 import { VideoScanner } from "./core/scanner.js";
 import { HashUtils } from "./utils/hash.js";
+import { hashAlgorithms } from "./utils/hash-algorithms.js";
 import { logger } from "./utils/logger.js";
 import { StorageManager } from "./utils/storage.js";
 import { UIUtils } from "./utils/ui.js";
@@ -38,6 +43,7 @@ class VideoBlockerApp {
 		this.concurrencyQueue = null;
 		this.videoBlocker = null;
 		this.videoScanner = null;
+		this.playbackMonitor = null;
 
 		this.settings = {
 			autoScan: true,
@@ -45,6 +51,13 @@ class VideoBlockerApp {
 			showNotifications: true,
 			logLevel: "info",
 			maxRetries: 2,
+			hashAlgorithm: "phash",
+			hashGeometry: "standard",
+			flipInvariant: false,
+			matchPolicy: "either",
+			colorCheck: true,
+			blockAction: "hide",
+			placeholderCard: false,
 		};
 
 		this.isInitialized = false;
@@ -128,12 +141,56 @@ class VideoBlockerApp {
 				HASH_CONFIG.HAMMING_THRESHOLD = this.settings.sensitivity;
 			}
 
+			// Apply fingerprint algorithm for new entries
+			if (hashAlgorithms.has(this.settings.hashAlgorithm)) {
+				HASH_CONFIG.ALGORITHM = this.settings.hashAlgorithm;
+			} else {
+				this.appLogger.warn("Unknown hash algorithm in settings, keeping default", {
+					hashAlgorithm: this.settings.hashAlgorithm,
+				});
+			}
+
+			// Apply hash geometry for new entries
+			if (HASH_GEOMETRIES[this.settings.hashGeometry]) {
+				HASH_CONFIG.GEOMETRY = this.settings.hashGeometry;
+			} else {
+				this.appLogger.warn("Unknown hash geometry in settings, keeping default", {
+					hashGeometry: this.settings.hashGeometry,
+				});
+			}
+
+			// Apply mirrored matching
+			HASH_CONFIG.FLIP_INVARIANT = !!this.settings.flipInvariant;
+
+			// Apply color signature check
+			HASH_CONFIG.COLOR_CHECK = this.settings.colorCheck !== false;
+
+			// Apply match policy for new entries
+			if (Object.values(MATCH_POLICIES).includes(this.settings.matchPolicy)) {
+				HASH_CONFIG.MATCH_POLICY = this.settings.matchPolicy;
+			}
+
+			// Apply default block action
+			if (Object.values(BLOCK_ACTIONS).includes(this.settings.blockAction)) {
+				HASH_CONFIG.BLOCK_ACTION = this.settings.blockAction;
+			}
+
+			// Apply placeholder cards for hidden tweets
+			HASH_CONFIG.PLACEHOLDER_CARD = !!this.settings.placeholderCard;
+
 			this.appLogger.info("Settings loaded", {
 				autoScan: this.settings.autoScan,
 				sensitivity: this.settings.sensitivity,
 				showNotifications: this.settings.showNotifications,
 				logLevel: this.settings.logLevel,
 				hammingThreshold: HASH_CONFIG.HAMMING_THRESHOLD,
+				hashAlgorithm: HASH_CONFIG.ALGORITHM,
+				hashGeometry: HASH_CONFIG.GEOMETRY,
+				flipInvariant: HASH_CONFIG.FLIP_INVARIANT,
+				matchPolicy: HASH_CONFIG.MATCH_POLICY,
+				colorCheck: HASH_CONFIG.COLOR_CHECK,
+				blockAction: HASH_CONFIG.BLOCK_ACTION,
+				placeholderCard: HASH_CONFIG.PLACEHOLDER_CARD,
 			});
 		} catch (error) {
 			this.appLogger.error("Failed to load settings", error);
@@ -199,6 +256,14 @@ class VideoBlockerApp {
 
 		await this.videoScanner.initialize();
 
+		// Playback Monitor (follows auto-scan)
+		this.playbackMonitor = new PlaybackMonitor(this.logger, this.videoBlocker);
+		this.playbackMonitor.setUtils(this.videoUtils, this.uiUtils);
+		this.playbackMonitor.setSettings({
+			enabled: this.settings.autoScan,
+		});
+		this.playbackMonitor.initialize();
+
 		this.appLogger.info("Core systems initialized");
 	}
 
@@ -213,6 +278,11 @@ class VideoBlockerApp {
 			passive: false,
 		});
 
+		// Alt+Z undoes the last manual block
+		document.addEventListener("keydown", this.handleUndoShortcut.bind(this), {
+			capture: true,
+		});
+
 		// Listen for storage changes to update settings
 		chrome.storage.onChanged.addListener((changes, area) => {
 			if (area === "local" && changes[STORAGE.SETTINGS_KEY]) {
@@ -224,6 +294,11 @@ class VideoBlockerApp {
 							autoScan: this.settings.autoScan,
 						});
 					}
+					if (this.playbackMonitor) {
+						this.playbackMonitor.setSettings({
+							enabled: this.settings.autoScan,
+						});
+					}
 
 					// Update notification settings in blocker
 					if (this.videoBlocker) {
@@ -246,6 +321,35 @@ class VideoBlockerApp {
 		this.appLogger.debug("Event handlers configured");
 	}
 
+	/**
+	 * Handle the undo shortcut for manual blocks
+	 * Ignored while typing, so Alt+Z still works in text fields.
+	 * @private
+	 */
+	async handleUndoShortcut(event) {
+		if (
+			!event.altKey ||
+			event.ctrlKey ||
+			event.metaKey ||
+			event.code !== EVENTS.UNDO_KEY_CODE
+		) {
+			return;
+		}
+
+		const target = event.target;
+		if (
+			target instanceof Element &&
+			(target.isContentEditable ||
+				target.closest("input, textarea, select, [contenteditable]"))
+		) {
+			return;
+		}
+
+		if (this.videoBlocker && (await this.videoBlocker.undoLastBlock(this.uiUtils))) {
+			this.appLogger.info("Manual block undone via keyboard shortcut");
+		}
+	}
+
 	/**
 	 * Handle click events for video blocking
 	 * @private
@@ -257,13 +361,18 @@ class VideoBlockerApp {
 		}
 
 		try {
-			// Find video at click location
-			const video = this.videoUtils.findVideoAtCoordinates(
+			// A photo under the pointer takes precedence over videos elsewhere in the tweet
+			const image = this.videoUtils.findPhotoAtCoordinates(
 				event.clientX,
 				event.clientY,
 			);
 
-			if (!video) {
+			// Find video at click location
+			const video = image
+				? null
+				: this.videoUtils.findVideoAtCoordinates(event.clientX, event.clientY);
+
+			if (!image && !video) {
 				if (this.settings.showNotifications) {
 					this.uiUtils.showToast(ERROR_MESSAGES.NO_VIDEO_FOUND, "error");
 				}
@@ -274,17 +383,25 @@ class VideoBlockerApp {
 			event.preventDefault();
 			event.stopPropagation();
 
-			this.appLogger.info("Video blocking requested via click");
-
-			// Block the video
-			const success = await this.videoBlocker.blockVideo(
-				video,
-				this.videoUtils,
-				this.uiUtils,
+			this.appLogger.info(
+				`${image ? "Photo" : "Video"} blocking requested via click`,
 			);
 
+			// Block the photo or video
+			const success = image
+				? await this.videoBlocker.blockImage(
+						image,
+						this.videoUtils,
+						this.uiUtils,
+					)
+				: await this.videoBlocker.blockVideo(
+						video,
+						this.videoUtils,
+						this.uiUtils,
+					);
+
 			if (success) {
-				this.appLogger.info("Video blocked successfully via user action");
+				this.appLogger.info("Media blocked successfully via user action");
 
 				// Only show notification if setting is enabled
 				if (!this.settings.showNotifications) {
@@ -317,6 +434,10 @@ class VideoBlockerApp {
 
 			// Storage operations
 			getBlockedHashes: () => this.storageManager.getBlockedHashes(),
+			getIndexStats: () => ({
+				hashIndex: this.videoBlocker.hashIndex.getStats(),
+				frameIndex: this.videoBlocker.frameIndex.getStats(),
+			}),
 			clearAllBlocked: () => this.videoBlocker.clearAllBlocked(),
 			getStorageStats: () => this.storageManager.getStorageStats(),
 			getSettings: () => this.settings,
@@ -325,8 +446,18 @@ class VideoBlockerApp {
 			// Video operations
 			scanAllVideos: () => this.videoScanner.scanAllVideos(),
 			forceScan: () => this.videoScanner.forceScan(),
-			pauseScanning: () => this.videoScanner.pauseScanning(),
-			resumeScanning: () => this.videoScanner.resumeScanning(),
+			pauseScanning: () => {
+				this.videoScanner.pauseScanning();
+				this.playbackMonitor.pause();
+			},
+			resumeScanning: () => {
+				this.videoScanner.resumeScanning();
+				this.playbackMonitor.resume();
+			},
+			getPlaybackMonitorStats: () => this.playbackMonitor.getStats(),
+
+			// Undo the block actions of every tweet on the page
+			revealBlocked: () => this.uiUtils.revealAll(),
 
 			// Hash operations
 			computeHashNow: async (video) => {
@@ -336,7 +467,20 @@ class VideoBlockerApp {
 				throw new Error("Invalid video element provided");
 			},
 
-			validateHash: (hash) => this.hashUtils.validateHash(hash),
+			validateHash: (hash, algorithm) =>
+				this.hashUtils.validateHash(hash, algorithm),
+			listHashAlgorithms: () =>
+				hashAlgorithms.list().map(({ id, version, label, bits }) => ({
+					id,
+					version,
+					label,
+					bits: Object.fromEntries(
+						Object.values(HASH_GEOMETRIES).map((geometry) => [
+							geometry.id,
+							bits(geometry),
+						]),
+					),
+				})),
 			compareHashes: (hash1, hash2) => ({
 				distance: this.hashUtils.hammingDistance(hash1, hash2),
 				similar: this.hashUtils.areHashesSimilar(hash1, hash2),
@@ -344,6 +488,19 @@ class VideoBlockerApp {
 				trivial2: this.hashUtils.isTrivialHash(hash2),
 			}),
 
+			// Move the blocked entry of the video on screen to the current algorithm/geometry
+			refingerprintVisibleVideo: (video = this.videoUtils.findVisibleVideo()) => {
+				if (!video) {
+					this.uiUtils.showToast(ERROR_MESSAGES.NO_VISIBLE_VIDEO, "warning");
+					return Promise.resolve(false);
+				}
+				return this.videoBlocker.refingerprintVideo(
+					video,
+					this.videoUtils,
+					this.uiUtils,
+				);
+			},
+
 			// Test Toastify notifications
 			testToast: (message = "Test notification", type = "info") => {
 				if (!this.uiUtils) {
@@ -393,6 +550,18 @@ class VideoBlockerApp {
 			getQueueStats: () => this.concurrencyQueue.getStats(),
 			clearQueue: () => this.concurrencyQueue.clearQueue(),
 
+			// Hash worker
+			getWorkerStats: () => this.videoUtils.hashWorker.getStats(),
+
+			// Frames collected from playback
+			getFrameCollectorStats: () => this.videoUtils.frameCollector.getStats(),
+
+			// Audio fingerprints of local files (File/Blob/ArrayBuffer, no network)
+			fingerprintAudioFile: (file) =>
+				this.videoUtils.audioUtils.fingerprintFile(file),
+			compareAudioFiles: (blockedFile, candidateFile) =>
+				this.videoUtils.audioUtils.compareFiles(blockedFile, candidateFile),
+
 			// App control
 			cleanup: () => this.cleanup(),
 			restart: () => this.restart(),
@@ -472,6 +641,9 @@ class VideoBlockerApp {
 			componentStatus: this.getComponentStatus(),
 			blockerStats: this.videoBlocker ? this.videoBlocker.getStats() : null,
 			scannerStats: this.videoScanner ? this.videoScanner.getStats() : null,
+			playbackMonitorStats: this.playbackMonitor
+				? this.playbackMonitor.getStats()
+				: null,
 			queueStats: this.concurrencyQueue
 				? this.concurrencyQueue.getStats()
 				: null,
@@ -496,6 +668,7 @@ class VideoBlockerApp {
 			concurrencyQueue: !!this.concurrencyQueue,
 			videoBlocker: !!this.videoBlocker,
 			videoScanner: !!this.videoScanner,
+			playbackMonitor: !!this.playbackMonitor,
 		};
 	}
 
@@ -525,6 +698,10 @@ class VideoBlockerApp {
 				this.videoScanner.cleanup();
 			}
 
+			if (this.playbackMonitor) {
+				this.playbackMonitor.cleanup();
+			}
+
 			if (this.videoBlocker) {
 				this.videoBlocker.cleanup();
 			}
@@ -537,6 +714,10 @@ class VideoBlockerApp {
 				this.uiUtils.cleanup();
 			}
 
+			if (this.videoUtils) {
+				this.videoUtils.cleanup();
+			}
+
 			// Clear debug interface
 			if (window[DEBUG.GLOBAL_OBJECT]) {
 				delete window[DEBUG.GLOBAL_OBJECT];
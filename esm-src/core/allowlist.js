@@ -0,0 +1,163 @@
+/**
+ * Allowlist for Video Blocker Extension
+ * Media and accounts that are never blocked automatically, however close
+ * they come to a blocklist entry
+ */
+
+import { HASH_CONFIG, LOG_CATEGORIES } from '../constants.js';
+
+/**
+ * Normalize an @handle for comparison
+ * @param {string} handle - Handle with or without the leading @
+ * @returns {string|null} - Lowercase handle without @, or null if invalid
+ */
+export function normalizeHandle(handle) {
+  if (typeof handle !== 'string') return null;
+  const normalized = handle.trim().replace(/^@/, '').toLowerCase();
+  return /^\w{1,15}$/.test(normalized) ? normalized : null;
+}
+
+export class Allowlist {
+  constructor(logger, storageManager, hashUtils) {
+    this.logger = logger.createCategoryLogger(LOG_CATEGORIES.BLOCKER);
+    this.storageManager = storageManager;
+    this.hashUtils = hashUtils;
+    this.handles = new Set();
+    this.mediaIds = new Set();
+    this.fingerprints = []; // [{algorithm key: hash}]
+    this.onStorageEvent = null;
+  }
+
+  /**
+   * Load the allowlist and follow changes made elsewhere (e.g. the options page)
+   */
+  async initialize() {
+    this.setItems(await this.storageManager.getAllowlist());
+
+    this.onStorageEvent = (event, data) => {
+      if (event === 'allowlistUpdated' && data && Array.isArray(data.items)) {
+        this.setItems(data.items);
+      }
+    };
+    this.storageManager.addChangeListener(this.onStorageEvent);
+  }
+
+  /**
+   * Replace the in-memory allowlist
+   * @param {Object[]} items - Stored allowlist items
+   */
+  setItems(items) {
+    this.handles.clear();
+    this.mediaIds.clear();
+    this.fingerprints = [];
+
+    for (const item of items || []) {
+      if (item.type === 'handle') {
+        const handle = normalizeHandle(item.handle);
+        if (handle) this.handles.add(handle);
+      } else if (item.type === 'media') {
+        if (item.mediaId) this.mediaIds.add(item.mediaId);
+        if (item.hashes && Object.keys(item.hashes).length > 0) this.fingerprints.push(item.hashes);
+      }
+    }
+
+    this.logger.debug('Allowlist loaded', this.getStats());
+  }
+
+  /**
+   * Check if an account is allowlisted
+   * @param {string|null} handle - Tweet author handle
+   * @returns {boolean}
+   */
+  isHandleAllowed(handle) {
+    const normalized = normalizeHandle(handle);
+    return !!normalized && this.handles.has(normalized);
+  }
+
+  /**
+   * Check if media is allowlisted
+   * Media IDs match exactly; fingerprints match when any of their hashes is
+   * within the (length-scaled) Hamming threshold of an allowlisted hash with
+   * the same algorithm key.
+   * @param {string|null} mediaId - Twitter media ID
+   * @param {Object|null} fingerprint - Fingerprint with hashes per algorithm key
+   * @returns {boolean}
+   */
+  isMediaAllowed(mediaId, fingerprint) {
+    if (mediaId && this.mediaIds.has(mediaId)) return true;
+    if (!fingerprint || !fingerprint.hashes || this.fingerprints.length === 0) return false;
+
+    return this.fingerprints.some(hashes =>
+      Object.entries(fingerprint.hashes).some(([key, { hash }]) => {
+        if (!hash || !hashes[key]) return false;
+        const threshold = this.hashUtils.scaleThreshold(HASH_CONFIG.HAMMING_THRESHOLD, hash);
+        return this.hashUtils.hammingDistance(hash, hashes[key]) <= threshold;
+      })
+    );
+  }
+
+  /**
+   * Allowlist an account
+   * @param {string} handle - Handle with or without the leading @
+   * @returns {Promise<boolean>} - Success status
+   */
+  async allowHandle(handle) {
+    const normalized = normalizeHandle(handle);
+    if (!normalized) return false;
+
+    this.handles.add(normalized);
+    return this.storageManager.addAllowlistItem({ id: `handle:${normalized}`, type: 'handle', handle: normalized });
+  }
+
+  /**
+   * Allowlist a video or photo
+   * The whole-media hash of every algorithm key in the fingerprint is kept,
+   * so re-uploads without the media ID are recognized as well.
+   * @param {string|null} mediaId - Twitter media ID
+   * @param {Object|null} fingerprint - Fingerprint from VideoUtils (frames or photo, not poster)
+   * @param {string} mediaType - MEDIA_TYPES value
+   * @returns {Promise<boolean>} - Success status
+   */
+  async allowMedia(mediaId, fingerprint, mediaType) {
+    const hashes = Object.fromEntries(
+      Object.entries(fingerprint?.hashes || {})
+        .filter(([, { hash }]) => hash)
+        .map(([key, { hash }]) => [key, hash])
+    );
+    const id = mediaId || Object.values(hashes)[0];
+    if (!id) return false;
+
+    if (mediaId) this.mediaIds.add(mediaId);
+    if (Object.keys(hashes).length > 0) this.fingerprints.push(hashes);
+
+    return this.storageManager.addAllowlistItem({
+      id: `media:${id}`,
+      type: 'media',
+      mediaType,
+      ...(mediaId && { mediaId }),
+      ...(Object.keys(hashes).length > 0 && { hashes })
+    });
+  }
+
+  /**
+   * Get allowlist statistics
+   * @returns {Object} - Allowlisted accounts, media IDs and fingerprints
+   */
+  getStats() {
+    return {
+      handles: this.handles.size,
+      mediaIds: this.mediaIds.size,
+      fingerprints: this.fingerprints.length
+    };
+  }
+
+  /**
+   * Stop following storage changes
+   */
+  cleanup() {
+    if (this.onStorageEvent) {
+      this.storageManager.removeChangeListener(this.onStorageEvent);
+      this.onStorageEvent = null;
+    }
+  }
+}
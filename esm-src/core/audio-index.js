@@ -0,0 +1,135 @@
+/**
+ * Audio Index for Video Blocker Extension
+ * Inverted index from landmark hash to blocked entries for audio fingerprint lookups
+ */
+
+import { AUDIO, LOG_CATEGORIES } from '../constants.js';
+import { parseLandmarks, audioMatchScore } from '../utils/audio-fingerprint.js';
+
+export class AudioIndex {
+  constructor(logger) {
+    this.logger = logger.createCategoryLogger(LOG_CATEGORIES.INDEX);
+    this.postings = new Map(); // landmark hash -> [{value, frame}]
+    this.values = new Map(); // value -> {count, hopSeconds}
+  }
+
+  /**
+   * Replace the index contents
+   * @param {Array<{fingerprint: Object, value: *}>} items - Fingerprints to index
+   */
+  build(items) {
+    this.clear();
+
+    for (const { fingerprint, value } of items) {
+      this.add(fingerprint, value);
+    }
+
+    this.logger.debug('Audio index built', this.getStats());
+  }
+
+  /**
+   * Add a fingerprint to the index
+   * @param {Object} fingerprint - Audio fingerprint
+   * @param {*} value - Value returned by searches (e.g. the blocklist entry)
+   * @returns {boolean} - True if indexed
+   */
+  add(fingerprint, value) {
+    if (!fingerprint || fingerprint.version !== AUDIO.VERSION) return false;
+
+    const landmarks = parseLandmarks(fingerprint);
+    for (const { hash, frame } of landmarks) {
+      if (!this.postings.has(hash)) this.postings.set(hash, []);
+      this.postings.get(hash).push({ value, frame });
+    }
+
+    this.values.set(value, {
+      count: landmarks.length,
+      hopSeconds: fingerprint.hopSeconds || AUDIO.HOP_SECONDS
+    });
+    return true;
+  }
+
+  /**
+   * Remove a value from the index
+   * @param {Object} fingerprint - Audio fingerprint the value was indexed with
+   * @param {*} value - Value to remove
+   */
+  remove(fingerprint, value) {
+    if (!this.values.delete(value)) return;
+
+    for (const { hash } of parseLandmarks(fingerprint)) {
+      const postings = this.postings.get(hash);
+      if (!postings) continue;
+
+      const remaining = postings.filter(posting => posting.value !== value);
+      if (remaining.length > 0) {
+        this.postings.set(hash, remaining);
+      } else {
+        this.postings.delete(hash);
+      }
+    }
+  }
+
+  /**
+   * Find indexed values whose landmarks line up with a fingerprint
+   * @param {Object} fingerprint - Candidate audio fingerprint
+   * @returns {Map<*, {matches: number, score: number, offsetSeconds: number}>} - Matching values
+   */
+  search(fingerprint) {
+    const results = new Map();
+    if (!fingerprint || fingerprint.version !== AUDIO.VERSION || this.values.size === 0) {
+      return results;
+    }
+
+    const landmarks = parseLandmarks(fingerprint);
+    const offsets = new Map(); // value -> Map(offset -> count)
+
+    for (const { hash, frame } of landmarks) {
+      for (const posting of this.postings.get(hash) || []) {
+        if (!offsets.has(posting.value)) offsets.set(posting.value, new Map());
+        const histogram = offsets.get(posting.value);
+        const offset = posting.frame - frame;
+        histogram.set(offset, (histogram.get(offset) || 0) + 1);
+      }
+    }
+
+    for (const [value, histogram] of offsets) {
+      let best = { offset: 0, matches: 0 };
+      for (const [offset, matches] of histogram) {
+        if (matches > best.matches) best = { offset, matches };
+      }
+
+      const { count, hopSeconds } = this.values.get(value);
+      const score = audioMatchScore(best.matches, count, landmarks.length);
+
+      if (best.matches >= AUDIO.MIN_MATCHES && score >= AUDIO.MATCH_RATIO) {
+        results.set(value, {
+          matches: best.matches,
+          score,
+          offsetSeconds: best.offset * hopSeconds
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Remove everything from the index
+   */
+  clear() {
+    this.postings.clear();
+    this.values.clear();
+  }
+
+  /**
+   * Get index statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      size: this.values.size,
+      landmarkHashes: this.postings.size
+    };
+  }
+}
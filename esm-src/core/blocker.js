@@ -3,7 +3,13 @@
  * Handles video blocking logic and hash management
  */
 
-import { LOG_CATEGORIES, SUCCESS_MESSAGES, ERROR_MESSAGES, SELECTORS } from '../constants.js';
+import { LOG_CATEGORIES, SUCCESS_MESSAGES, ERROR_MESSAGES, SELECTORS, UI, HASH_CONFIG, HASH_GEOMETRIES, VIDEO_PROCESSING, CONCURRENCY, MATCH_POLICIES, MEDIA_TYPES } from '../constants.js';
+import { hashAlgorithms, getHashGeometry } from '../utils/hash-algorithms.js';
+import { normalizeHash } from '../utils/packed-hash.js';
+import { blockActions } from '../utils/block-actions.js';
+import { HashIndex } from './hash-index.js';
+import { Allowlist, normalizeHandle } from './allowlist.js';
+import { AudioIndex } from './audio-index.js';
 
 export class VideoBlocker {
   constructor(logger, storageManager, hashUtils, queue) {
@@ -11,13 +17,31 @@ export class VideoBlocker {
     this.storageManager = storageManager;
     this.hashUtils = hashUtils;
     this.queue = queue;
-    this.blockedHashes = new Set();
+    this.blockedHashes = new Map(); // hash -> blocklist entry
+    this.hashIndex = new HashIndex(logger, hashUtils); // entry hash -> entry
+    this.frameIndex = new HashIndex(logger, hashUtils); // frame hash -> entry
+    this.audioIndex = new AudioIndex(logger); // audio landmark -> entry
+    this.posterIndex = new HashIndex(logger, hashUtils); // poster hash -> entry
+    this.regionIndex = new HashIndex(logger, hashUtils); // region hash (keyed per region) -> entry
+    this.mediaIds = new Map(); // Twitter media ID -> entry
+    this.imageEntryCount = 0; // Photo entries, so photos aren't hashed while there are none
+    this.allowlist = new Allowlist(logger, storageManager, hashUtils);
     this.processedVideos = new WeakSet();
+    this.processedImages = new WeakMap(); // photo -> URL already checked
+    this.posterCheckedVideos = new WeakMap(); // video -> poster URL already checked
+    this.dismissedMatches = new Map(); // media key -> entry hashes dismissed with "Not a match"
+    this.lastManualBlock = null; // {hash, article, expires} of the last manual block, while it can be undone
     this.showNotifications = true; // Default value, will be updated from settings
     this.stats = {
       videosBlocked: 0,
       hashesAdded: 0,
-      matchesFound: 0
+      matchesFound: 0,
+      posterMatches: 0,
+      mediaIdMatches: 0,
+      imagesBlocked: 0,
+      playbackMatches: 0,
+      allowlistSkips: 0,
+      negativeSuppressions: 0
     };
   }
 
@@ -28,8 +52,14 @@ export class VideoBlocker {
     this.logger.info('Initializing video blocker');
 
     // Load blocked hashes
-    const hashes = await this.storageManager.getBlockedHashes();
-    this.blockedHashes = new Set(hashes);
+    const entries = await this.storageManager.getBlockedEntries();
+    this.setBlockedEntries(entries);
+
+    // Keep the cache and indexes in sync with storage changes (e.g. from the options page)
+    this.storageManager.addChangeListener(this.handleStorageEvent.bind(this));
+
+    // Media and accounts that are never blocked automatically
+    await this.allowlist.initialize();
 
     // Try to load settings
     try {
@@ -62,7 +92,9 @@ export class VideoBlocker {
    * @returns {Promise<boolean>} - Success status
    */
   async blockVideo(video, videoUtils, uiUtils) {
-    return this.queue.enqueue(async () => {
+    let deferredEntry = null;
+
+    const blocked = await this.queue.enqueue(async (signal) => {
       try {
         if (!video || !(video instanceof HTMLVideoElement)) {
           throw new Error('Invalid video element');
@@ -70,6 +102,17 @@ export class VideoBlocker {
 
         this.logger.info('Starting video blocking process');
 
+        // The same upload may already be blocked, which needs no hashing to tell
+        const mediaId = videoUtils.getMediaId(video);
+        if (mediaId && this.mediaIds.has(mediaId)) {
+          this.logger.info('Video media ID already in blocked list', { mediaId });
+          if (this.showNotifications) {
+            uiUtils.showToast(SUCCESS_MESSAGES.VIDEO_ALREADY_BLOCKED, 'info');
+          }
+          uiUtils.addVideoFeedback(video, 'blocked');
+          return false;
+        }
+
         // Show processing feedback
         uiUtils.addVideoFeedback(video, 'processing');
         if (this.showNotifications) {
@@ -83,11 +126,12 @@ export class VideoBlocker {
           }
         }, 2000);
 
-        // Compute video hash with retries
-        const hash = await videoUtils.computeMultiFramePHash(video);
+        // Compute video fingerprint with retries, plus audio unless entries are visual-only
+        const captureAudio = HASH_CONFIG.MATCH_POLICY !== MATCH_POLICIES.VISUAL;
+        const fingerprint = await videoUtils.computeMultiFramePHash(video, { audio: captureAudio, regions: true });
         clearTimeout(retryFeedbackTimeout);
 
-        if (!hash) {
+        if (!fingerprint) {
           this.logger.warn('Could not compute video hash - likely poster frame or loading screen');
           if (this.showNotifications) {
             uiUtils.showToast(ERROR_MESSAGES.VIDEO_POSTER_FRAME, 'warning');
@@ -96,6 +140,8 @@ export class VideoBlocker {
           return false;
         }
 
+        const { hash } = fingerprint;
+
         // Check if already blocked
         if (this.blockedHashes.has(hash)) {
           this.logger.info('Video hash already in blocked list');
@@ -106,31 +152,43 @@ export class VideoBlocker {
           return false;
         }
 
-        // Save hash to storage
-        const saved = await this.storageManager.saveBlockedHash(hash);
+        const metadata = {
+          ...await this.buildVideoMetadata(video, videoUtils, fingerprint, signal),
+          ...(mediaId && { mediaId }),
+          // Without usable audio the entry can only ever match visually
+          matchPolicy: fingerprint.audio ? HASH_CONFIG.MATCH_POLICY : MATCH_POLICIES.VISUAL,
+          ...(fingerprint.audio && { audio: fingerprint.audio })
+        };
+
+        // Save hash and temporal signature to storage
+        const entry = { hash, ...metadata };
+        const saved = await this.storageManager.saveBlockedHash(hash, metadata);
         if (!saved) {
           throw new Error('Failed to save hash to storage');
         }
 
         // Update local cache
-        this.blockedHashes.add(hash);
+        this.addEntryToCache(entry);
         this.stats.hashesAdded++;
 
-        // Hide the current video's article
+        // Apply the block action to the current video's article
         const article = video.closest(SELECTORS.ARTICLE);
         if (article) {
-          await uiUtils.hideArticle(article);
+          await uiUtils.applyBlockAction(article, video, this.getBlockAction(entry), MEDIA_TYPES.VIDEO);
           this.stats.videosBlocked++;
         }
 
-        if (this.showNotifications) {
-          uiUtils.showToast(SUCCESS_MESSAGES.VIDEO_BLOCKED, 'success');
-        }
+        this.offerUndo(hash, article, SUCCESS_MESSAGES.VIDEO_BLOCKED, uiUtils);
         this.logger.info('Video blocked successfully', {
           hashPreview: hash.substring(0, 16) + '...',
           totalBlocked: this.blockedHashes.size
         });
 
+        // A video being watched isn't sampled across its duration until it is hidden
+        if (metadata.frameInterval !== VIDEO_PROCESSING.SEQUENCE_INTERVAL_S && article) {
+          deferredEntry = entry;
+        }
+
         return true;
 
       } catch (error) {
@@ -144,167 +202,1562 @@ export class VideoBlocker {
         // Clean up any processing feedback
         uiUtils.addVideoFeedback(video, null);
       }
-    }, `block-video-${Date.now()}`);
+    }, `block-video-${Date.now()}`, 0, CONCURRENCY.LONG_JOB_TIMEOUT_MS);
+
+    // The block is complete; the sequence runs as its own job behind everything else
+    if (blocked && deferredEntry) {
+      this.queue.enqueue(
+        (signal) => this.addDeferredSequence(video, videoUtils, deferredEntry, signal),
+        `deferred-sequence-${Date.now()}`, -1, CONCURRENCY.LONG_JOB_TIMEOUT_MS
+      ).catch(error => this.logger.warn('Deferred sequence sampling failed', error));
+    }
+
+    return blocked;
   }
 
   /**
-   * Check if a video should be blocked based on its hash
-   * @param {HTMLVideoElement} video - Video to check
-   * @param {VideoUtils} videoUtils - Video processing utilities
+   * Make a manual block undoable for UI.UNDO_DURATION_MS
+   * The success toast gets an Undo button, and undoLastBlock (bound to a
+   * keyboard shortcut) undoes it as well.
+   * @param {string} hash - Hash of the entry just added
+   * @param {HTMLElement|null} article - Tweet the block action was applied to
+   * @param {string} message - Success message
    * @param {UIUtils} uiUtils - UI utilities
-   * @returns {Promise<boolean>} - True if video was blocked
+   * @private
    */
-  async checkAndBlockVideo(video, videoUtils, uiUtils) {
-    if (!video || this.processedVideos.has(video)) {
+  offerUndo(hash, article, message, uiUtils) {
+    const block = { hash, article, expires: Date.now() + UI.UNDO_DURATION_MS };
+    this.lastManualBlock = block;
+
+    if (this.showNotifications) {
+      uiUtils.showActionToast(message, [{ label: 'Undo (Alt+Z)', onClick: () => this.undoBlock(block, uiUtils) }],
+        UI.UNDO_DURATION_MS);
+    }
+  }
+
+  /**
+   * Undo the last manual block if it is still within the undo window
+   * @param {UIUtils} uiUtils - UI utilities
+   * @returns {Promise<boolean>} - True if a block was undone
+   */
+  async undoLastBlock(uiUtils) {
+    const block = this.lastManualBlock;
+    if (!block || Date.now() > block.expires) {
+      this.lastManualBlock = null;
       return false;
     }
+    return this.undoBlock(block, uiUtils);
+  }
+
+  /**
+   * Remove a manually added entry and reveal its tweet again
+   * @param {Object} block - Block recorded by offerUndo
+   * @param {UIUtils} uiUtils - UI utilities
+   * @returns {Promise<boolean>} - True if the entry was removed
+   * @private
+   */
+  async undoBlock(block, uiUtils) {
+    if (this.lastManualBlock === block) {
+      this.lastManualBlock = null;
+    }
+
+    const removed = await this.removeBlockedHash(block.hash);
+    if (removed && block.article) {
+      uiUtils.revertBlockAction(block.article);
+    }
+
+    this.logger.info(removed ? 'Manual block undone' : 'Failed to undo manual block', {
+      hashPreview: block.hash.substring(0, 16) + '...'
+    });
+    if (this.showNotifications) {
+      uiUtils.showToast(removed ? SUCCESS_MESSAGES.BLOCK_UNDONE : ERROR_MESSAGES.UNDO_FAILED, removed ? 'info' : 'error');
+    }
+    return removed;
+  }
+
+  /**
+   * Build the visual part of a video entry from its fingerprint
+   * Poster and full-duration sequence are hashed with the fingerprint's
+   * primary algorithm and geometry, so every hash of the entry shares one key.
+   * @param {HTMLVideoElement} video - Fingerprinted video
+   * @param {VideoUtils} videoUtils - Video processing utilities
+   * @param {Object} fingerprint - Fingerprint from computeMultiFramePHash
+   * @param {AbortSignal|null} signal - Abort signal of the queue job
+   * @returns {Promise<Object>} - Entry metadata (without hash, media ID, match policy and audio)
+   * @private
+   */
+  async buildVideoMetadata(video, videoUtils, fingerprint, signal = null) {
+    const algorithms = [fingerprint.algorithm];
+    const geometries = [fingerprint.geometry];
+
+    // Poster hash lets later copies be hidden before they play
+    const poster = await videoUtils.computePosterFingerprint(video, algorithms, false, geometries);
+
+    // Prefer a full-duration sequence so the clip can be found inside longer videos
+    const sequence = await videoUtils.computeSequenceFingerprint(video, { algorithms, geometries, signal }) || fingerprint;
+    const key = this.hashUtils.getAlgorithmKey(fingerprint.algorithm, fingerprint.geometry);
+    const regionHashes = fingerprint.hashes[key]?.regions;
+
+    return {
+      algorithm: fingerprint.algorithm,
+      algorithmVersion: fingerprint.algorithmVersion,
+      geometry: fingerprint.geometry,
+      geometryVersion: fingerprint.geometryVersion,
+      frameHashes: sequence.frameHashes,
+      frameInterval: sequence.frameInterval,
+      ...(sequence.timestamps && {
+        frameTimestamps: sequence.timestamps.map(time => Math.round(time * 1000) / 1000)
+      }),
+      // How the frames behind the whole-video hash were picked; hashes are only compared between alike ones
+      ...(fingerprint.sampling && { sampling: fingerprint.sampling }),
+      // Scene keyframes the whole-video hash was averaged from
+      ...(fingerprint.sampling === 'keyframes' && {
+        keyframeTimestamps: fingerprint.timestamps.map(time => Math.round(time * 1000) / 1000)
+      }),
+      ...(fingerprint.duration && { duration: fingerprint.duration }),
+      ...(fingerprint.aspectRatio && { aspectRatio: fingerprint.aspectRatio }),
+      colorSignature: fingerprint.colorSignature,
+      ...(regionHashes && Object.keys(regionHashes).length > 0 && { regionHashes }),
+      mediaType: MEDIA_TYPES.VIDEO,
+      ...(poster && { posterHash: poster.hash })
+    };
+  }
+
+  /**
+   * Add the full-duration sequence to an entry saved without one
+   * Sampling a video across its duration seeks it, which is only done once
+   * nobody is watching it; after blocking, its article is hidden, so the
+   * sequence can be taken then. The entry is left as it is if sampling fails.
+   * @param {HTMLVideoElement} video - Blocked video
+   * @param {VideoUtils} videoUtils - Video processing utilities
+   * @param {Object} entry - Cached entry saved for the video
+   * @param {AbortSignal|null} signal - Abort signal of the queue job
+   * @returns {Promise<boolean>} - True if the entry was updated
+   * @private
+   */
+  async addDeferredSequence(video, videoUtils, entry, signal = null) {
+    const sequence = await videoUtils.computeSequenceFingerprint(video, {
+      algorithms: [entry.algorithm],
+      geometries: [entry.geometry],
+      signal
+    });
+    if (!sequence || (signal && signal.aborted)) return false;
+
+    const { hash, ...metadata } = {
+      ...entry,
+      frameHashes: sequence.frameHashes,
+      frameInterval: sequence.frameInterval,
+      frameTimestamps: sequence.timestamps.map(time => Math.round(time * 1000) / 1000)
+    };
+
+    // The entry may have been removed meanwhile; replacing it then fails
+    if (!await this.storageManager.replaceBlockedHash(hash, hash, metadata)) return false;
+
+    this.addEntryToCache({ hash, ...metadata });
+    this.logger.info('Full-duration sequence added to blocked entry', {
+      hashPreview: hash.substring(0, 16) + '...',
+      frames: sequence.frameHashes.length
+    });
+    return true;
+  }
 
+  /**
+   * Re-hash the blocked entry a video matches with the current settings
+   * Entries keep matching with the algorithm and geometry they were saved
+   * with; this moves one of them to the current ones (e.g. after switching
+   * to strict hashes) without unblocking it. The entry keeps its match
+   * policy, audio fingerprint, media ID and added date. The video must be
+   * on screen, so scanning is usually paused first.
+   * @param {HTMLVideoElement} video - Video showing a blocked entry
+   * @param {VideoUtils} videoUtils - Video processing utilities
+   * @param {UIUtils} uiUtils - UI utilities
+   * @returns {Promise<boolean>} - True if the entry was replaced
+   */
+  async refingerprintVideo(video, videoUtils, uiUtils) {
     return this.queue.enqueue(async () => {
       try {
-        // Mark as processed to avoid duplicate checks
-        this.processedVideos.add(video);
+        if (!video || !(video instanceof HTMLVideoElement)) {
+          throw new Error('Invalid video element');
+        }
 
-        // Skip if video is already hidden
-        const article = video.closest(SELECTORS.ARTICLE);
-        if (!article || article.style.display === 'none') {
+        uiUtils.addVideoFeedback(video, 'processing');
+        if (this.showNotifications) {
+          uiUtils.showToast(SUCCESS_MESSAGES.REFINGERPRINTING, 'info');
+        }
+
+        // The current algorithm and geometry come first, so the capture that
+        // finds the old entry also provides the new one
+        const fingerprint = await videoUtils.computeMultiFramePHash(video, {
+          algorithms: this.getRequiredAlgorithms(),
+          audio: this.hasAudioEntries({ duration: videoUtils.getDuration(video) }),
+          regions: true,
+          geometries: this.getRequiredGeometries()
+        });
+        const match = this.findMediaIdMatch(video, videoUtils) || (fingerprint && this.isHashBlocked(fingerprint));
+
+        if (!match || !fingerprint) {
+          this.logger.info('Video matches no blocked entry, nothing to re-fingerprint');
+          if (this.showNotifications) {
+            uiUtils.showToast(ERROR_MESSAGES.REFINGERPRINT_NO_MATCH, 'warning');
+          }
           return false;
         }
 
-        this.logger.debug('Checking video for blocking');
+        const { entry } = match;
+        const oldKey = this.hashUtils.getEntryAlgorithmKey(entry);
+        const newKey = this.hashUtils.getAlgorithmKey(fingerprint.algorithm, fingerprint.geometry);
+
+        if (oldKey === newKey) {
+          if (this.showNotifications) {
+            uiUtils.showToast(SUCCESS_MESSAGES.REFINGERPRINT_CURRENT, 'info');
+          }
+          return false;
+        }
 
-        // Compute hash with fewer frames for performance
-        const hash = await videoUtils.computeMultiFramePHash(video, 2);
+        const { hash } = fingerprint;
+        const mediaId = entry.mediaId || videoUtils.getMediaId(video);
+        const metadata = {
+          ...await this.buildVideoMetadata(video, videoUtils, fingerprint),
+          ...(mediaId && { mediaId }),
+          ...(entry.matchPolicy && { matchPolicy: entry.matchPolicy }),
+          ...(entry.blockAction && { blockAction: entry.blockAction }),
+          ...(entry.audio && { audio: entry.audio }),
+          // Hash examples stay tied to the old algorithm key; media ID examples keep working
+          ...(entry.negatives && { negatives: entry.negatives })
+        };
 
-        if (!hash) {
-          this.logger.debug('Could not compute hash for video check');
+        const replaced = await this.storageManager.replaceBlockedHash(entry.hash, hash, metadata);
+        if (!replaced) {
+          throw new Error('Failed to replace hash in storage');
+        }
+
+        this.removeEntryFromCache(entry.hash);
+        this.addEntryToCache({ hash, ...metadata });
+
+        if (this.showNotifications) {
+          uiUtils.showToast(SUCCESS_MESSAGES.REFINGERPRINTED, 'success');
+        }
+        this.logger.info('Blocked entry re-fingerprinted', {
+          matchType: match.type,
+          from: oldKey,
+          to: newKey,
+          hashPreview: hash.substring(0, 16) + '...'
+        });
+
+        return true;
+
+      } catch (error) {
+        this.logger.error('Failed to re-fingerprint video', error);
+        if (this.showNotifications) {
+          uiUtils.showToast(`Re-fingerprint failed: ${error.message}`, 'error');
+        }
+        return false;
+      } finally {
+        uiUtils.addVideoFeedback(video, null);
+      }
+    }, `refingerprint-video-${Date.now()}`, 0, CONCURRENCY.LONG_JOB_TIMEOUT_MS);
+  }
+
+  /**
+   * Block a tweet photo by hashing it and adding it to the blocked list
+   * @param {HTMLImageElement} image - Photo to block
+   * @param {VideoUtils} videoUtils - Video processing utilities
+   * @param {UIUtils} uiUtils - UI utilities
+   * @returns {Promise<boolean>} - Success status
+   */
+  async blockImage(image, videoUtils, uiUtils) {
+    return this.queue.enqueue(async () => {
+      try {
+        if (!image || !(image instanceof HTMLImageElement)) {
+          throw new Error('Invalid image element');
+        }
+
+        this.logger.info('Starting photo blocking process');
+
+        const mediaId = videoUtils.getMediaId(image);
+        if (mediaId && this.mediaIds.has(mediaId)) {
+          this.logger.info('Photo media ID already in blocked list', { mediaId });
+          if (this.showNotifications) {
+            uiUtils.showToast(SUCCESS_MESSAGES.IMAGE_ALREADY_BLOCKED, 'info');
+          }
+          uiUtils.addVideoFeedback(image, 'blocked');
           return false;
         }
 
-        // Check against blocked hashes
-        const isBlocked = this.isHashBlocked(hash);
+        uiUtils.addVideoFeedback(image, 'processing');
+        if (this.showNotifications) {
+          uiUtils.showToast(SUCCESS_MESSAGES.FINGERPRINTING_IMAGE, 'info');
+        }
+
+        const fingerprint = await videoUtils.computeImageFingerprint(
+          image, [HASH_CONFIG.ALGORITHM], false, [HASH_CONFIG.GEOMETRY]
+        );
+        if (!fingerprint) {
+          this.logger.warn('Could not compute photo hash');
+          if (this.showNotifications) {
+            uiUtils.showToast(ERROR_MESSAGES.IMAGE_FAILED, 'warning');
+          }
+          uiUtils.addVideoFeedback(image, 'error');
+          return false;
+        }
 
-        if (isBlocked) {
-          this.logger.info('Matching blocked hash found - auto-blocking video');
+        const { hash } = fingerprint;
 
-          await uiUtils.hideArticle(article);
-          uiUtils.addVideoFeedback(video, 'blocked');
+        if (this.blockedHashes.has(hash)) {
+          this.logger.info('Photo hash already in blocked list');
           if (this.showNotifications) {
-            uiUtils.showToast(SUCCESS_MESSAGES.AUTO_BLOCKED, 'success');
+            uiUtils.showToast(SUCCESS_MESSAGES.IMAGE_ALREADY_BLOCKED, 'info');
           }
+          uiUtils.addVideoFeedback(image, 'blocked');
+          return false;
+        }
 
-          this.stats.videosBlocked++;
-          this.stats.matchesFound++;
+        // Photos have no motion or audio, so the single hash is the whole fingerprint
+        const metadata = {
+          algorithm: fingerprint.algorithm,
+          algorithmVersion: fingerprint.algorithmVersion,
+          geometry: fingerprint.geometry,
+          geometryVersion: fingerprint.geometryVersion,
+          colorSignature: fingerprint.colorSignature,
+          ...(fingerprint.aspectRatio && { aspectRatio: fingerprint.aspectRatio }),
+          mediaType: MEDIA_TYPES.IMAGE,
+          matchPolicy: MATCH_POLICIES.VISUAL,
+          ...(mediaId && { mediaId })
+        };
 
-          return true;
+        const entry = { hash, ...metadata };
+        const saved = await this.storageManager.saveBlockedHash(hash, metadata);
+        if (!saved) {
+          throw new Error('Failed to save hash to storage');
         }
 
-        return false;
+        this.addEntryToCache(entry);
+        this.stats.hashesAdded++;
+        this.processedImages.set(image, fingerprint.url);
+
+        const article = image.closest(SELECTORS.ARTICLE);
+        if (article) {
+          await uiUtils.applyBlockAction(article, image, this.getBlockAction(entry), MEDIA_TYPES.IMAGE);
+          this.stats.imagesBlocked++;
+        }
+
+        this.offerUndo(hash, article, SUCCESS_MESSAGES.IMAGE_BLOCKED, uiUtils);
+        this.logger.info('Photo blocked successfully', {
+          hashPreview: hash.substring(0, 16) + '...',
+          totalBlocked: this.blockedHashes.size
+        });
+
+        return true;
 
       } catch (error) {
-        this.logger.warn('Error during video check', error);
+        this.logger.error('Failed to block photo', error);
+        if (this.showNotifications) {
+          uiUtils.showToast(`Block failed: ${error.message}`, 'error');
+        }
+        uiUtils.addVideoFeedback(image, 'error');
         return false;
+      } finally {
+        uiUtils.addVideoFeedback(image, null);
       }
-    }, `check-video-${Date.now()}`, 1);
+    }, `block-image-${Date.now()}`, 0, CONCURRENCY.LONG_JOB_TIMEOUT_MS);
   }
 
   /**
-   * Check if a hash matches any blocked hash
-   * @param {string} hash - Hash to check
-   * @returns {boolean} - True if hash is blocked
+   * Check if a tweet photo should be blocked
+   * Photos are only compared against image entries. A photo element is
+   * checked again when its source changes (e.g. a recycled timeline cell).
+   * @param {HTMLImageElement} image - Loaded photo to check
+   * @param {VideoUtils} videoUtils - Video processing utilities
+   * @param {UIUtils} uiUtils - UI utilities
+   * @returns {Promise<boolean>} - True if the photo was blocked
    */
-  isHashBlocked(hash) {
-    if (!hash) return false;
-
-    // Direct match
-    if (this.blockedHashes.has(hash)) {
-      return true;
+  async checkAndBlockImage(image, videoUtils, uiUtils) {
+    const url = videoUtils.getPhotoUrl(image);
+    if (!url || !this.hasImageEntries() || this.processedImages.get(image) === url) {
+      return false;
     }
+    this.processedImages.set(image, url);
+
+    return this.queue.enqueue(async () => {
+      try {
+        const article = image.closest(SELECTORS.ARTICLE);
+        if (!article || this.isArticleHandled(article, uiUtils)) {
+          return false;
+        }
+
+        let match = this.findMediaIdMatch(image, videoUtils);
+        let fingerprint = null;
+        if (!match) {
+          fingerprint = await videoUtils.computeImageFingerprint(
+            image, this.getRequiredAlgorithms(), HASH_CONFIG.FLIP_INVARIANT, this.getRequiredGeometries()
+          );
+          match = fingerprint && this.isHashBlocked(fingerprint);
+        }
+        if (!match || this.isDismissed(match, image, videoUtils) ||
+            this.isAllowed(article, image, fingerprint, videoUtils)) {
+          return false;
+        }
 
-    // Similar hash check
-    for (const blockedHash of this.blockedHashes) {
-      if (this.hashUtils.areHashesSimilar(hash, blockedHash)) {
-        this.logger.debug('Similar hash match found', {
-          newHash: hash.substring(0, 16) + '...',
-          blockedHash: blockedHash.substring(0, 16) + '...'
+        this.logger.info('Matching blocked photo found - auto-blocking', {
+          matchType: match.type,
+          distance: match.distance,
+          orientation: match.orientation
         });
+
+        const details = this.getMatchDetails(
+          match, { article, element: image, fingerprint, mediaType: MEDIA_TYPES.IMAGE }, videoUtils, uiUtils
+        );
+        await uiUtils.applyBlockAction(article, image, this.getBlockAction(match.entry), MEDIA_TYPES.IMAGE, details);
+        this.notifyAutoBlock(SUCCESS_MESSAGES.IMAGE_AUTO_BLOCKED, details, uiUtils);
+
+        this.stats.imagesBlocked++;
+        this.stats.matchesFound++;
+        if (match.type === 'media-id') this.stats.mediaIdMatches++;
+
         return true;
+      } catch (error) {
+        this.logger.warn('Error during photo check', error);
+        return false;
       }
-    }
-
-    return false;
+    }, `check-image-${Date.now()}`, 2);
   }
 
   /**
-   * Clear all blocked hashes
-   * @returns {Promise<boolean>} - Success status
+   * Check a video's poster image and block it before playback starts
+   * Only a media ID or poster match blocks here; anything else is left to
+   * frame hashing.
+   * @param {HTMLVideoElement} video - Video to check
+   * @param {VideoUtils} videoUtils - Video processing utilities
+   * @param {UIUtils} uiUtils - UI utilities
+   * @returns {Promise<boolean>} - True if video was blocked
    */
-  async clearAllBlocked() {
-    try {
-      const success = await this.storageManager.clearAllHashes();
-      if (success) {
-        this.blockedHashes.clear();
-        this.processedVideos = new WeakSet();
-        this.stats.hashesAdded = 0;
-        this.logger.info('All blocked hashes cleared');
-      }
-      return success;
-    } catch (error) {
-      this.logger.error('Failed to clear blocked hashes', error);
+  async checkPosterAndBlock(video, videoUtils, uiUtils) {
+    const posterUrl = videoUtils.getPosterUrl(video);
+    if (!posterUrl || (!this.hasPosterEntries() && this.mediaIds.size === 0) || this.processedVideos.has(video) ||
+        this.posterCheckedVideos.get(video) === posterUrl) {
       return false;
     }
+    this.posterCheckedVideos.set(video, posterUrl);
+
+    return this.queue.enqueue(async () => {
+      try {
+        const article = video.closest(SELECTORS.ARTICLE);
+        if (!article || this.isArticleHandled(article, uiUtils)) {
+          return false;
+        }
+
+        // Poster URLs carry the media ID, so an exact match needs no fetch
+        let match = this.findMediaIdMatch(video, videoUtils);
+        if (!match && this.hasPosterEntries()) {
+          const fingerprint = await videoUtils.computePosterFingerprint(
+            video, this.getRequiredAlgorithms(), HASH_CONFIG.FLIP_INVARIANT, this.getRequiredGeometries()
+          );
+          match = fingerprint && this.isPosterBlocked(fingerprint);
+        }
+        // Poster hashes aren't frame hashes, so only the media ID and author are checked against the allowlist
+        if (!match || this.isDismissed(match, video, videoUtils) || this.isAllowed(article, video, null, videoUtils)) {
+          return false;
+        }
+
+        this.logger.info('Blocked video found before playback', {
+          matchType: match.type,
+          distance: match.distance,
+          orientation: match.orientation
+        });
+
+        this.processedVideos.add(video);
+
+        const details = this.getMatchDetails(
+          match, { article, element: video, fingerprint: null, mediaType: MEDIA_TYPES.VIDEO }, videoUtils, uiUtils
+        );
+        await uiUtils.applyBlockAction(article, video, this.getBlockAction(match.entry), MEDIA_TYPES.VIDEO, details);
+        this.notifyAutoBlock(SUCCESS_MESSAGES.AUTO_BLOCKED, details, uiUtils);
+
+        this.stats.videosBlocked++;
+        this.stats.matchesFound++;
+        this.stats[match.type === 'media-id' ? 'mediaIdMatches' : 'posterMatches']++;
+
+        return true;
+      } catch (error) {
+        this.logger.warn('Error during poster check', error);
+        return false;
+      }
+    }, `check-poster-${Date.now()}`, 3);
   }
 
   /**
-   * Get blocker statistics
-   * @returns {Object} - Current statistics
+   * Look up a media element's Twitter media ID in the blocklist
+   * An ID match means the very same upload, so it blocks regardless of the
+   * entry's match policy.
+   * @param {HTMLVideoElement|HTMLImageElement} element - Media element
+   * @param {VideoUtils} videoUtils - Video processing utilities
+   * @returns {Object|null} - Match ({entry, type: 'media-id', distance, score, offsetSeconds, orientation}) or null
    */
-  getStats() {
+  findMediaIdMatch(element, videoUtils) {
+    if (this.mediaIds.size === 0) return null;
+
+    const mediaId = videoUtils.getMediaId(element);
+    const entry = mediaId && this.mediaIds.get(mediaId);
+    if (!entry) return null;
+
+    this.logger.debug('Media ID match found', {
+      mediaId,
+      blockedHash: entry.hash.substring(0, 16) + '...'
+    });
+
     return {
-      ...this.stats,
-      totalBlockedHashes: this.blockedHashes.size,
-      showNotifications: this.showNotifications
+      entry,
+      type: 'media-id',
+      distance: 0,
+      score: 1,
+      offsetSeconds: 0,
+      orientation: 'normal',
+      colorDistance: NaN,
+      audio: null
     };
   }
 
   /**
-   * Add hash directly to blocked list
-   * @param {string} hash - Hash to add
-   * @returns {Promise<boolean>} - Success status
+   * Check if a poster fingerprint matches any blocked entry's poster
+   * Entries whose policy needs audio can't be matched from a poster.
+   * @param {Object} fingerprint - Poster fingerprint from VideoUtils
+   * @returns {Object|null} - Nearest match ({entry, type: 'poster', distance, score, offsetSeconds, orientation}) or null
    */
-  async addBlockedHash(hash) {
-    try {
-      if (!hash || typeof hash !== 'string') {
-        throw new Error('Invalid hash provided');
-      }
+  isPosterBlocked(fingerprint) {
+    const noAudio = new Map();
+    let best = null;
 
-      const validation = this.hashUtils.validateHash(hash);
-      if (!validation.valid) {
-        throw new Error(`Invalid hash: ${validation.issues.join(', ')}`);
-      }
+    for (const { key, orientation, hash } of this.getFingerprintVariants(fingerprint)) {
+      if (!hash) continue;
 
-      const saved = await this.storageManager.saveBlockedHash(hash);
-      if (saved) {
-        this.blockedHashes.add(hash);
-        this.stats.hashesAdded++;
-      }
+      const threshold = this.hashUtils.scaleThreshold(HASH_CONFIG.HAMMING_THRESHOLD, hash);
+      const nearest = this.posterIndex.search(hash, key, threshold)
+        .find(({ value }) => this.allowsVisualMatch(value, noAudio));
 
-      return saved;
-    } catch (error) {
-      this.logger.error('Failed to add blocked hash', error);
-      return false;
+      const match = nearest && {
+        entry: nearest.value,
+        type: 'poster',
+        distance: nearest.distance,
+        score: 1,
+        offsetSeconds: 0,
+        orientation
+      };
+      if (match && (!best || this.getRelativeDistance(match) < this.getRelativeDistance(best))) {
+        best = match;
+      }
     }
+
+    return best;
   }
 
   /**
-   * Remove hash from blocked list
-   * @param {string} hash - Hash to remove
-   * @returns {Promise<boolean>} - Success status
+   * Check if a video should be blocked based on its hash
+   * @param {HTMLVideoElement} video - Video to check
+   * @param {VideoUtils} videoUtils - Video processing utilities
+   * @param {UIUtils} uiUtils - UI utilities
+   * @returns {Promise<boolean>} - True if video was blocked
    */
-  async removeBlockedHash(hash) {
+  async checkAndBlockVideo(video, videoUtils, uiUtils) {
+    if (!video || this.processedVideos.has(video)) {
+      return false;
+    }
+
+    return this.queue.enqueue(async (signal) => {
+      try {
+        // Mark as processed to avoid duplicate checks
+        this.processedVideos.add(video);
+
+        // Skip if video is already hidden
+        const article = video.closest(SELECTORS.ARTICLE);
+        if (!article || this.isArticleHandled(article, uiUtils)) {
+          return false;
+        }
+
+        this.logger.debug('Checking video for blocking');
+
+        // An exact media ID match skips perceptual hashing altogether
+        let match = this.findMediaIdMatch(video, videoUtils);
+
+        // Compute hash with fewer frames for performance, for every algorithm in the blocklist.
+        // Recording audio takes seconds, so it's only done when an entry of this duration needs it
+        const algorithms = this.getRequiredAlgorithms();
+        const geometries = this.getRequiredGeometries();
+        const fingerprint = match ? null : await videoUtils.computeMultiFramePHash(video, {
+          frameCount: 2,
+          algorithms,
+          mirror: HASH_CONFIG.FLIP_INVARIANT,
+          audio: this.hasAudioEntries({ duration: videoUtils.getDuration(video) }),
+          regions: this.hasRegionEntries(),
+          geometries
+        });
+
+        if (!match && !fingerprint) {
+          this.logger.debug('Could not compute hash for video check');
+          return false;
+        }
+
+        // Check against blocked hashes
+        match = match || this.isHashBlocked(fingerprint);
+
+        // Look for blocked clips inside longer videos (e.g. compilations). Sampling the whole
+        // video takes a seek per second, so only videos some sequence entry could be inside qualify
+        if (!match && video.duration > VIDEO_PROCESSING.SEQUENCE_INTERVAL_S * 2 &&
+            this.hasSequenceEntries(fingerprint)) {
+          const sequence = await videoUtils.computeSequenceFingerprint(video, {
+            algorithms,
+            mirror: HASH_CONFIG.FLIP_INVARIANT,
+            geometries,
+            signal
+          });
+          if (sequence) {
+            match = this.isHashBlocked({ ...sequence, audio: fingerprint.audio });
+          }
+        }
+
+        if (match && !this.isDismissed(match, video, videoUtils) &&
+            !this.isAllowed(article, video, fingerprint, videoUtils)) {
+          this.logger.info('Matching blocked hash found - auto-blocking video', {
+            matchType: match.type,
+            distance: match.distance,
+            score: match.score,
+            offsetSeconds: match.offsetSeconds,
+            orientation: match.orientation,
+            regions: match.regions,
+            audioScore: match.audio?.score
+          });
+
+          const details = this.getMatchDetails(
+            match, { article, element: video, fingerprint, mediaType: MEDIA_TYPES.VIDEO }, videoUtils, uiUtils
+          );
+          await uiUtils.applyBlockAction(article, video, this.getBlockAction(match.entry), MEDIA_TYPES.VIDEO, details);
+          this.notifyAutoBlock(match.offsetSeconds > 0
+            ? `${SUCCESS_MESSAGES.CLIP_BLOCKED} ${uiUtils.formatTimestamp(match.offsetSeconds)}`
+            : SUCCESS_MESSAGES.AUTO_BLOCKED, details, uiUtils);
+
+          this.stats.videosBlocked++;
+          this.stats.matchesFound++;
+          if (match.type === 'media-id') this.stats.mediaIdMatches++;
+
+          return true;
+        }
+
+        return false;
+
+      } catch (error) {
+        this.logger.warn('Error during video check', error);
+        return false;
+      }
+    }, `check-video-${Date.now()}`, 1, CONCURRENCY.LONG_JOB_TIMEOUT_MS);
+  }
+
+  /**
+   * Check a rolling window of a playing video and block it on a match
+   * Called by the playback monitor, so material that only appears later in
+   * a long video is caught when it plays. The entry's block action is
+   * applied right away.
+   * @param {HTMLVideoElement} video - Playing video
+   * @param {Object} fingerprint - Partial fingerprint of the most recent playback
+   * @param {VideoUtils} videoUtils - Video processing utilities
+   * @param {UIUtils} uiUtils - UI utilities
+   * @returns {Promise<boolean>} - True if video was blocked
+   */
+  async checkPlaybackFingerprint(video, fingerprint, videoUtils, uiUtils) {
+    const article = video.closest(SELECTORS.ARTICLE);
+    if (!article || this.isArticleHandled(article, uiUtils)) {
+      return false;
+    }
+
+    const match = this.isHashBlocked(fingerprint);
+    // A window of single frames isn't a whole-video fingerprint, so only the media ID and author are checked
+    if (!match || this.isDismissed(match, video, videoUtils) || this.isAllowed(article, video, null, videoUtils)) {
+      return false;
+    }
+
+    this.logger.info('Blocked content found during playback - blocking video', {
+      matchType: match.type,
+      distance: match.distance,
+      score: match.score,
+      offsetSeconds: match.offsetSeconds,
+      orientation: match.orientation
+    });
+
+    const details = this.getMatchDetails(
+      match, { article, element: video, fingerprint: null, mediaType: MEDIA_TYPES.VIDEO }, videoUtils, uiUtils
+    );
+    await uiUtils.applyBlockAction(article, video, this.getBlockAction(match.entry), MEDIA_TYPES.VIDEO, details);
+    this.notifyAutoBlock(`${SUCCESS_MESSAGES.CLIP_BLOCKED} ${uiUtils.formatTimestamp(match.offsetSeconds)}`,
+      details, uiUtils);
+
+    this.stats.videosBlocked++;
+    this.stats.matchesFound++;
+    this.stats.playbackMatches++;
+
+    return true;
+  }
+
+  /**
+   * Check if a fingerprint matches any blocked entry
+   * Entries are only compared against hashes from the same algorithm version
+   * and geometry, and candidates come from the BK-tree indexes rather than a
+   * linear scan. The threshold is scaled to each geometry's hash length, and
+   * matches from different geometries are ranked by relative distance.
+   * Entries with a temporal signature are searched for inside the candidate's
+   * frame sequence (sampled at the same interval); legacy single-hash entries
+   * fall back to one Hamming distance. The whole-video hash averages frames
+   * picked by the sampling mode (keyframes, passively collected frames or a
+   * burst), so it is only compared with entries sampled the same way; other
+   * entries are matched on their single frames instead ('frames' match).
+   * Fingerprints carrying mirrored hashes also match entries blocked in the
+   * other orientation.
+   * Each entry's match policy decides whether a visual match, an audio match
+   * or both are needed. When both sides carry a color signature, visual
+   * matches with very different colors are rejected (except clips, whose
+   * colors are pooled over a whole compilation) and equally close matches
+   * are ranked by color. Photos and videos only match entries of their own
+   * media type. Entries whose recorded duration or aspect ratio rules out the
+   * candidate are skipped before any hashes are compared. When nothing
+   * matches on the full frame, enough matching sub-regions (a repost with a
+   * caption bar, logo or inset) still make a 'region' match. A `partial`
+   * fingerprint (a rolling window of playback) also matches when its frames
+   * occur anywhere inside a longer blocked sequence.
+   * @param {Object|string} fingerprint - Fingerprint from VideoUtils or bare hash (current algorithm)
+   * @returns {Object|null} - Nearest match ({entry, type, distance, score, offsetSeconds, orientation, colorDistance,
+   *   audio, regions?}, plus the candidate's `candidateFrames` or `candidateRegions` behind frame and region matches)
+   *   or null
+   */
+  isHashBlocked(fingerprint) {
+    if (!fingerprint) return null;
+
+    const variants = this.getFingerprintVariants(fingerprint);
+    const {
+      frameInterval, startTime = 0, audio, colorSignature, mediaType = MEDIA_TYPES.VIDEO, duration, aspectRatio, partial,
+      sampling
+    } = typeof fingerprint === 'string' ? {} : fingerprint;
+    const threshold = HASH_CONFIG.HAMMING_THRESHOLD;
+    const audioMatches = this.audioIndex.search(audio);
+    const allowsVisual = (entry) => this.getMediaType(entry) === mediaType &&
+      this.allowsVisualMatch(entry, audioMatches);
+    const withAudio = (match) => match && { ...match, audio: audioMatches.get(match.entry) || null };
+    // Whole-video hashes of candidates without a sampling mode (photos, bare hashes) are always compared
+    const sampledAlike = (entry) => !sampling || this.getSampling(entry) === sampling;
+
+    let best = null;
+    let colorRejected = 0;
+    let negativeRejected = 0;
+    let prefiltered = 0;
+
+    // Clips may sit inside longer candidates, so sequence checks allow longer durations
+    const plausible = (entry, allowLonger = false) => {
+      if (this.isPlausibleMatch(entry, { duration, aspectRatio }, allowLonger)) return true;
+      prefiltered++;
+      return false;
+    };
+
+    // Keep a visual match if its colors agree, it isn't closer to one of the
+    // entry's negative examples, and it beats the current best
+    const consider = (match) => {
+      match.colorDistance = HASH_CONFIG.COLOR_CHECK
+        ? this.hashUtils.colorDistance(match.entry.colorSignature, colorSignature)
+        : NaN;
+
+      if (match.type !== 'clip' && match.colorDistance > HASH_CONFIG.COLOR_MAX_DISTANCE) {
+        colorRejected++;
+        return false;
+      }
+
+      if (this.isCloserToNegative(match, variants)) {
+        negativeRejected++;
+        return false;
+      }
+
+      if (!best || this.isCloserMatch(match, best)) {
+        best = match;
+      }
+      return true;
+    };
+
+    // Direct match
+    for (const { key, orientation, hash } of variants) {
+      const entry = hash && this.blockedHashes.get(hash);
+      if (entry && this.hashUtils.getEntryAlgorithmKey(entry) === key && sampledAlike(entry) && allowsVisual(entry) &&
+          plausible(entry) && consider({ entry, type: 'exact', distance: 0, score: 1, offsetSeconds: 0, orientation })) {
+        return withAudio(best);
+      }
+    }
+
+    for (const { key, orientation, hash, frameHashes } of variants) {
+      // Entries sampled at the candidate's interval are judged on their sequence only;
+      // unevenly spaced frames (null interval) on either side fall back to the whole hash
+      const usesSequence = (entry) => frameHashes?.length > 0 &&
+        entry.frameHashes?.length > 0 &&
+        frameInterval != null &&
+        this.getFrameInterval(entry) === frameInterval;
+
+      // Temporal match: only entries sharing at least one close frame are aligned
+      const frameCandidates = this.findSequenceCandidates(frameHashes, key, threshold);
+      for (const entry of frameCandidates) {
+        if (!usesSequence(entry) || !allowsVisual(entry) || !plausible(entry, true)) continue;
+
+        // A partial window shorter than the entry is looked for inside the entry instead
+        const inEntry = partial && frameHashes.length < entry.frameHashes.length;
+        const alignment = inEntry
+          ? this.hashUtils.findHashSubsequence(frameHashes, entry.frameHashes)
+          : this.hashUtils.findHashSubsequence(entry.frameHashes, frameHashes);
+        if (!alignment || alignment.score < HASH_CONFIG.SEQUENCE_MATCH_RATIO) continue;
+
+        consider({
+          entry,
+          type: (inEntry ? startTime > 0 : alignment.offset > 0) ? 'clip' : 'sequence',
+          distance: alignment.averageDistance,
+          score: alignment.score,
+          offsetSeconds: startTime + (inEntry ? 0 : alignment.offset * frameInterval),
+          orientation,
+          candidateFrames: inEntry
+            ? frameHashes
+            : frameHashes.slice(alignment.offset, alignment.offset + entry.frameHashes.length)
+        });
+      }
+
+      // Similar hash check against indexed entries, nearest first
+      if (hash) {
+        const hashThreshold = this.hashUtils.scaleThreshold(threshold, hash);
+        for (const { value, distance } of this.hashIndex.search(hash, key, hashThreshold)) {
+          if (usesSequence(value) || !sampledAlike(value) || !allowsVisual(value) || !plausible(value)) continue;
+          if (best && this.getRelativeDistance({ entry: value, distance }) > this.getRelativeDistance(best)) break;
+
+          consider({ entry: value, type: 'hash', distance, score: 1, offsetSeconds: 0, orientation });
+        }
+      }
+
+      // Entries sampled another way: enough candidate frames must have a close frame in the entry
+      for (const entry of frameCandidates) {
+        if (usesSequence(entry) || sampledAlike(entry) || !allowsVisual(entry) || !plausible(entry)) continue;
+
+        const result = this.hashUtils.matchHashSet(frameHashes, entry.frameHashes, threshold);
+        if (result.score < HASH_CONFIG.SEQUENCE_MATCH_RATIO) continue;
+
+        consider({
+          entry,
+          type: 'frames',
+          distance: result.averageDistance,
+          score: result.score,
+          offsetSeconds: 0,
+          orientation,
+          candidateFrames: frameHashes
+        });
+      }
+    }
+
+    // Region match: enough sub-regions agree although the full frame doesn't
+    if (!best) {
+      for (const { key, orientation, regions } of variants) {
+        for (const match of this.findRegionMatches(regions, key, threshold)) {
+          if (!allowsVisual(match.entry) || !plausible(match.entry)) continue;
+          consider({ ...match, orientation, candidateRegions: regions });
+        }
+      }
+    }
+
+    if (prefiltered > 0) {
+      this.logger.debug('Entries skipped by duration/aspect ratio prefilter', { count: prefiltered });
+    }
+    if (colorRejected > 0) {
+      this.logger.debug('Visual matches rejected by color signature', { count: colorRejected });
+    }
+    if (negativeRejected > 0) {
+      this.stats.negativeSuppressions += negativeRejected;
+      this.logger.debug('Visual matches rejected by negative examples', { count: negativeRejected });
+    }
+
+    // Audio-only match for entries whose policy accepts it
+    if (!best) {
+      for (const [entry, audioMatch] of audioMatches) {
+        const policy = this.getMatchPolicy(entry);
+        if (policy !== MATCH_POLICIES.AUDIO && policy !== MATCH_POLICIES.EITHER) continue;
+
+        if (!best || audioMatch.score > best.score) {
+          best = {
+            entry,
+            type: 'audio',
+            distance: null,
+            score: audioMatch.score,
+            offsetSeconds: 0,
+            orientation: 'normal'
+          };
+        }
+      }
+    }
+
+    if (best) {
+      this.logger.debug('Similar hash match found', {
+        blockedHash: best.entry.hash.substring(0, 16) + '...',
+        algorithm: best.entry.algorithm || 'phash',
+        type: best.type,
+        distance: best.distance,
+        score: best.score,
+        offsetSeconds: best.offsetSeconds,
+        orientation: best.orientation,
+        colorDistance: best.colorDistance,
+        regions: best.regions,
+        policy: this.getMatchPolicy(best.entry)
+      });
+    }
+
+    return withAudio(best);
+  }
+
+  /**
+   * Find entries with at least one frame close to any candidate frame
+   * @param {string[]} frameHashes - Candidate frame hashes
+   * @param {string} key - Algorithm key
+   * @param {number} threshold - Maximum distance per frame for a REFERENCE_BITS-bit hash
+   * @returns {Set<Object>} - Candidate entries
+   * @private
+   */
+  findSequenceCandidates(frameHashes, key, threshold) {
+    const candidates = new Set();
+
+    for (const frameHash of frameHashes || []) {
+      if (!frameHash) continue;
+      const frameThreshold = this.hashUtils.scaleThreshold(threshold, frameHash);
+      for (const { value } of this.frameIndex.search(frameHash, key, frameThreshold)) {
+        candidates.add(value);
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Find entries with enough sub-regions close to the candidate's
+   * Each region is only compared with the same region of blocked entries.
+   * @param {Object<string, string>|undefined} regions - Candidate region hashes by region name
+   * @param {string} key - Algorithm key
+   * @param {number} threshold - Maximum distance per region for a REFERENCE_BITS-bit hash
+   * @returns {Array<Object>} - Matches ({entry, type: 'region', distance, score, offsetSeconds, regions})
+   * @private
+   */
+  findRegionMatches(regions, key, threshold) {
+    if (!regions) return [];
+
+    const matched = new Map(); // entry -> Map(region name -> distance)
+    for (const [name, hash] of Object.entries(regions)) {
+      const regionThreshold = this.hashUtils.scaleThreshold(threshold, hash);
+      for (const { value, distance } of this.regionIndex.search(hash, `${key}#${name}`, regionThreshold)) {
+        if (!matched.has(value)) matched.set(value, new Map());
+        const distances = matched.get(value);
+        distances.set(name, Math.min(distance, distances.get(name) ?? Infinity));
+      }
+    }
+
+    const matches = [];
+    for (const [entry, distances] of matched) {
+      if (distances.size < HASH_CONFIG.REGION_MATCH_MIN) continue;
+
+      const compared = Object.keys(entry.regionHashes || {}).filter(name => name in regions).length;
+      const total = Array.from(distances.values()).reduce((sum, distance) => sum + distance, 0);
+      matches.push({
+        entry,
+        type: 'region',
+        distance: total / distances.size,
+        score: distances.size / Math.max(compared, distances.size),
+        offsetSeconds: 0,
+        regions: Array.from(distances.keys())
+      });
+    }
+
+    return matches;
+  }
+
+  /**
+   * Normalize a fingerprint into per-algorithm, per-orientation hashes
+   * @param {Object|string} fingerprint - Fingerprint from VideoUtils or bare hash
+   * @returns {Array<{key: string, orientation: string, hash: string, frameHashes: string[], regions?: Object}>}
+   * @private
+   */
+  getFingerprintVariants(fingerprint) {
+    if (typeof fingerprint === 'string') {
+      return [{ key: this.hashUtils.getAlgorithmKey(), orientation: 'normal', hash: fingerprint }];
+    }
+
+    if (!fingerprint.hashes) {
+      const key = this.hashUtils.getAlgorithmKey(fingerprint.algorithm || HASH_CONFIG.ALGORITHM, fingerprint.geometry);
+      return [{ key, orientation: 'normal', hash: fingerprint.hash, frameHashes: fingerprint.frameHashes }];
+    }
+
+    const variants = [];
+    for (const [key, { hash, frameHashes, regions, mirrored }] of Object.entries(fingerprint.hashes)) {
+      variants.push({ key, orientation: 'normal', hash, frameHashes, regions });
+      if (mirrored) {
+        variants.push({ key, orientation: 'mirrored', ...mirrored });
+      }
+    }
+    return variants;
+  }
+
+  /**
+   * Get the block action for an entry
+   * @param {Object|null} entry - Matched or new blocklist entry
+   * @returns {string} - The entry's own action, or the configured default
+   * @private
+   */
+  getBlockAction(entry) {
+    return entry && blockActions.has(entry.blockAction) ? entry.blockAction : HASH_CONFIG.BLOCK_ACTION;
+  }
+
+  /**
+   * Check if a tweet is already blocked, or was revealed again by the user
+   * @param {HTMLElement} article - Tweet article
+   * @param {UIUtils} uiUtils - UI utilities
+   * @returns {boolean}
+   * @private
+   */
+  isArticleHandled(article, uiUtils) {
+    return article.style.display === 'none' || !!uiUtils.getBlockAction(article) || uiUtils.isRevealed(article);
+  }
+
+  /**
+   * Get a key identifying a media element's content across re-renders
+   * @returns {string|null} - Media ID, or the photo or poster URL
+   * @private
+   */
+  getMediaKey(element, videoUtils) {
+    if (!element || !videoUtils) return null;
+    return videoUtils.getMediaId(element) ||
+      (element instanceof HTMLImageElement ? videoUtils.getPhotoUrl(element) : videoUtils.getPosterUrl(element)) ||
+      null;
+  }
+
+  /**
+   * Check if a match was dismissed with "Not a match" for this media
+   * Covers dismissals of this page session and negative examples stored
+   * with the media ID, which poster and playback matches can't be compared
+   * against by hash.
+   * @private
+   */
+  isDismissed(match, element, videoUtils) {
+    const key = this.getMediaKey(element, videoUtils);
+    if (key && this.dismissedMatches.get(key)?.has(match.entry.hash)) return true;
+
+    const mediaId = match.entry.negatives && videoUtils && videoUtils.getMediaId(element);
+    return !!mediaId && match.entry.negatives.some(negative => negative.mediaId === mediaId);
+  }
+
+  /**
+   * Check if a candidate is closer to a negative example of the matched entry than to the entry
+   * The candidate is compared on the signal that produced the match, in the
+   * entry's algorithm key: the aligned frame run of sequence and clip
+   * matches, the frames of a 'frames' match, the matched regions of a region
+   * match, and otherwise the whole-media hash in the orientation the match
+   * was found in. Negative examples without that signal are skipped, and an
+   * exact hit on the entry is never suppressed.
+   * @param {Object} match - Visual match being considered
+   * @param {Object[]} variants - Candidate variants from getFingerprintVariants
+   * @returns {boolean}
+   * @private
+   */
+  isCloserToNegative(match, variants) {
+    const { entry, orientation } = match;
+    if (!entry.negatives || entry.negatives.length === 0) return false;
+
+    const key = this.hashUtils.getEntryAlgorithmKey(entry);
+    const negatives = entry.negatives.filter(negative => negative.key === key);
+    const isCloser = (distance) => Number.isFinite(distance) && distance < match.distance;
+
+    switch (match.type) {
+      case 'sequence':
+      case 'clip':
+        return negatives.some(negative => negative.frameHashes &&
+          isCloser(this.hashUtils.compareHashSequences(match.candidateFrames, negative.frameHashes).averageDistance));
+      case 'frames':
+        return negatives.some(negative => negative.frameHashes &&
+          isCloser(this.hashUtils.matchHashSet(match.candidateFrames, negative.frameHashes).averageDistance));
+      case 'region':
+        return negatives.some(negative => negative.regionHashes &&
+          isCloser(this.getRegionDistance(match.candidateRegions, negative.regionHashes, match.regions)));
+      default: {
+        const variant = variants.find(candidate => candidate.key === key && candidate.orientation === orientation);
+        if (!variant || !variant.hash) return false;
+
+        return negatives.some(negative => negative.hash &&
+          isCloser(this.hashUtils.hammingDistance(variant.hash, negative.hash)));
+      }
+    }
+  }
+
+  /**
+   * Average distance between two sets of region hashes
+   * @param {Object<string, string>} regions - Region hashes by region name
+   * @param {Object<string, string>} others - Region hashes to compare with
+   * @param {string[]} names - Regions to compare
+   * @returns {number} - Mean distance over the regions both have, or Infinity if none
+   * @private
+   */
+  getRegionDistance(regions, others, names) {
+    const distances = names
+      .filter(name => regions?.[name] && others[name])
+      .map(name => this.hashUtils.hammingDistance(regions[name], others[name]));
+    return distances.length > 0 ? distances.reduce((sum, distance) => sum + distance, 0) / distances.length : Infinity;
+  }
+
+  /**
+   * Store the media of a wrong match as a negative example of the entry
+   * The example holds the candidate's whole-media hash in the entry's
+   * algorithm key, taken in the orientation that matched, plus the frames
+   * or regions behind a frame or region match, so later matches can be
+   * compared on the same signal. Media without any of these (poster and
+   * playback matches) are stored by media ID only.
+   * @param {Object} match - The wrong match
+   * @param {HTMLVideoElement|HTMLImageElement} element - Matched media
+   * @param {Object|null} fingerprint - Whole-media fingerprint of the media, if computed
+   * @param {VideoUtils} videoUtils - Video processing utilities
+   * @returns {Promise<boolean>} - True if the example was stored
+   * @private
+   */
+  async addNegativeExample(match, element, fingerprint, videoUtils) {
+    const key = this.hashUtils.getEntryAlgorithmKey(match.entry);
+    const hashes = fingerprint && fingerprint.hashes && fingerprint.hashes[key];
+    const hash = hashes && (match.orientation === 'mirrored' ? hashes.mirrored?.hash : hashes.hash);
+    const regionHashes = match.candidateRegions && Object.fromEntries(
+      match.regions.map(name => [name, match.candidateRegions[name]])
+    );
+    const signals = {
+      ...(hash && { hash }),
+      ...(match.candidateFrames && { frameHashes: match.candidateFrames }),
+      ...(regionHashes && { regionHashes })
+    };
+    const mediaId = videoUtils.getMediaId(element);
+    if (Object.keys(signals).length === 0 && !mediaId) return false;
+
+    const entry = await this.storageManager.addNegativeExample(match.entry.hash, {
+      ...(Object.keys(signals).length > 0 && { key, ...signals }),
+      ...(mediaId && { mediaId })
+    }, HASH_CONFIG.MAX_NEGATIVE_EXAMPLES);
+    if (!entry) return false;
+
+    this.addEntryToCache(entry);
+    return true;
+  }
+
+  /**
+   * Get the @handle of a tweet's author
+   * @param {HTMLElement} article - Tweet article
+   * @returns {string|null} - Handle without @, or null if not found
+   * @private
+   */
+  getTweetAuthor(article) {
+    const link = article && article.querySelector(SELECTORS.TWEET_AUTHOR_LINK);
+    return link ? normalizeHandle(link.getAttribute('href').split('/')[1]) : null;
+  }
+
+  /**
+   * Check if a matched tweet is protected by the allowlist
+   * @param {HTMLElement} article - Tweet article
+   * @param {HTMLVideoElement|HTMLImageElement} element - Matched media
+   * @param {Object|null} fingerprint - Whole-media fingerprint of the media, if computed
+   * @param {VideoUtils} videoUtils - Video processing utilities
+   * @returns {boolean}
+   * @private
+   */
+  isAllowed(article, element, fingerprint, videoUtils) {
+    const handle = this.getTweetAuthor(article);
+    const allowed = this.allowlist.isHandleAllowed(handle) ||
+      this.allowlist.isMediaAllowed(videoUtils.getMediaId(element), fingerprint);
+
+    if (allowed) {
+      this.stats.allowlistSkips++;
+      this.logger.debug('Match skipped, media or author is allowlisted', { handle });
+    }
+    return allowed;
+  }
+
+  /**
+   * Show the auto-block toast, with buttons to reject the match or allowlist the media
+   * @private
+   */
+  notifyAutoBlock(message, details, uiUtils) {
+    if (!this.showNotifications) return;
+    uiUtils.showActionToast(message, [
+      { label: 'Not a match', onClick: details.onNotAMatch },
+      { label: 'Always allow', onClick: details.onAllowMedia }
+    ]);
+  }
+
+  /**
+   * Build the match details UIUtils shows on a placeholder card
+   * @param {Object} match - Match from isHashBlocked (or a media ID / poster match)
+   * @param {Object} context - {article, element, fingerprint, mediaType} of the matched media
+   * @param {VideoUtils} videoUtils - Video processing utilities
+   * @param {UIUtils} uiUtils - UI utilities
+   * @returns {Object} - {match, handle, onNotAMatch, onRemoveEntry, onAllowMedia, onAllowHandle}
+   * @private
+   */
+  getMatchDetails(match, { article, element, fingerprint, mediaType }, videoUtils, uiUtils) {
+    const { hash } = match.entry;
+    const handle = this.getTweetAuthor(article);
+
+    // Buttons on the toast have to reveal the tweet themselves; the card already did
+    const allow = async (add, message) => {
+      uiUtils.revertBlockAction(article);
+      const added = await add();
+      uiUtils.showToast(added ? message : ERROR_MESSAGES.ALLOWLIST_FAILED, added ? 'success' : 'error');
+    };
+
+    return {
+      match,
+      handle,
+      onAllowMedia: () => allow(
+        () => this.allowlist.allowMedia(videoUtils.getMediaId(element), fingerprint, mediaType),
+        SUCCESS_MESSAGES.MEDIA_ALLOWED
+      ),
+      onAllowHandle: () => allow(
+        () => this.allowlist.allowHandle(handle),
+        `${SUCCESS_MESSAGES.HANDLE_ALLOWED} @${handle}`
+      ),
+      onNotAMatch: async () => {
+        uiUtils.revertBlockAction(article);
+        const key = this.getMediaKey(element, videoUtils);
+        if (key) {
+          if (!this.dismissedMatches.has(key)) this.dismissedMatches.set(key, new Set());
+          this.dismissedMatches.get(key).add(hash);
+        }
+
+        const stored = await this.addNegativeExample(match, element, fingerprint, videoUtils);
+        this.logger.info('Match dismissed', {
+          blockedHash: hash.substring(0, 16) + '...',
+          matchType: match.type,
+          negativeExample: stored
+        });
+        uiUtils.showToast(SUCCESS_MESSAGES.MATCH_DISMISSED, 'info');
+      },
+      onRemoveEntry: async () => {
+        const removed = await this.removeBlockedHash(hash);
+        uiUtils.showToast(removed ? SUCCESS_MESSAGES.ENTRY_REMOVED : ERROR_MESSAGES.ENTRY_REMOVE_FAILED,
+          removed ? 'success' : 'error');
+      }
+    };
+  }
+
+  /**
+   * Check if an entry could be the same media as a candidate
+   * Entries or candidates without the metadata always pass.
+   * @param {Object} entry - Blocklist entry
+   * @param {{duration: number, aspectRatio: number}} candidate - Candidate metadata
+   * @param {boolean} allowLonger - Accept candidates longer than the entry (clip search)
+   * @returns {boolean}
+   * @private
+   */
+  isPlausibleMatch(entry, { duration, aspectRatio }, allowLonger = false) {
+    if (HASH_CONFIG.DURATION_TOLERANCE != null && entry.duration > 0 && duration > 0) {
+      const slack = Math.max(entry.duration * HASH_CONFIG.DURATION_TOLERANCE, HASH_CONFIG.DURATION_TOLERANCE_S);
+      if (duration < entry.duration - slack || (!allowLonger && duration > entry.duration + slack)) {
+        return false;
+      }
+    }
+
+    // Compared on a log scale so 16:9 vs 9:16 style differences are symmetric
+    if (HASH_CONFIG.ASPECT_RATIO_TOLERANCE != null && entry.aspectRatio > 0 && aspectRatio > 0 &&
+        Math.abs(Math.log(aspectRatio / entry.aspectRatio)) > HASH_CONFIG.ASPECT_RATIO_TOLERANCE) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Rank two visual matches
+   * Hamming distance relative to the hash length decides; equal distances go
+   * to the closer colors.
+   * @param {Object} match - Candidate match
+   * @param {Object} other - Current best match
+   * @returns {boolean} - True if match is closer than other
+   * @private
+   */
+  isCloserMatch(match, other) {
+    const distance = this.getRelativeDistance(match);
+    const otherDistance = this.getRelativeDistance(other);
+    if (distance !== otherDistance) {
+      return distance < otherDistance;
+    }
+
+    // Matches without a color distance rank behind ones with any
+    const color = (m) => (Number.isNaN(m.colorDistance) ? Infinity : m.colorDistance);
+    return color(match) < color(other);
+  }
+
+  /**
+   * Get a visual match's distance as a share of its hash length
+   * Distances from different geometries are only comparable this way.
+   * @param {{entry: Object, distance: number}} match - Visual match
+   * @returns {number}
+   * @private
+   */
+  getRelativeDistance({ entry, distance }) {
+    const bits = this.hashUtils.getHashBits(entry.hash);
+    return bits > 0 ? distance / bits : distance;
+  }
+
+  /**
+   * Get an entry's match policy
+   * Entries without an audio fingerprint can only match visually.
+   * @param {Object} entry - Blocklist entry
+   * @returns {string} - One of MATCH_POLICIES
+   * @private
+   */
+  getMatchPolicy(entry) {
+    if (!entry.audio || !Object.values(MATCH_POLICIES).includes(entry.matchPolicy)) {
+      return MATCH_POLICIES.VISUAL;
+    }
+    return entry.matchPolicy;
+  }
+
+  /**
+   * Get the kind of media an entry describes
+   * Entries saved before photo support are all videos.
+   * @param {Object} entry - Blocklist entry
+   * @returns {string} - One of MEDIA_TYPES
+   */
+  getMediaType(entry) {
+    return entry.mediaType === MEDIA_TYPES.IMAGE ? MEDIA_TYPES.IMAGE : MEDIA_TYPES.VIDEO;
+  }
+
+  /**
+   * Check if a visual match is enough to block an entry
+   * @param {Object} entry - Blocklist entry
+   * @param {Map<Object, Object>} audioMatches - Entries whose audio matched
+   * @returns {boolean}
+   * @private
+   */
+  allowsVisualMatch(entry, audioMatches) {
+    switch (this.getMatchPolicy(entry)) {
+      case MATCH_POLICIES.AUDIO:
+        return false;
+      case MATCH_POLICIES.BOTH:
+        return audioMatches.has(entry);
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Check if any blocked entry holds a poster hash
+   * @returns {boolean}
+   * @private
+   */
+  hasPosterEntries() {
+    return this.posterIndex.getStats().size > 0;
+  }
+
+  /**
+   * Check if any blocked entry is a photo
+   * @returns {boolean}
+   * @private
+   */
+  hasImageEntries() {
+    return this.imageEntryCount > 0;
+  }
+
+  /**
+   * Check if any blocked entry holds region hashes
+   * @returns {boolean}
+   * @private
+   */
+  hasRegionEntries() {
+    return this.regionIndex.getStats().size > 0;
+  }
+
+  /**
+   * Check if any blocked entry could be matched by its audio
+   * Entries with the visual policy never consult audio, so their fingerprints
+   * don't count.
+   * @param {Object|null} candidate - Only count entries whose duration is plausible for this candidate
+   * @returns {boolean}
+   * @private
+   */
+  hasAudioEntries(candidate = null) {
+    if (this.audioIndex.getStats().size === 0) return false;
+
+    for (const entry of this.blockedHashes.values()) {
+      if (this.getMatchPolicy(entry) !== MATCH_POLICIES.VISUAL &&
+          (!candidate || this.isPlausibleMatch(entry, candidate))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Get the algorithms a candidate must be hashed with to be compared against the blocklist
+   * The configured algorithm always comes first; entries from algorithm versions
+   * that are no longer registered cannot be recomputed and are skipped.
+   * @returns {string[]} - Algorithm ids
+   */
+  getRequiredAlgorithms() {
+    const algorithms = new Set([HASH_CONFIG.ALGORITHM]);
+
+    for (const entry of this.blockedHashes.values()) {
+      const algorithmId = entry.algorithm || 'phash';
+      const geometryId = this.hashUtils.getEntryGeometry(entry).id;
+      if (this.hashUtils.getAlgorithmKey(algorithmId, geometryId) === this.hashUtils.getEntryAlgorithmKey(entry)) {
+        algorithms.add(algorithmId);
+      }
+    }
+
+    return Array.from(algorithms);
+  }
+
+  /**
+   * Get the hash geometries a candidate must be hashed in to be compared against the blocklist
+   * The configured geometry always comes first; entries from geometry versions
+   * that are no longer defined cannot be recomputed and are skipped.
+   * @returns {string[]} - Geometry ids
+   */
+  getRequiredGeometries() {
+    const geometries = new Set([getHashGeometry(HASH_CONFIG.GEOMETRY).id]);
+
+    for (const entry of this.blockedHashes.values()) {
+      const { id, version } = this.hashUtils.getEntryGeometry(entry);
+      if (HASH_GEOMETRIES[id] && HASH_GEOMETRIES[id].version === version) {
+        geometries.add(id);
+      }
+    }
+
+    return Array.from(geometries);
+  }
+
+  /**
+   * Get the sampling interval of an entry's frame hashes
+   * Entries saved before full-duration sampling have no interval and hold a
+   * short burst of frames. Keyframe and passively collected frames are
+   * unevenly spaced and stored with a null interval.
+   * @param {Object} entry - Blocklist entry
+   * @returns {number|null} - Seconds between frames, or null if they can't be aligned
+   * @private
+   */
+  getFrameInterval(entry) {
+    return entry.frameInterval === undefined ? VIDEO_PROCESSING.FRAME_DELAY_MS / 1000 : entry.frameInterval;
+  }
+
+  /**
+   * Get how the frames behind an entry's whole-video hash were picked
+   * Entries saved before sampling modes were recorded averaged a burst.
+   * @param {Object} entry - Blocklist entry
+   * @returns {string} - 'keyframes', 'passive' or 'burst'
+   * @private
+   */
+  getSampling(entry) {
+    return entry.sampling || 'burst';
+  }
+
+  /**
+   * Check if any blocked entry holds a full-duration sequence
+   * @param {Object|null} candidate - Only count entries whose duration and aspect ratio are
+   *   plausible for this candidate (which may be longer than the entry)
+   * @returns {boolean}
+   * @private
+   */
+  hasSequenceEntries(candidate = null) {
+    for (const entry of this.blockedHashes.values()) {
+      if (entry.frameHashes?.length &&
+          this.getFrameInterval(entry) === VIDEO_PROCESSING.SEQUENCE_INTERVAL_S &&
+          (!candidate || this.isPlausibleMatch(entry, candidate, true))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Clear all blocked hashes
+   * @returns {Promise<boolean>} - Success status
+   */
+  async clearAllBlocked() {
+    try {
+      const success = await this.storageManager.clearAllHashes();
+      if (success) {
+        this.setBlockedEntries([]);
+        this.processedVideos = new WeakSet();
+        this.processedImages = new WeakMap();
+        this.posterCheckedVideos = new WeakMap();
+        this.stats.hashesAdded = 0;
+        this.logger.info('All blocked hashes cleared');
+      }
+      return success;
+    } catch (error) {
+      this.logger.error('Failed to clear blocked hashes', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get blocker statistics
+   * @returns {Object} - Current statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      totalBlockedHashes: this.blockedHashes.size,
+      hashIndex: this.hashIndex.getStats(),
+      frameIndex: this.frameIndex.getStats(),
+      audioIndex: this.audioIndex.getStats(),
+      posterIndex: this.posterIndex.getStats(),
+      regionIndex: this.regionIndex.getStats(),
+      mediaIds: this.mediaIds.size,
+      allowlist: this.allowlist.getStats(),
+      showNotifications: this.showNotifications
+    };
+  }
+
+  /**
+   * Add hash directly to blocked list
+   * @param {string} hash - Hash to add (hex, or legacy binary which is packed first)
+   * @returns {Promise<boolean>} - Success status
+   */
+  async addBlockedHash(hash) {
+    try {
+      if (!hash || typeof hash !== 'string') {
+        throw new Error('Invalid hash provided');
+      }
+
+      const validation = this.hashUtils.validateHash(hash);
+      if (!validation.valid) {
+        throw new Error(`Invalid hash: ${validation.issues.join(', ')}`);
+      }
+      hash = normalizeHash(hash);
+
+      // The hash length tells which geometry it was computed in
+      const algorithm = hashAlgorithms.get(HASH_CONFIG.ALGORITHM);
+      const geometry = Object.values(HASH_GEOMETRIES)
+        .find(candidate => Math.ceil(algorithm.bits(candidate) / 4) === hash.length) || HASH_GEOMETRIES.standard;
+      const metadata = {
+        algorithm: algorithm.id,
+        algorithmVersion: algorithm.version,
+        geometry: geometry.id,
+        geometryVersion: geometry.version
+      };
+      const saved = await this.storageManager.saveBlockedHash(hash, metadata);
+      if (saved) {
+        this.addEntryToCache({ hash, ...metadata });
+        this.stats.hashesAdded++;
+      }
+
+      return saved;
+    } catch (error) {
+      this.logger.error('Failed to add blocked hash', error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove hash from blocked list
+   * @param {string} hash - Hash to remove
+   * @returns {Promise<boolean>} - Success status
+   */
+  async removeBlockedHash(hash) {
     try {
       const success = await this.storageManager.removeBlockedHash(hash);
       if (success) {
-        this.blockedHashes.delete(hash);
+        this.removeEntryFromCache(hash);
         this.logger.info('Hash removed from blocked list');
       }
       return success;
@@ -319,15 +1772,172 @@ export class VideoBlocker {
    * @returns {string[]} - Array of blocked hashes
    */
   getBlockedHashes() {
-    return Array.from(this.blockedHashes);
+    return Array.from(this.blockedHashes.keys());
+  }
+
+  /**
+   * Replace the local cache with entries loaded from storage
+   * @param {Object[]} entries - Blocklist entries
+   * @private
+   */
+  setBlockedEntries(entries) {
+    this.blockedHashes = new Map(entries.map(entry => [entry.hash, entry]));
+    this.mediaIds = new Map();
+    this.imageEntryCount = 0;
+
+    const hashItems = [];
+    const frameItems = [];
+    const audioItems = [];
+    const posterItems = [];
+    const regionItems = [];
+    for (const entry of this.blockedHashes.values()) {
+      const key = this.hashUtils.getEntryAlgorithmKey(entry);
+      hashItems.push({ hash: entry.hash, key, value: entry });
+      if (entry.posterHash) posterItems.push({ hash: entry.posterHash, key, value: entry });
+      for (const frameHash of entry.frameHashes || []) {
+        if (frameHash) frameItems.push({ hash: frameHash, key, value: entry });
+      }
+      if (entry.audio) audioItems.push({ fingerprint: entry.audio, value: entry });
+      if (entry.mediaId) this.mediaIds.set(entry.mediaId, entry);
+      if (this.getMediaType(entry) === MEDIA_TYPES.IMAGE) this.imageEntryCount++;
+      for (const [name, regionHash] of Object.entries(entry.regionHashes || {})) {
+        regionItems.push({ hash: regionHash, key: `${key}#${name}`, value: entry });
+      }
+    }
+
+    this.hashIndex.build(hashItems);
+    this.frameIndex.build(frameItems);
+    this.audioIndex.build(audioItems);
+    this.posterIndex.build(posterItems);
+    this.regionIndex.build(regionItems);
+  }
+
+  /**
+   * Add one entry to the local cache and indexes
+   * @param {Object} entry - Blocklist entry
+   * @private
+   */
+  addEntryToCache(entry) {
+    if (this.blockedHashes.has(entry.hash)) {
+      this.removeEntryFromCache(entry.hash);
+    }
+
+    const key = this.hashUtils.getEntryAlgorithmKey(entry);
+    this.blockedHashes.set(entry.hash, entry);
+    this.hashIndex.add(entry.hash, key, entry);
+    for (const frameHash of entry.frameHashes || []) {
+      if (frameHash) this.frameIndex.add(frameHash, key, entry);
+    }
+    if (entry.audio) {
+      this.audioIndex.add(entry.audio, entry);
+    }
+    if (entry.posterHash) {
+      this.posterIndex.add(entry.posterHash, key, entry);
+    }
+    if (entry.mediaId) {
+      this.mediaIds.set(entry.mediaId, entry);
+    }
+    if (this.getMediaType(entry) === MEDIA_TYPES.IMAGE) {
+      this.imageEntryCount++;
+    }
+    for (const [name, regionHash] of Object.entries(entry.regionHashes || {})) {
+      this.regionIndex.add(regionHash, `${key}#${name}`, entry);
+    }
+  }
+
+  /**
+   * Remove one entry from the local cache and indexes
+   * @param {string} hash - Entry hash
+   * @private
+   */
+  removeEntryFromCache(hash) {
+    const entry = this.blockedHashes.get(hash);
+    if (!entry) return;
+
+    const key = this.hashUtils.getEntryAlgorithmKey(entry);
+    const isEntry = (value) => value === entry;
+    this.blockedHashes.delete(hash);
+    this.hashIndex.remove(entry.hash, key, isEntry);
+    for (const frameHash of entry.frameHashes || []) {
+      if (frameHash) this.frameIndex.remove(frameHash, key, isEntry);
+    }
+    if (entry.audio) {
+      this.audioIndex.remove(entry.audio, entry);
+    }
+    if (entry.posterHash) {
+      this.posterIndex.remove(entry.posterHash, key, isEntry);
+    }
+    if (entry.mediaId && this.mediaIds.get(entry.mediaId) === entry) {
+      this.mediaIds.delete(entry.mediaId);
+    }
+    if (this.getMediaType(entry) === MEDIA_TYPES.IMAGE) {
+      this.imageEntryCount--;
+    }
+    for (const [name, regionHash] of Object.entries(entry.regionHashes || {})) {
+      this.regionIndex.remove(regionHash, `${key}#${name}`, isEntry);
+    }
+  }
+
+  /**
+   * Check if two copies of an entry are the same revision
+   * Every change to a stored entry stamps `updated` (and a re-fingerprint
+   * the entry version), so entries with the same hash are compared on those
+   * instead of on their whole contents. Entries cached before storage stamped
+   * them differ once and are replaced by the stored copy.
+   * @param {Object} entry - Cached entry
+   * @param {Object} other - Stored entry with the same hash
+   * @returns {boolean}
+   * @private
+   */
+  isSameRevision(entry, other) {
+    return entry.version === other.version && entry.added === other.added && entry.updated === other.updated;
+  }
+
+  /**
+   * Apply storage changes incrementally
+   * @param {string} event - Storage manager event name
+   * @param {Object} data - Event payload
+   * @private
+   */
+  handleStorageEvent(event, data) {
+    if (event !== 'externalUpdate' || !data || !Array.isArray(data.entries)) {
+      return;
+    }
+
+    const incoming = new Map(data.entries.map(entry => [entry.hash, entry]));
+    let added = 0;
+    let removed = 0;
+
+    for (const hash of Array.from(this.blockedHashes.keys())) {
+      if (!incoming.has(hash)) {
+        this.removeEntryFromCache(hash);
+        removed++;
+      }
+    }
+
+    for (const [hash, entry] of incoming) {
+      const existing = this.blockedHashes.get(hash);
+      if (!existing || !this.isSameRevision(existing, entry)) {
+        this.addEntryToCache(entry);
+        added++;
+      }
+    }
+
+    if (added > 0 || removed > 0) {
+      this.logger.debug('Blocked entries synced from storage', {
+        added,
+        removed,
+        total: this.blockedHashes.size
+      });
+    }
   }
 
   /**
    * Refresh blocked hashes from storage
    */
   async refreshBlockedHashes() {
-    const hashes = await this.storageManager.getBlockedHashes();
-    this.blockedHashes = new Set(hashes);
+    const entries = await this.storageManager.getBlockedEntries();
+    this.setBlockedEntries(entries);
 
     // Refresh settings too
     try {
@@ -356,6 +1966,10 @@ export class VideoBlocker {
    */
   cleanup() {
     this.processedVideos = new WeakSet();
+    this.processedImages = new WeakMap();
+    this.posterCheckedVideos = new WeakMap();
+    this.dismissedMatches.clear();
+    this.allowlist.cleanup();
     this.logger.info('Video blocker cleanup completed');
   }
 }
@@ -0,0 +1,214 @@
+/**
+ * Hash Index for Video Blocker Extension
+ * BK-tree keyed on Hamming distance for sub-linear similarity search over blocked hashes
+ */
+
+import { LOG_CATEGORIES } from '../constants.js';
+
+export class HashIndex {
+  constructor(logger, hashUtils) {
+    this.logger = logger.createCategoryLogger(LOG_CATEGORIES.INDEX);
+    this.hashUtils = hashUtils;
+    this.trees = new Map(); // algorithm key -> root node
+    this.size = 0;
+    this.staleNodes = 0;
+  }
+
+  /**
+   * Replace the index contents
+   * @param {Array<{hash: string, key: string, value: *}>} items - Hashes to index
+   */
+  build(items) {
+    this.clear();
+
+    for (const { hash, key, value } of items) {
+      this.add(hash, key, value);
+    }
+
+    this.logger.debug('Hash index built', this.getStats());
+  }
+
+  /**
+   * Add a hash to the index
+   * Hashes are only compared within the same algorithm key.
+   * @param {string} hash - Hex hash
+   * @param {string} key - Algorithm key (e.g. 'phash@1')
+   * @param {*} value - Value returned by searches (e.g. the blocklist entry)
+   * @returns {boolean} - True if indexed
+   */
+  add(hash, key, value) {
+    const words = this.hashUtils.toPacked(hash);
+    if (!words) return false;
+
+    let node = this.trees.get(key);
+    if (!node) {
+      this.trees.set(key, this.createNode(words, value));
+      this.size++;
+      return true;
+    }
+
+    while (true) {
+      const distance = this.hashUtils.hammingDistance(words, node.words);
+      if (!Number.isFinite(distance)) {
+        this.logger.debug('Hash size does not match index, skipping', { key });
+        return false;
+      }
+
+      // Identical hash shares the node
+      if (distance === 0) {
+        if (node.values.length === 0) this.staleNodes--;
+        node.values.push(value);
+        this.size++;
+        return true;
+      }
+
+      const child = node.children.get(distance);
+      if (!child) {
+        node.children.set(distance, this.createNode(words, value));
+        this.size++;
+        return true;
+      }
+      node = child;
+    }
+  }
+
+  /**
+   * Remove values stored under a hash
+   * Emptied nodes stay in place to keep the tree valid; the tree is rebuilt
+   * once they outnumber live values.
+   * @param {string} hash - Hex hash
+   * @param {string} key - Algorithm key
+   * @param {Function} predicate - Selects which values to remove (default: all)
+   * @returns {number} - Number of values removed
+   */
+  remove(hash, key, predicate = () => true) {
+    const words = this.hashUtils.toPacked(hash);
+    let node = words && this.trees.get(key);
+
+    while (node) {
+      const distance = this.hashUtils.hammingDistance(words, node.words);
+      if (distance === 0) break;
+      node = node.children.get(distance);
+    }
+
+    if (!node) return 0;
+
+    const before = node.values.length;
+    node.values = node.values.filter(value => !predicate(value));
+    const removed = before - node.values.length;
+
+    this.size -= removed;
+    if (before > 0 && node.values.length === 0) {
+      this.staleNodes++;
+    }
+
+    if (this.staleNodes > this.size) {
+      this.compact();
+    }
+
+    return removed;
+  }
+
+  /**
+   * Find all values within a distance of a hash
+   * @param {string} hash - Hex hash
+   * @param {string} key - Algorithm key
+   * @param {number} maxDistance - Maximum Hamming distance
+   * @returns {Array<{value: *, distance: number}>} - Matches, nearest first
+   */
+  search(hash, key, maxDistance) {
+    const words = this.hashUtils.toPacked(hash);
+    const root = this.trees.get(key);
+    if (!words || !root) return [];
+
+    const results = [];
+    const stack = [root];
+
+    while (stack.length > 0) {
+      const node = stack.pop();
+      const distance = this.hashUtils.hammingDistance(words, node.words);
+      if (!Number.isFinite(distance)) continue;
+
+      if (distance <= maxDistance) {
+        for (const value of node.values) {
+          results.push({ value, distance });
+        }
+      }
+
+      // Triangle inequality: only children in [d - max, d + max] can match
+      for (const [childDistance, child] of node.children) {
+        if (childDistance >= distance - maxDistance && childDistance <= distance + maxDistance) {
+          stack.push(child);
+        }
+      }
+    }
+
+    return results.sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Find the nearest value within a distance of a hash
+   * @param {string} hash - Hex hash
+   * @param {string} key - Algorithm key
+   * @param {number} maxDistance - Maximum Hamming distance
+   * @returns {{value: *, distance: number}|null}
+   */
+  findNearest(hash, key, maxDistance) {
+    return this.search(hash, key, maxDistance)[0] || null;
+  }
+
+  /**
+   * Rebuild trees without emptied nodes
+   * @private
+   */
+  compact() {
+    const items = [];
+
+    for (const [key, root] of this.trees) {
+      const stack = [root];
+      while (stack.length > 0) {
+        const node = stack.pop();
+        for (const value of node.values) {
+          items.push({ words: node.words, key, value });
+        }
+        stack.push(...node.children.values());
+      }
+    }
+
+    this.clear();
+    for (const { words, key, value } of items) {
+      this.add(words, key, value);
+    }
+
+    this.logger.debug('Hash index compacted', this.getStats());
+  }
+
+  /**
+   * Create a tree node
+   * @private
+   */
+  createNode(words, value) {
+    return { words, values: [value], children: new Map() };
+  }
+
+  /**
+   * Remove everything from the index
+   */
+  clear() {
+    this.trees.clear();
+    this.size = 0;
+    this.staleNodes = 0;
+  }
+
+  /**
+   * Get index statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      size: this.size,
+      staleNodes: this.staleNodes,
+      algorithms: Array.from(this.trees.keys())
+    };
+  }
+}
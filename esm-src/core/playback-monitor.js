@@ -0,0 +1,292 @@
+/**
+ * Playback Monitor Core Module for Video Blocker Extension
+ * Keeps checking videos while they play, so blocked material that only
+ * appears later in a long video is caught when it comes up
+ */
+
+import { PLAYBACK, VIDEO_PROCESSING, HASH_CONFIG, MEDIA_TYPES, SELECTORS, LOG_CATEGORIES } from '../constants.js';
+
+export class PlaybackMonitor {
+  constructor(logger, videoBlocker) {
+    this.logger = logger.createCategoryLogger(LOG_CATEGORIES.SCANNER);
+    this.videoBlocker = videoBlocker;
+    this.videos = new Map(); // video -> {samples, timer}
+    this.isPaused = false;
+    this.onPlay = null;
+    this.settings = {
+      enabled: true
+    };
+    this.stats = {
+      videosMonitored: 0,
+      samplesHashed: 0,
+      windowsChecked: 0,
+      videosBlocked: 0
+    };
+  }
+
+  /**
+   * Initialize the monitor
+   * `play` doesn't bubble, so it is caught on the way down instead.
+   */
+  initialize() {
+    this.onPlay = (event) => {
+      if (event.target instanceof HTMLVideoElement) {
+        this.monitor(event.target);
+      }
+    };
+    document.addEventListener('play', this.onPlay, true);
+
+    // Videos that started before the extension loaded
+    document.querySelectorAll(SELECTORS.VIDEO).forEach(video => {
+      if (!video.paused) this.monitor(video);
+    });
+
+    this.logger.info('Playback monitor initialized');
+  }
+
+  /**
+   * Start sampling a playing video
+   * Frames come from the frame collector, one per SEQUENCE_INTERVAL_S of
+   * playback, so the rolling window lines up with blocked full-duration
+   * sequences. Monitoring stops when the video pauses, ends or leaves the
+   * page, and starts again on the next `play`.
+   * @param {HTMLVideoElement} video - Video element
+   */
+  monitor(video) {
+    if (!this.isActive() || this.videos.has(video) || !video.closest(SELECTORS.ARTICLE)) return;
+
+    const videoUtils = this.getVideoUtils();
+    if (!videoUtils) return;
+
+    videoUtils.frameCollector.observe(video);
+    const state = { samples: [], timer: null };
+    this.videos.set(video, state);
+    this.stats.videosMonitored++;
+    this.schedule(video, state);
+  }
+
+  /**
+   * Schedule the next poll of a video
+   * @private
+   */
+  schedule(video, state) {
+    state.timer = setTimeout(() => {
+      this.poll(video, state).catch(error => {
+        this.logger.warn('Error monitoring playback', error);
+        this.stop(video);
+      });
+    }, PLAYBACK.POLL_INTERVAL_MS);
+  }
+
+  /**
+   * Add a sample of the video if one is due and check the rolling window
+   * @private
+   */
+  async poll(video, state) {
+    const videoUtils = this.getVideoUtils();
+    const uiUtils = this.getUIUtils();
+
+    // Blocked tweets (muted or paused ones included) and tweets the user revealed are done
+    const article = video.closest(SELECTORS.ARTICLE);
+    if (!this.isActive() || !videoUtils || !uiUtils || !video.isConnected || !article ||
+        video.paused || video.ended || videoUtils.isVideoBlocked(video) ||
+        uiUtils.getBlockAction(article) || uiUtils.isRevealed(article)) {
+      this.stop(video);
+      return;
+    }
+
+    // Nothing to compare against; keep polling in case something is blocked meanwhile
+    if (this.videoBlocker.blockedHashes.size > 0) {
+      const blocked = await this.sample(video, state, videoUtils, uiUtils);
+      if (blocked) {
+        this.stats.videosBlocked++;
+        this.stop(video);
+        return;
+      }
+    }
+
+    if (this.videos.get(video) === state) {
+      this.schedule(video, state);
+    }
+  }
+
+  /**
+   * Hash the next due frame and check the window once it is long enough
+   * @returns {Promise<boolean>} - True if the video was blocked
+   * @private
+   */
+  async sample(video, state, videoUtils, uiUtils) {
+    const interval = VIDEO_PROCESSING.SEQUENCE_INTERVAL_S;
+    const last = state.samples[state.samples.length - 1];
+
+    // Seeking back, or ahead past the window, starts a new one
+    if (last && (video.currentTime < last.time || video.currentTime - last.time > PLAYBACK.MAX_GAP_S)) {
+      state.samples = [];
+    }
+
+    const previous = state.samples[state.samples.length - 1];
+    const sample = await videoUtils.computePlaybackSample(
+      video, previous ? previous.time + interval : video.currentTime,
+      this.videoBlocker.getRequiredAlgorithms(), HASH_CONFIG.FLIP_INVARIANT, this.videoBlocker.getRequiredGeometries()
+    );
+    if (!sample) return false;
+
+    state.samples.push(sample);
+    if (state.samples.length > PLAYBACK.WINDOW_FRAMES) {
+      state.samples.shift();
+    }
+    this.stats.samplesHashed++;
+
+    if (state.samples.length < PLAYBACK.MIN_WINDOW_FRAMES) return false;
+
+    this.stats.windowsChecked++;
+    return this.videoBlocker.checkPlaybackFingerprint(video, this.buildFingerprint(state.samples), videoUtils, uiUtils);
+  }
+
+  /**
+   * Turn the rolling window into a partial fingerprint
+   * The whole-video hash is the latest frame's; frames missing a key (the
+   * blocklist changed since they were hashed) keep their slot unhashed.
+   * @param {Object[]} samples - Samples from computePlaybackSample, in playback order
+   * @returns {Object} - Fingerprint for VideoBlocker.isHashBlocked
+   * @private
+   */
+  buildFingerprint(samples) {
+    const latest = samples[samples.length - 1];
+    const hashes = {};
+
+    for (const [key, { hash, mirrored }] of Object.entries(latest.hashes)) {
+      hashes[key] = {
+        hash,
+        frameHashes: samples.map(sample => sample.hashes[key]?.hash || null),
+        ...(mirrored && {
+          mirrored: {
+            hash: mirrored.hash,
+            frameHashes: samples.map(sample => sample.hashes[key]?.mirrored?.hash || null)
+          }
+        })
+      };
+    }
+
+    return {
+      hashes,
+      frameInterval: VIDEO_PROCESSING.SEQUENCE_INTERVAL_S,
+      startTime: samples[0].time,
+      timestamps: samples.map(sample => sample.time),
+      partial: true,
+      aspectRatio: latest.aspectRatio,
+      colorSignature: latest.colorSignature,
+      mediaType: MEDIA_TYPES.VIDEO
+    };
+  }
+
+  /**
+   * Stop sampling a video
+   * @param {HTMLVideoElement} video - Video element
+   */
+  stop(video) {
+    const state = this.videos.get(video);
+    if (!state) return;
+
+    clearTimeout(state.timer);
+    this.videos.delete(video);
+  }
+
+  /**
+   * Check if playing videos should be sampled
+   * @private
+   */
+  isActive() {
+    return this.settings.enabled && !this.isPaused;
+  }
+
+  /**
+   * Pause monitoring
+   */
+  pause() {
+    this.isPaused = true;
+    [...this.videos.keys()].forEach(video => this.stop(video));
+    this.logger.info('Playback monitor paused');
+  }
+
+  /**
+   * Resume monitoring
+   */
+  resume() {
+    this.isPaused = false;
+    this.logger.info('Playback monitor resumed');
+
+    document.querySelectorAll(SELECTORS.VIDEO).forEach(video => {
+      if (!video.paused) this.monitor(video);
+    });
+  }
+
+  /**
+   * Get monitor statistics
+   * @returns {Object} Current statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      activeVideos: this.videos.size,
+      isPaused: this.isPaused,
+      enabled: this.settings.enabled
+    };
+  }
+
+  /**
+   * Get video utilities instance (to be injected by main app)
+   * @private
+   */
+  getVideoUtils() {
+    return this._videoUtils;
+  }
+
+  /**
+   * Get UI utilities instance (to be injected by main app)
+   * @private
+   */
+  getUIUtils() {
+    return this._uiUtils;
+  }
+
+  /**
+   * Set utilities (called by main app)
+   */
+  setUtils(videoUtils, uiUtils) {
+    this._videoUtils = videoUtils;
+    this._uiUtils = uiUtils;
+  }
+
+  /**
+   * Set monitor settings
+   * @param {Object} settings - Monitor settings
+   */
+  setSettings(settings) {
+    this.settings = {
+      ...this.settings,
+      ...settings
+    };
+
+    this.logger.debug('Playback monitor settings updated', this.settings);
+
+    if (!this.settings.enabled) {
+      [...this.videos.keys()].forEach(video => this.stop(video));
+    }
+  }
+
+  /**
+   * Clean up resources
+   */
+  cleanup() {
+    if (this.onPlay) {
+      document.removeEventListener('play', this.onPlay, true);
+      this.onPlay = null;
+    }
+
+    [...this.videos.keys()].forEach(video => this.stop(video));
+    this.isPaused = false;
+
+    this.logger.info('Playback monitor cleanup completed');
+  }
+}
@@ -21,17 +21,21 @@ export class ConcurrencyQueue {
 
   /**
    * Add a job to the queue
-   * @param {Function} jobFn - Async function to execute
+   * Timeouts can't stop a running job, so the job function gets an
+   * AbortSignal that is aborted on timeout; long jobs should check it.
+   * @param {Function} jobFn - Async function to execute, called with an AbortSignal
    * @param {string} id - Unique identifier for the job
    * @param {number} priority - Job priority (higher = more priority)
+   * @param {number} timeoutMs - Maximum job duration before it is rejected
    * @returns {Promise} - Promise that resolves when job completes
    */
-  async enqueue(jobFn, id = this.generateJobId(), priority = 0) {
+  async enqueue(jobFn, id = this.generateJobId(), priority = 0, timeoutMs = CONCURRENCY.QUEUE_TIMEOUT_MS) {
     return new Promise((resolve, reject) => {
       const job = {
         id,
         fn: jobFn,
         priority,
+        timeoutMs,
         resolve,
         reject,
         createdAt: Date.now()
@@ -85,14 +89,20 @@ export class ConcurrencyQueue {
       activeJobs: this.activeJobs.size
     });
 
+    const controller = new AbortController();
+    let timer = null;
+
     try {
       // Set up timeout
       const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Job timeout')), CONCURRENCY.QUEUE_TIMEOUT_MS);
+        timer = setTimeout(() => {
+          controller.abort();
+          reject(new Error('Job timeout'));
+        }, job.timeoutMs);
       });
 
       // Race between job execution and timeout
-      const result = await Promise.race([job.fn(), timeoutPromise]);
+      const result = await Promise.race([job.fn(controller.signal), timeoutPromise]);
 
       const duration = Date.now() - startTime;
       this.stats.completedJobs++;
@@ -118,6 +128,7 @@ export class ConcurrencyQueue {
       job.reject(error);
 
     } finally {
+      clearTimeout(timer);
       this.activeJobs.delete(job);
       // Process more jobs from queue
       this.processQueue();
@@ -3,7 +3,7 @@
  * Handles automatic video detection and scanning on page changes
  */
 
-import { TIMING, SELECTORS, LOG_CATEGORIES } from '../constants.js';
+import { TIMING, SELECTORS, POSTER, LOG_CATEGORIES } from '../constants.js';
 
 export class VideoScanner {
   constructor(logger, videoBlocker, queue) {
@@ -16,13 +16,16 @@ export class VideoScanner {
     this.lastUrl = '';
     this.observer = null;
     this.scanTimeout = null;
+    this.pendingPhotos = new WeakSet(); // Photos waiting for their load event
     this.settings = {
       autoScan: true
     };
     this.stats = {
       totalScans: 0,
       videosFound: 0,
-      videosProcessed: 0
+      videosProcessed: 0,
+      postersChecked: 0,
+      photosChecked: 0
     };
   }
 
@@ -53,8 +56,24 @@ export class VideoScanner {
       if (this.isPaused) return;
 
       let shouldScan = false;
+      const posterVideos = new Set();
+      const photos = new Set();
 
       for (const mutation of mutations) {
+        // Poster or photo source set or changed on an existing element. The filter
+        // also reports avatars, emoji and other images, so only tweet media count.
+        if (mutation.type === 'attributes') {
+          const { target } = mutation;
+          if (target.tagName === 'VIDEO') {
+            if (mutation.attributeName === 'poster' && target.closest(SELECTORS.ARTICLE)) {
+              posterVideos.add(target);
+            }
+          } else if (target.tagName === 'IMG' && target.matches(SELECTORS.TWEET_PHOTO_IMAGE)) {
+            photos.add(target);
+          }
+          continue;
+        }
+
         // Check for added nodes that might contain videos
         for (const node of mutation.addedNodes) {
           if (node.nodeType === Node.ELEMENT_NODE) {
@@ -62,11 +81,29 @@ export class VideoScanner {
                 node.querySelector('video') ||
                 node.matches && node.matches(SELECTORS.ARTICLE)) {
               shouldScan = true;
-              break;
+            }
+
+            if (node.matches && node.matches(SELECTORS.POSTER_VIDEO)) {
+              posterVideos.add(node);
+            } else if (node.querySelectorAll) {
+              node.querySelectorAll(SELECTORS.POSTER_VIDEO).forEach(video => posterVideos.add(video));
+            }
+
+            if (node.matches && node.matches(SELECTORS.TWEET_PHOTO_IMAGE)) {
+              photos.add(node);
+            } else if (node.querySelectorAll) {
+              node.querySelectorAll(SELECTORS.TWEET_PHOTO_IMAGE).forEach(image => photos.add(image));
             }
           }
         }
-        if (shouldScan) break;
+      }
+
+      // Posters and photos are checked right away, without waiting for the debounced scan
+      if (posterVideos.size > 0 && this.settings.autoScan) {
+        this.checkPosters(Array.from(posterVideos));
+      }
+      if (photos.size > 0 && this.settings.autoScan) {
+        this.checkPhotos(Array.from(photos));
       }
 
       if (shouldScan) {
@@ -77,7 +114,9 @@ export class VideoScanner {
     // Start observing
     this.observer.observe(document.body, {
       childList: true,
-      subtree: true
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['poster', 'src']
     });
 
     this.logger.debug('Mutation observer set up');
@@ -197,6 +236,10 @@ export class VideoScanner {
       try {
         this.logger.info('Starting video scan');
 
+        // Posters first, so blocked videos are hidden before they load
+        await this.checkPosters(this.findPosterVideos());
+        await this.checkPhotos(this.findAllPhotos());
+
         const videos = this.findAllVideos();
         this.stats.videosFound += videos.length;
 
@@ -253,6 +296,102 @@ export class VideoScanner {
     });
   }
 
+  /**
+   * Find videos with a poster near the viewport, loaded or not
+   * @returns {HTMLVideoElement[]} Array of video elements
+   * @private
+   */
+  findPosterVideos() {
+    return Array.from(document.querySelectorAll(SELECTORS.POSTER_VIDEO))
+      .filter(video => this.isNearViewport(video));
+  }
+
+  /**
+   * Find tweet photos near the viewport
+   * @returns {HTMLImageElement[]} Array of image elements
+   * @private
+   */
+  findAllPhotos() {
+    return Array.from(document.querySelectorAll(SELECTORS.TWEET_PHOTO_IMAGE))
+      .filter(image => this.isNearViewport(image));
+  }
+
+  /**
+   * Check if an element is on screen or within the poster look-ahead margin
+   * @param {Element} element - Element to check
+   * @returns {boolean}
+   * @private
+   */
+  isNearViewport(element) {
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 &&
+           rect.top < window.innerHeight + POSTER.VIEWPORT_MARGIN_PX &&
+           rect.bottom > -200;
+  }
+
+  /**
+   * Check poster images of videos against blocked posters
+   * @param {HTMLVideoElement[]} videos - Videos with a poster attribute
+   * @returns {Promise<void>}
+   * @private
+   */
+  async checkPosters(videos) {
+    if (this.isPaused || videos.length === 0) return;
+
+    const videoUtils = this.getVideoUtils();
+    const uiUtils = this.getUIUtils();
+    if (!videoUtils || !uiUtils) return;
+
+    const candidates = videos.filter(video => this.isNearViewport(video));
+    this.stats.postersChecked += candidates.length;
+
+    await Promise.all(candidates.map(video =>
+      this.videoBlocker.checkPosterAndBlock(video, videoUtils, uiUtils).catch(error => {
+        this.logger.warn('Error checking poster', error);
+        return false;
+      })
+    ));
+  }
+
+  /**
+   * Check tweet photos against blocked images
+   * Photos that are still loading are checked once their load event fires
+   * (one listener per photo, however often it is seen meanwhile).
+   * @param {HTMLImageElement[]} images - Tweet photo elements
+   * @returns {Promise<void>}
+   * @private
+   */
+  async checkPhotos(images) {
+    if (this.isPaused || images.length === 0) return;
+
+    const videoUtils = this.getVideoUtils();
+    const uiUtils = this.getUIUtils();
+    if (!videoUtils || !uiUtils) return;
+
+    const loaded = [];
+    for (const image of images) {
+      if (image.complete && image.naturalWidth > 0) {
+        loaded.push(image);
+      } else if (!this.pendingPhotos.has(image)) {
+        this.pendingPhotos.add(image);
+        image.addEventListener('load', () => {
+          this.pendingPhotos.delete(image);
+          this.checkPhotos([image]);
+        }, { once: true });
+      }
+    }
+
+    const candidates = loaded.filter(image => this.isNearViewport(image));
+    this.stats.photosChecked += candidates.length;
+
+    await Promise.all(candidates.map(image =>
+      this.videoBlocker.checkAndBlockImage(image, videoUtils, uiUtils).catch(error => {
+        this.logger.warn('Error checking photo', error);
+        return false;
+      })
+    ));
+  }
+
   /**
    * Process array of videos
    * @param {HTMLVideoElement[]} videos - Videos to process
@@ -266,6 +405,8 @@ export class VideoScanner {
       if (this.isPaused) break;
 
       try {
+        // Frames are collected as the video plays, so later checks needn't seek it
+        videoUtils.frameCollector.observe(video);
         await this.videoBlocker.checkAndBlockVideo(video, videoUtils, uiUtils);
         this.stats.videosProcessed++;
       } catch (error) {
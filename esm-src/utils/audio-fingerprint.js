@@ -0,0 +1,252 @@
+/**
+ * Audio Fingerprinting for Video Blocker Extension
+ * DOM-free spectral-peak (landmark) fingerprints that survive re-encoding and visual edits
+ *
+ * Spectral peaks are paired into landmarks (anchor band, target band, time gap).
+ * Two recordings match when many landmarks line up at one consistent time offset.
+ */
+
+import { AUDIO } from '../constants.js';
+
+// Landmarks are packed as 6 hex chars of hash followed by 3 hex chars of anchor frame
+const HASH_CHARS = 6;
+const TIME_CHARS = 3;
+const LANDMARK_CHARS = HASH_CHARS + TIME_CHARS;
+const MAX_FRAME = 16 ** TIME_CHARS - 1;
+
+/**
+ * In-place radix-2 FFT
+ * @param {Float64Array} re - Real parts (length must be a power of two)
+ * @param {Float64Array} im - Imaginary parts
+ */
+export function fft(re, im) {
+  const n = re.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let length = 2; length <= n; length <<= 1) {
+    const angle = -2 * Math.PI / length;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+
+    for (let start = 0; start < n; start += length) {
+      let curRe = 1;
+      let curIm = 0;
+
+      for (let k = 0; k < length / 2; k++) {
+        const a = start + k;
+        const b = a + length / 2;
+        const tRe = re[b] * curRe - im[b] * curIm;
+        const tIm = re[b] * curIm + im[b] * curRe;
+
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+
+        const nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+}
+
+/**
+ * Map a frequency to a log-spaced band index
+ * Bands are independent of the sample rate, so fingerprints from 44.1 kHz
+ * and 48 kHz sources are comparable.
+ * @private
+ */
+function frequencyBand(frequency) {
+  return Math.floor(Math.log2(frequency / AUDIO.MIN_FREQUENCY_HZ) * AUDIO.BANDS_PER_OCTAVE);
+}
+
+/**
+ * Compute spectral peaks, at most one per octave per frame
+ * @private
+ */
+function findPeaks(samples, sampleRate) {
+  const windowSize = 2 ** Math.round(Math.log2(sampleRate * AUDIO.WINDOW_SECONDS));
+  const hop = Math.round(sampleRate * AUDIO.HOP_SECONDS);
+  const binHz = sampleRate / windowSize;
+  const maxBand = frequencyBand(AUDIO.MAX_FREQUENCY_HZ);
+  const octaves = Math.ceil(maxBand / AUDIO.BANDS_PER_OCTAVE);
+
+  const hann = new Float64Array(windowSize);
+  for (let i = 0; i < windowSize; i++) {
+    hann[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (windowSize - 1));
+  }
+
+  const candidates = [];
+  const re = new Float64Array(windowSize);
+  const im = new Float64Array(windowSize);
+
+  for (let frame = 0; frame * hop + windowSize <= samples.length && frame <= MAX_FRAME; frame++) {
+    const offset = frame * hop;
+    for (let i = 0; i < windowSize; i++) {
+      re[i] = samples[offset + i] * hann[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+
+    // Strongest bin in each octave
+    const strongest = new Array(octaves).fill(null);
+    for (let bin = 1; bin < windowSize / 2; bin++) {
+      const frequency = bin * binHz;
+      if (frequency < AUDIO.MIN_FREQUENCY_HZ || frequency >= AUDIO.MAX_FREQUENCY_HZ) continue;
+
+      const band = frequencyBand(frequency);
+      const octave = Math.floor(band / AUDIO.BANDS_PER_OCTAVE);
+      const magnitude = Math.log1p(Math.hypot(re[bin], im[bin]));
+
+      if (!strongest[octave] || magnitude > strongest[octave].magnitude) {
+        strongest[octave] = { frame, band, octave, magnitude };
+      }
+    }
+
+    candidates.push(...strongest.filter(Boolean));
+  }
+
+  // Keep peaks louder than their octave's average so silence and noise floor drop out
+  const totals = new Array(octaves).fill(0);
+  const counts = new Array(octaves).fill(0);
+  for (const { octave, magnitude } of candidates) {
+    totals[octave] += magnitude;
+    counts[octave]++;
+  }
+
+  return candidates.filter(({ octave, magnitude }) =>
+    magnitude > 0 && magnitude > (totals[octave] / counts[octave]) * AUDIO.PEAK_THRESHOLD
+  );
+}
+
+/**
+ * Compute a landmark fingerprint from mono samples
+ * @param {Float32Array} samples - Mono PCM samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Object|null} - {version, landmarks (packed hex), count, hopSeconds, duration} or null if too quiet or short
+ */
+export function computeAudioFingerprint(samples, sampleRate) {
+  if (!samples || samples.length === 0 || !sampleRate) return null;
+
+  let energy = 0;
+  for (let i = 0; i < samples.length; i++) {
+    energy += samples[i] * samples[i];
+  }
+  if (Math.sqrt(energy / samples.length) < AUDIO.MIN_RMS) {
+    return null; // Silent or muted capture
+  }
+
+  const peaks = findPeaks(samples, sampleRate);
+  const landmarks = new Set();
+
+  // Pair each anchor with the next few peaks in its target zone
+  for (let i = 0; i < peaks.length; i++) {
+    let paired = 0;
+    for (let j = i + 1; j < peaks.length && paired < AUDIO.FAN_OUT; j++) {
+      const gap = peaks[j].frame - peaks[i].frame;
+      if (gap < 1) continue;
+      if (gap > AUDIO.MAX_TIME_GAP) break;
+
+      const hash = (peaks[i].band << 14) | (peaks[j].band << 6) | gap;
+      landmarks.add(
+        hash.toString(16).padStart(HASH_CHARS, '0') +
+        peaks[i].frame.toString(16).padStart(TIME_CHARS, '0')
+      );
+      paired++;
+    }
+  }
+
+  if (landmarks.size < AUDIO.MIN_MATCHES) {
+    return null;
+  }
+
+  return {
+    version: AUDIO.VERSION,
+    landmarks: Array.from(landmarks).join(''),
+    count: landmarks.size,
+    hopSeconds: AUDIO.HOP_SECONDS,
+    duration: samples.length / sampleRate
+  };
+}
+
+/**
+ * Unpack landmarks from a fingerprint
+ * @param {Object} fingerprint - Audio fingerprint
+ * @returns {Array<{hash: number, frame: number}>}
+ */
+export function parseLandmarks(fingerprint) {
+  const packed = fingerprint?.landmarks || '';
+  const landmarks = [];
+
+  for (let i = 0; i + LANDMARK_CHARS <= packed.length; i += LANDMARK_CHARS) {
+    landmarks.push({
+      hash: parseInt(packed.slice(i, i + HASH_CHARS), 16),
+      frame: parseInt(packed.slice(i + HASH_CHARS, i + LANDMARK_CHARS), 16)
+    });
+  }
+
+  return landmarks;
+}
+
+/**
+ * Score aligned landmarks
+ * @param {number} matches - Landmarks agreeing on the best offset
+ * @param {number} count1 - Landmarks in the first fingerprint
+ * @param {number} count2 - Landmarks in the second fingerprint
+ * @returns {number} - Share of the smaller fingerprint that lines up
+ */
+export function audioMatchScore(matches, count1, count2) {
+  const smaller = Math.min(count1, count2);
+  return smaller > 0 ? matches / smaller : 0;
+}
+
+/**
+ * Compare two audio fingerprints
+ * @param {Object} blocked - Fingerprint of the blocked recording
+ * @param {Object} candidate - Fingerprint of the candidate recording
+ * @returns {{matches: number, score: number, offsetSeconds: number, matched: boolean}|null}
+ *   offsetSeconds is where the candidate starts within the blocked recording
+ */
+export function compareAudioFingerprints(blocked, candidate) {
+  if (!blocked || !candidate || blocked.version !== candidate.version) return null;
+
+  const frames = new Map();
+  for (const { hash, frame } of parseLandmarks(blocked)) {
+    if (!frames.has(hash)) frames.set(hash, []);
+    frames.get(hash).push(frame);
+  }
+
+  const offsets = new Map();
+  let best = { offset: 0, matches: 0 };
+  let candidateCount = 0;
+
+  for (const { hash, frame } of parseLandmarks(candidate)) {
+    candidateCount++;
+    for (const blockedFrame of frames.get(hash) || []) {
+      const offset = blockedFrame - frame;
+      const matches = (offsets.get(offset) || 0) + 1;
+      offsets.set(offset, matches);
+      if (matches > best.matches) best = { offset, matches };
+    }
+  }
+
+  const score = audioMatchScore(best.matches, blocked.count, candidateCount);
+
+  return {
+    matches: best.matches,
+    score,
+    offsetSeconds: best.offset * (blocked.hopSeconds || AUDIO.HOP_SECONDS),
+    matched: best.matches >= AUDIO.MIN_MATCHES && score >= AUDIO.MATCH_RATIO
+  };
+}
@@ -0,0 +1,172 @@
+/**
+ * Audio Utilities for Video Blocker Extension
+ * Captures audio from video elements and local files for fingerprinting
+ */
+
+import { AUDIO, LOG_CATEGORIES } from '../constants.js';
+import { computeAudioFingerprint, compareAudioFingerprints } from './audio-fingerprint.js';
+
+export class AudioUtils {
+  constructor(logger) {
+    this.logger = logger.createCategoryLogger(LOG_CATEGORIES.AUDIO);
+  }
+
+  /**
+   * Capture a few seconds of a video's audio and fingerprint it
+   * Audio is tapped from `captureStream()`, which leaves the page's own audio
+   * output untouched. Only playing videos are recorded: a paused video is
+   * never started, since someone paused it (or it hasn't been played yet).
+   * @param {HTMLVideoElement} video - Source video
+   * @param {number} seconds - Capture length
+   * @returns {Promise<Object|null>} - Audio fingerprint or null if no usable audio
+   */
+  async captureFingerprint(video, seconds = AUDIO.CAPTURE_SECONDS) {
+    try {
+      const samples = await this.captureSamples(video, seconds);
+      if (!samples) return null;
+
+      const fingerprint = computeAudioFingerprint(samples.data, samples.sampleRate);
+      if (!fingerprint) {
+        this.logger.debug('Captured audio too quiet or short to fingerprint');
+        return null;
+      }
+
+      this.logger.debug('Audio fingerprint computed', {
+        landmarks: fingerprint.count,
+        seconds: fingerprint.duration.toFixed(1)
+      });
+      return { ...fingerprint, startTime: samples.startTime };
+    } catch (error) {
+      this.logger.debug('Audio capture failed', error);
+      return null;
+    }
+  }
+
+  /**
+   * Record mono samples from a video's audio track
+   * @param {HTMLVideoElement} video - Source video
+   * @param {number} seconds - Capture length
+   * @returns {Promise<{data: Float32Array, sampleRate: number, startTime: number}|null>}
+   * @private
+   */
+  async captureSamples(video, seconds) {
+    if (typeof video.captureStream !== 'function' || typeof AudioContext === 'undefined') {
+      this.logger.debug('Audio capture not supported');
+      return null;
+    }
+
+    if (video.paused) {
+      this.logger.debug('Video is paused, no audio to capture');
+      return null;
+    }
+
+    const stream = video.captureStream();
+    const tracks = stream.getAudioTracks();
+    if (tracks.length === 0) {
+      this.logger.debug('Video has no audio track');
+      stream.getTracks().forEach(track => track.stop());
+      return null;
+    }
+
+    const context = new AudioContext();
+    const startTime = video.currentTime;
+
+    try {
+      if (context.state === 'suspended') {
+        await context.resume();
+      }
+      if (context.state !== 'running') {
+        this.logger.debug('Audio context not allowed to run');
+        return null;
+      }
+
+      const source = context.createMediaStreamSource(new MediaStream(tracks));
+      // ScriptProcessorNode is deprecated, but AudioWorklet modules can't be loaded under the page's CSP
+      const processor = context.createScriptProcessor(4096, 1, 1);
+      const chunks = [];
+
+      processor.onaudioprocess = (event) => {
+        chunks.push(new Float32Array(event.inputBuffer.getChannelData(0)));
+      };
+
+      source.connect(processor);
+      processor.connect(context.destination); // Output stays silent; the connection keeps the node running
+
+      await new Promise(resolve => setTimeout(resolve, seconds * 1000));
+
+      processor.onaudioprocess = null;
+      source.disconnect();
+      processor.disconnect();
+
+      return { data: this.concatChunks(chunks), sampleRate: context.sampleRate, startTime };
+    } finally {
+      stream.getTracks().forEach(track => track.stop());
+      context.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Fingerprint a local audio or video file
+   * Lets fingerprints be checked against known recordings without any network access.
+   * @param {Blob|ArrayBuffer} file - Encoded audio (any format the browser can decode)
+   * @returns {Promise<Object|null>} - Audio fingerprint or null if decoding failed
+   */
+  async fingerprintFile(file) {
+    try {
+      const buffer = file instanceof ArrayBuffer ? file : await file.arrayBuffer();
+      // Decoding needs no output device, so an offline context avoids autoplay restrictions
+      const context = new OfflineAudioContext(1, 1, 44100);
+      const audioBuffer = await context.decodeAudioData(buffer);
+
+      return computeAudioFingerprint(this.downmix(audioBuffer), audioBuffer.sampleRate);
+    } catch (error) {
+      this.logger.error('Failed to fingerprint audio file', error);
+      return null;
+    }
+  }
+
+  /**
+   * Compare two local files
+   * @param {Blob|ArrayBuffer} blockedFile - Recording treated as blocked
+   * @param {Blob|ArrayBuffer} candidateFile - Recording to check
+   * @returns {Promise<Object|null>} - Comparison result or null if either file failed
+   */
+  async compareFiles(blockedFile, candidateFile) {
+    const blocked = await this.fingerprintFile(blockedFile);
+    const candidate = await this.fingerprintFile(candidateFile);
+    return compareAudioFingerprints(blocked, candidate);
+  }
+
+  /**
+   * Average all channels of a decoded buffer
+   * @param {AudioBuffer} audioBuffer - Decoded audio
+   * @returns {Float32Array} - Mono samples
+   * @private
+   */
+  downmix(audioBuffer) {
+    const mono = new Float32Array(audioBuffer.length);
+
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+      const data = audioBuffer.getChannelData(channel);
+      for (let i = 0; i < data.length; i++) {
+        mono[i] += data[i] / audioBuffer.numberOfChannels;
+      }
+    }
+
+    return mono;
+  }
+
+  /**
+   * Join recorded chunks into one buffer
+   * @private
+   */
+  concatChunks(chunks) {
+    const data = new Float32Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+      data.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return data;
+  }
+}
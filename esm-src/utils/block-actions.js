@@ -0,0 +1,266 @@
+/**
+ * Block Action Strategies for Video Blocker Extension
+ * What happens to a tweet once its media matches the blocklist. Every
+ * strategy changes the page in place and returns a function that undoes
+ * exactly what it changed, so any blocked tweet can be revealed again.
+ */
+
+import { BLOCK_ACTIONS, MEDIA_TYPES, SELECTORS, UI } from '../constants.js';
+
+// Keeps clicks on our controls from reaching the tweet (which would open it)
+const swallow = (event) => {
+  event.preventDefault();
+  event.stopPropagation();
+};
+
+/**
+ * Remember inline style properties so they can be put back unchanged
+ * @param {HTMLElement} element - Element whose style is about to change
+ * @param {string[]} properties - Style properties (camelCase)
+ * @returns {Function} - Restores the saved values
+ */
+function saveStyle(element, properties) {
+  const saved = properties.map(property => [property, element.style[property]]);
+  return () => saved.forEach(([property, value]) => {
+    element.style[property] = value;
+  });
+}
+
+/**
+ * Get the element wrapping a tweet's video or photo
+ * @param {HTMLElement} media - Video or image element
+ * @returns {HTMLElement|null}
+ */
+function getMediaContainer(media) {
+  if (!media) return null;
+  return media.closest(`${SELECTORS.VIDEO_COMPONENT}, ${SELECTORS.TWEET_PHOTO}`) || media.parentElement;
+}
+
+/**
+ * Create a clickable notice shown in place of blocked media
+ * @param {string} className - Class name
+ * @param {string} text - Notice text
+ * @param {Function} onClick - Called when the notice is clicked
+ * @returns {HTMLElement}
+ */
+function createNotice(className, text, onClick) {
+  const notice = document.createElement('div');
+  notice.className = className;
+  notice.textContent = text;
+  notice.setAttribute('role', 'button');
+  notice.addEventListener('click', (event) => {
+    swallow(event);
+    onClick();
+  });
+  return notice;
+}
+
+class BlockActionRegistry {
+  constructor() {
+    this.actions = new Map();
+  }
+
+  /**
+   * Register an action
+   * @param {Object} action - {id, label, mediaTypes, fallback?, apply({article, media, reveal, card})}, where
+   *   apply returns (or resolves to) a function undoing its changes; actions that don't support a
+   *   media type use their fallback action instead. `card` is the placeholder card to show in place of
+   *   the tweet, if one was requested
+   */
+  register(action) {
+    if (!action || !action.id || !Array.isArray(action.mediaTypes) || typeof action.apply !== 'function') {
+      throw new Error('Invalid block action definition');
+    }
+    this.actions.set(action.id, action);
+  }
+
+  /**
+   * Get an action by id
+   * @param {string} id - Action id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.actions.get(id) || null;
+  }
+
+  /**
+   * Check whether an action is registered
+   * @param {string} id - Action id
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.actions.has(id);
+  }
+
+  /**
+   * List registered actions
+   * @returns {Object[]}
+   */
+  list() {
+    return Array.from(this.actions.values());
+  }
+
+  /**
+   * Resolve the action to run for a media type
+   * Unknown ids fall back to hiding; actions that can't handle the media type
+   * (e.g. muting a photo) fall back to their `fallback` action.
+   * @param {string} id - Requested action id
+   * @param {string} mediaType - MEDIA_TYPES value
+   * @returns {Object} - Action definition
+   */
+  resolve(id, mediaType) {
+    let action = this.get(id) || this.get(BLOCK_ACTIONS.HIDE);
+    while (!action.mediaTypes.includes(mediaType) && action.fallback) {
+      action = this.get(action.fallback);
+    }
+    return action;
+  }
+}
+
+export const blockActions = new BlockActionRegistry();
+
+blockActions.register({
+  id: BLOCK_ACTIONS.HIDE,
+  label: 'Hide',
+  mediaTypes: [MEDIA_TYPES.VIDEO, MEDIA_TYPES.IMAGE],
+  async apply({ article, media, card }) {
+    const restore = saveStyle(article, ['transition', 'opacity', 'display']);
+
+    // Keep the video from playing on while the article fades out
+    if (media instanceof HTMLVideoElement) media.pause();
+
+    article.style.transition = `opacity ${UI.FADE_DURATION_MS}ms ease-out`;
+    article.style.opacity = '0';
+    await new Promise(resolve => setTimeout(resolve, UI.HIDE_DELAY_MS));
+    article.style.display = 'none';
+
+    if (!card) return restore;
+
+    article.before(card);
+    return () => {
+      card.remove();
+      restore();
+    };
+  }
+});
+
+blockActions.register({
+  id: BLOCK_ACTIONS.COLLAPSE,
+  label: 'Collapse',
+  mediaTypes: [MEDIA_TYPES.VIDEO, MEDIA_TYPES.IMAGE],
+  apply({ article, media, reveal }) {
+    const children = Array.from(article.children);
+    const restores = children.map(child => saveStyle(child, ['display']));
+    children.forEach(child => {
+      child.style.display = 'none';
+    });
+
+    // Hidden videos would keep playing (and sounding) otherwise
+    if (media instanceof HTMLVideoElement) media.pause();
+
+    const placeholder = createNotice('vb-collapsed', '🚫 Blocked media · show', reveal);
+    Object.assign(placeholder.style, {
+      padding: '10px 16px',
+      fontSize: '13px',
+      color: 'rgb(113, 118, 123)',
+      cursor: 'pointer'
+    });
+    article.appendChild(placeholder);
+
+    return () => {
+      placeholder.remove();
+      restores.forEach(restore => restore());
+    };
+  }
+});
+
+blockActions.register({
+  id: BLOCK_ACTIONS.BLUR,
+  label: 'Blur',
+  mediaTypes: [MEDIA_TYPES.VIDEO, MEDIA_TYPES.IMAGE],
+  apply({ media, reveal }) {
+    const container = getMediaContainer(media);
+    const parent = container && container.parentElement;
+    if (!parent) return () => {};
+
+    const restoreContainer = saveStyle(container, ['filter']);
+    const restoreParent = saveStyle(parent, ['position']);
+    container.style.filter = `blur(${UI.BLUR_PX}px)`;
+    if (getComputedStyle(parent).position === 'static') {
+      parent.style.position = 'relative';
+    }
+
+    // The overlay sits next to the media, so it isn't blurred along with it
+    const overlay = createNotice('vb-blur-overlay', '🙈 Blocked media · click to reveal', reveal);
+    Object.assign(overlay.style, {
+      position: 'absolute',
+      inset: '0',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      color: 'white',
+      fontSize: '14px',
+      fontWeight: 'bold',
+      textShadow: '0 1px 3px rgba(0, 0, 0, 0.8)',
+      cursor: 'pointer',
+      zIndex: '1000'
+    });
+    parent.appendChild(overlay);
+
+    return () => {
+      overlay.remove();
+      restoreContainer();
+      restoreParent();
+    };
+  }
+});
+
+blockActions.register({
+  id: BLOCK_ACTIONS.MUTE,
+  label: 'Mute',
+  mediaTypes: [MEDIA_TYPES.VIDEO],
+  fallback: BLOCK_ACTIONS.BLUR,
+  apply({ media }) {
+    const wasMuted = media.muted;
+
+    // Twitter's player restores its own volume state, so muting has to stick
+    const keepMuted = () => {
+      if (!media.muted) media.muted = true;
+    };
+    media.muted = true;
+    media.addEventListener('volumechange', keepMuted);
+
+    return () => {
+      media.removeEventListener('volumechange', keepMuted);
+      media.muted = wasMuted;
+    };
+  }
+});
+
+blockActions.register({
+  id: BLOCK_ACTIONS.PAUSE,
+  label: 'Stop autoplay',
+  mediaTypes: [MEDIA_TYPES.VIDEO],
+  fallback: BLOCK_ACTIONS.BLUR,
+  apply({ media }) {
+    const container = getMediaContainer(media) || media;
+    let userStarted = false;
+
+    // Only a press on the player itself may start playback again
+    const onPointerDown = () => {
+      userStarted = true;
+    };
+    const onPlay = () => {
+      if (!userStarted) media.pause();
+    };
+
+    container.addEventListener('pointerdown', onPointerDown, true);
+    media.addEventListener('play', onPlay);
+    media.pause();
+
+    return () => {
+      container.removeEventListener('pointerdown', onPointerDown, true);
+      media.removeEventListener('play', onPlay);
+    };
+  }
+});
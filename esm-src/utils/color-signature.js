@@ -0,0 +1,101 @@
+/**
+ * Color Signature for Video Blocker Extension
+ * Compact coarse HSV histogram stored next to the luminance hash
+ *
+ * Saturated pixels fall into 12 hue bins, near-gray pixels into 4 brightness
+ * bins. Each bin is stored as the square root of its share in one hex digit,
+ * which keeps small bins visible and lets signatures be compared with the
+ * Hellinger distance.
+ */
+
+const HUE_BINS = 12;
+const GRAY_BINS = 4;
+const BIN_COUNT = HUE_BINS + GRAY_BINS;
+const LEVELS = 15;
+
+// Pixels below these are treated as gray, where hue is meaningless
+const MIN_SATURATION = 0.2;
+const MIN_VALUE = 0.15;
+
+/**
+ * Create an empty histogram
+ * @returns {Float64Array}
+ */
+export function createColorHistogram() {
+  return new Float64Array(BIN_COUNT);
+}
+
+/**
+ * Add the pixels of an image to a histogram
+ * @param {Float64Array} histogram - Histogram to update
+ * @param {ImageData} imageData - RGBA pixels
+ */
+export function addToColorHistogram(histogram, imageData) {
+  const data = imageData.data;
+
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i] / 255;
+    const g = data[i + 1] / 255;
+    const b = data[i + 2] / 255;
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const chroma = max - min;
+
+    if (max < MIN_VALUE || chroma / max < MIN_SATURATION) {
+      histogram[HUE_BINS + Math.min(GRAY_BINS - 1, Math.floor(max * GRAY_BINS))]++;
+      continue;
+    }
+
+    let hue;
+    if (max === r) {
+      hue = ((g - b) / chroma + 6) % 6;
+    } else if (max === g) {
+      hue = (b - r) / chroma + 2;
+    } else {
+      hue = (r - g) / chroma + 4;
+    }
+    histogram[Math.min(HUE_BINS - 1, Math.floor((hue / 6) * HUE_BINS))]++;
+  }
+}
+
+/**
+ * Encode a histogram as a signature
+ * @param {Float64Array} histogram - Pixel counts per bin
+ * @returns {string|null} - 16 hex digits, or null for an empty histogram
+ */
+export function encodeColorSignature(histogram) {
+  const total = histogram.reduce((sum, count) => sum + count, 0);
+  if (total === 0) return null;
+
+  return Array.from(histogram, count =>
+    Math.round(Math.sqrt(count / total) * LEVELS).toString(16)
+  ).join('');
+}
+
+/**
+ * Hellinger distance between two color signatures
+ * @param {string} signature1 - First signature
+ * @param {string} signature2 - Second signature
+ * @returns {number} - 0 (same colors) to 1 (no overlap), or NaN if either is missing or malformed
+ */
+export function colorSignatureDistance(signature1, signature2) {
+  if (typeof signature1 !== 'string' || typeof signature2 !== 'string' ||
+      signature1.length !== BIN_COUNT || signature2.length !== BIN_COUNT) {
+    return NaN;
+  }
+
+  const decode = (signature) => {
+    const roots = Array.from(signature, digit => parseInt(digit, 16));
+    const norm = Math.sqrt(roots.reduce((sum, root) => sum + root * root, 0));
+    return roots.map(root => (norm > 0 ? root / norm : 0));
+  };
+
+  const roots1 = decode(signature1);
+  const roots2 = decode(signature2);
+  let overlap = 0;
+  for (let i = 0; i < BIN_COUNT; i++) {
+    overlap += roots1[i] * roots2[i];
+  }
+
+  return Math.sqrt(Math.max(0, 1 - overlap));
+}
@@ -0,0 +1,211 @@
+/**
+ * Frame Collector for Video Blocker Extension
+ * Captures frames of playing videos as they are presented, so fingerprints
+ * of a video someone is watching never have to seek it
+ */
+
+import { VIDEO_PROCESSING, VIDEO_LOAD, HASH_GEOMETRIES, LOG_CATEGORIES } from '../constants.js';
+
+export class FrameCollector {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} videoUtils - VideoUtils used for border detection and frame capture
+   */
+  constructor(logger, videoUtils) {
+    this.logger = logger.createCategoryLogger(LOG_CATEGORIES.VIDEO);
+    this.videoUtils = videoUtils;
+    this.videos = new Map(); // video -> {samples, region, lastCapture, capturing, stop}
+  }
+
+  /**
+   * Start collecting frames of a video as it plays
+   * Uses `requestVideoFrameCallback` where available (called once per
+   * presented frame) and `timeupdate` otherwise. Neither fires while the
+   * video is paused, so nothing is captured that the user isn't seeing.
+   * Observing the same video again does nothing.
+   * @param {HTMLVideoElement} video - Video element
+   */
+  observe(video) {
+    if (!video || this.videos.has(video)) return;
+
+    // Videos removed from the page stop their own loop; drop any that never played again
+    for (const observed of this.videos.keys()) {
+      if (!observed.isConnected) this.release(observed);
+    }
+
+    const state = { samples: [], region: undefined, lastCapture: -Infinity, capturing: false, stop: null };
+    this.videos.set(video, state);
+
+    if (typeof video.requestVideoFrameCallback === 'function') {
+      let active = true;
+      let handle = null;
+      const onFrame = () => {
+        if (!active) return;
+        this.handleFrame(video, state);
+        handle = video.requestVideoFrameCallback(onFrame);
+      };
+      handle = video.requestVideoFrameCallback(onFrame);
+      state.stop = () => {
+        active = false;
+        video.cancelVideoFrameCallback(handle);
+      };
+    } else {
+      const onTimeUpdate = () => this.handleFrame(video, state);
+      video.addEventListener('timeupdate', onTimeUpdate);
+      state.stop = () => video.removeEventListener('timeupdate', onTimeUpdate);
+    }
+  }
+
+  /**
+   * Capture the presented frame if enough time has passed since the last one
+   * Frames are kept at every geometry's size, cropped to the active region
+   * of the video.
+   * @param {HTMLVideoElement} video - Video element
+   * @param {Object} state - Collection state of the video
+   * @private
+   */
+  async handleFrame(video, state) {
+    if (!video.isConnected) {
+      this.release(video);
+      return;
+    }
+
+    const now = performance.now();
+    if (state.capturing || video.seeking || now - state.lastCapture < VIDEO_PROCESSING.PASSIVE_INTERVAL_MS) return;
+    if (video.readyState < VIDEO_LOAD.READY_STATE_THRESHOLD || !video.videoWidth || !video.videoHeight) return;
+
+    state.capturing = true;
+    state.lastCapture = now;
+
+    try {
+      const time = video.currentTime;
+      const last = state.samples[state.samples.length - 1];
+      if (last && Math.abs(last.time - time) < 0.01) return;
+
+      // Bars don't move, so the first frame with enough detail decides the crop;
+      // frames taken uncropped before then are dropped to keep the set consistent
+      if (!state.region) {
+        const region = this.videoUtils.detectActiveRegion(video);
+        if (region && state.samples.length > 0) {
+          state.samples.splice(0).forEach(sample => this.closeSample(sample));
+        }
+        state.region = region;
+      }
+
+      const geometries = Object.values(HASH_GEOMETRIES);
+      const captured = await Promise.all(geometries.map(geometry =>
+        this.videoUtils.captureFrame(video, state.region, geometry.canvasSize)));
+
+      // The video may have been released while capturing
+      if (this.videos.get(video) !== state) {
+        captured.forEach(frame => frame.close());
+        return;
+      }
+
+      state.samples.push({ time, frames: Object.fromEntries(geometries.map((geometry, i) => [geometry.id, captured[i]])) });
+      while (state.samples.length > VIDEO_PROCESSING.PASSIVE_FRAMES) {
+        this.closeSample(state.samples.shift());
+      }
+    } catch (error) {
+      this.logger.debug('Passive frame capture failed', error);
+    } finally {
+      state.capturing = false;
+    }
+  }
+
+  /**
+   * Get copies of the most recently collected frames of a video
+   * The collector keeps its own frames, so the copies can be consumed by hashing.
+   * @param {HTMLVideoElement} video - Video element
+   * @param {number} count - Maximum number of frames
+   * @param {string[]} geometries - Hash geometry ids to return frames for
+   * @returns {Promise<{frames: Object<string, ImageBitmap[]>, timestamps: number[], region: Object|null}|null>} -
+   *   Frames per geometry id in playback order, or null if none were collected
+   */
+  async take(video, count, geometries) {
+    const state = this.videos.get(video);
+    if (!state || state.samples.length === 0 || count <= 0) return null;
+
+    const samples = state.samples.slice(-count);
+    const frames = {};
+    for (const id of geometries) {
+      if (!samples[0].frames[id]) return null;
+      frames[id] = await Promise.all(samples.map(sample => createImageBitmap(sample.frames[id])));
+    }
+
+    return { frames, timestamps: samples.map(sample => sample.time), region: state.region };
+  }
+
+  /**
+   * Get a copy of the earliest collected frame taken at or after a playback time
+   * @param {HTMLVideoElement} video - Video element
+   * @param {number} time - Playback time in seconds
+   * @param {string[]} geometries - Hash geometry ids to return the frame for
+   * @returns {Promise<{frames: Object<string, ImageBitmap[]>, timestamps: number[], region: Object|null}|null>} - As
+   *   for take with one frame, or null if no such frame was collected yet
+   */
+  async takeAt(video, time, geometries) {
+    const state = this.videos.get(video);
+    const sample = state && state.samples.find(candidate => candidate.time >= time);
+    if (!sample || geometries.some(id => !sample.frames[id])) return null;
+
+    const frames = {};
+    for (const id of geometries) {
+      frames[id] = [await createImageBitmap(sample.frames[id])];
+    }
+
+    return { frames, timestamps: [sample.time], region: state.region };
+  }
+
+  /**
+   * Get the active region frames of a video are collected with
+   * @param {HTMLVideoElement} video - Video element
+   * @returns {Object|null|undefined} - Region, null for the full frame, or undefined if nothing was collected yet
+   */
+  getRegion(video) {
+    const state = this.videos.get(video);
+    return state && state.samples.length > 0 ? state.region : undefined;
+  }
+
+  /**
+   * Stop observing a video and free its frames
+   * @param {HTMLVideoElement} video - Video element
+   */
+  release(video) {
+    const state = this.videos.get(video);
+    if (!state) return;
+
+    state.stop();
+    state.samples.forEach(sample => this.closeSample(sample));
+    this.videos.delete(video);
+  }
+
+  /**
+   * Close the frames of one sample
+   * @private
+   */
+  closeSample(sample) {
+    Object.values(sample.frames).forEach(frame => frame.close());
+  }
+
+  /**
+   * Get collector statistics
+   * @returns {Object} - Observed videos and frames held
+   */
+  getStats() {
+    let samples = 0;
+    for (const state of this.videos.values()) {
+      samples += state.samples.length;
+    }
+    return { observedVideos: this.videos.size, collectedFrames: samples };
+  }
+
+  /**
+   * Stop observing all videos
+   */
+  cleanup() {
+    for (const video of [...this.videos.keys()]) {
+      this.release(video);
+    }
+  }
+}
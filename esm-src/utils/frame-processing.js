@@ -0,0 +1,408 @@
+/**
+ * Frame Processing for Video Blocker Extension
+ * DOM-free grayscale conversion and frame hashing shared by the main thread and the hash worker
+ */
+
+import { VIDEO_PROCESSING, HASH_GEOMETRIES } from '../constants.js';
+import { hashAlgorithms, HashAlgorithmRegistry } from './hash-algorithms.js';
+import { bitsToHex } from './packed-hash.js';
+import { createColorHistogram, addToColorHistogram, encodeColorSignature } from './color-signature.js';
+
+// Luminance histogram bins used to judge whether a frame carries a picture
+const SIGNAL_BINS = 16;
+
+/**
+ * Convert ImageData to grayscale matrix
+ * @param {ImageData} imageData - Canvas image data
+ * @param {number} size - Matrix size
+ * @returns {Array<Array<number>>} - Grayscale matrix
+ */
+export function imageDataToGrayscaleMatrix(imageData, size) {
+  const matrix = Array.from({ length: size }, () => Array(size).fill(0));
+  const data = imageData.data;
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const idx = (y * size + x) * 4;
+      const r = data[idx];
+      const g = data[idx + 1];
+      const b = data[idx + 2];
+
+      // Convert to grayscale using luminance formula
+      matrix[y][x] = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+    }
+  }
+
+  return matrix;
+}
+
+/**
+ * Stretch the contrast of a dark or washed-out grayscale matrix
+ * Such frames use only a narrow band of gray levels, which leaves the
+ * transforms with little more than quantization noise. Frames that already
+ * span `targetRange` levels are returned unchanged, so hashes of ordinary
+ * videos (and existing blocklist entries) don't move; frames narrower than
+ * `minRange` hold no picture and are flattened to their mean.
+ * @param {Array<Array<number>>} matrix - Grayscale matrix (0-255)
+ * @param {Object} options - {percentile, minRange, targetRange}
+ * @returns {Array<Array<number>>} - Normalized matrix
+ */
+export function normalizeMatrix(matrix, options) {
+  const values = matrix.flat();
+  const low = percentile(values, options.percentile);
+  const high = percentile(values, 1 - options.percentile);
+  const range = high - low;
+
+  if (range >= options.targetRange) {
+    return matrix;
+  }
+
+  if (range < options.minRange) {
+    const mean = Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+    return matrix.map(row => row.map(() => mean));
+  }
+
+  const scale = 255 / range;
+  return matrix.map(row => row.map(value =>
+    Math.max(0, Math.min(255, Math.round((value - low) * scale)))
+  ));
+}
+
+/**
+ * Count gray levels of matrices into coarse bins
+ * @param {Array<Array<Array<number>>>} matrices - Grayscale matrices
+ * @returns {number[]} - Pixel count per bin
+ */
+export function luminanceHistogram(matrices) {
+  const histogram = new Array(SIGNAL_BINS).fill(0);
+  const binWidth = 256 / SIGNAL_BINS;
+
+  for (const matrix of matrices) {
+    for (const row of matrix) {
+      for (const value of row) {
+        histogram[Math.min(SIGNAL_BINS - 1, Math.floor(value / binWidth))]++;
+      }
+    }
+  }
+
+  return histogram;
+}
+
+/**
+ * Average multiple matrices
+ * @param {Array<Array<Array<number>>>} matrices - Array of matrices to average
+ * @returns {Array<Array<number>>|null} - Averaged matrix
+ */
+export function averageMatrices(matrices) {
+  if (matrices.length === 0) return null;
+  if (matrices.length === 1) return matrices[0];
+
+  const size = matrices[0].length;
+  const averaged = Array.from({ length: size }, () => Array(size).fill(0));
+
+  // Sum all matrices
+  for (const matrix of matrices) {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        averaged[y][x] += matrix[y][x];
+      }
+    }
+  }
+
+  // Divide by count to get average
+  const count = matrices.length;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      averaged[y][x] = Math.round(averaged[y][x] / count);
+    }
+  }
+
+  return averaged;
+}
+
+/**
+ * Mirror a matrix left-to-right
+ * @param {Array<Array<number>>} matrix - Input matrix
+ * @returns {Array<Array<number>>} - Horizontally flipped copy
+ */
+export function mirrorMatrix(matrix) {
+  return matrix.map(row => row.slice().reverse());
+}
+
+/**
+ * Hash an averaged matrix and each frame matrix with several algorithms
+ * With `mirror`, every variant also carries the hashes of the horizontally
+ * flipped frames under `mirrored`. Flipping the matrix works for every
+ * algorithm, where deriving it from the hash bits would only work for pHash.
+ * @param {Array<Array<number>>|null} averageMatrix - Averaged frames (null to skip)
+ * @param {Array<Array<Array<number>>|null>} frameMatrices - Per-frame matrices (null slots are kept)
+ * @param {string[]} algorithms - Registered algorithm ids (unknown ids are skipped)
+ * @param {boolean} mirror - Also hash the mirrored frames
+ * @param {Object} geometry - Hash geometry the matrices were scaled for
+ * @returns {Object} - Map of algorithm key to {hash, frameHashes, mirrored?} with hex hashes
+ */
+export function computeFrameHashes(averageMatrix, frameMatrices, algorithms, mirror = false, geometry = HASH_GEOMETRIES.standard) {
+  const hashes = {};
+  const flip = (matrix) => (matrix ? mirrorMatrix(matrix) : null);
+  const mirroredAverage = mirror ? flip(averageMatrix) : null;
+  const mirroredFrames = mirror ? frameMatrices.map(flip) : null;
+
+  for (const algorithmId of new Set(algorithms)) {
+    const algorithm = hashAlgorithms.get(algorithmId);
+    if (!algorithm) continue;
+
+    const hashMatrix = (matrix) => (matrix ? bitsToHex(algorithm.compute(matrix, geometry)) : null);
+
+    hashes[HashAlgorithmRegistry.key(algorithm.id, algorithm.version, geometry)] = {
+      hash: hashMatrix(averageMatrix),
+      frameHashes: frameMatrices.map(hashMatrix),
+      ...(mirror && {
+        mirrored: {
+          hash: hashMatrix(mirroredAverage),
+          frameHashes: mirroredFrames.map(hashMatrix)
+        }
+      })
+    };
+  }
+
+  return hashes;
+}
+
+/**
+ * Draw frames onto a canvas and hash them
+ * Luminance is contrast-normalized and goes into the algorithm hashes; the
+ * colors of all frames are pooled into one color signature. The luminance
+ * histogram of what was hashed (the average, or every frame without one) is
+ * returned as `signal` for trivial-frame detection. Bitmaps are closed once read.
+ * @param {Array<ImageBitmap|null>} frames - Frames already scaled to the geometry's canvasSize (null slots are kept)
+ * @param {OffscreenCanvasRenderingContext2D|CanvasRenderingContext2D} ctx - Context of a canvas at least that large
+ * @param {Object} geometry - Hash geometry ({canvasSize, blockSize, ...})
+ * @param {string[]} algorithms - Registered algorithm ids
+ * @param {boolean} includeAverage - Also hash the average of all frames
+ * @param {boolean} mirror - Also hash the mirrored frames
+ * @returns {{hashes: Object, colorSignature: string|null, signal: number[]}} - Map of algorithm key to
+ *   {hash, frameHashes, mirrored?}, plus the pooled color signature and luminance histogram
+ */
+export function hashBitmaps(frames, ctx, geometry, algorithms, includeAverage, mirror = false) {
+  const size = geometry.canvasSize;
+  const histogram = createColorHistogram();
+
+  const matrices = frames.map(frame => {
+    if (!frame) return null;
+
+    ctx.clearRect(0, 0, size, size);
+    ctx.drawImage(frame, 0, 0, size, size);
+    frame.close();
+
+    const imageData = ctx.getImageData(0, 0, size, size);
+    addToColorHistogram(histogram, imageData);
+    return normalizeMatrix(imageDataToGrayscaleMatrix(imageData, size), {
+      percentile: VIDEO_PROCESSING.NORMALIZE_PERCENTILE,
+      minRange: VIDEO_PROCESSING.NORMALIZE_MIN_RANGE,
+      targetRange: VIDEO_PROCESSING.NORMALIZE_TARGET_RANGE
+    });
+  });
+
+  const captured = matrices.filter(Boolean);
+  const averageMatrix = includeAverage ? averageMatrices(captured) : null;
+
+  return {
+    hashes: computeFrameHashes(averageMatrix, matrices, algorithms, mirror, geometry),
+    colorSignature: encodeColorSignature(histogram),
+    signal: luminanceHistogram(averageMatrix ? [averageMatrix] : captured)
+  };
+}
+
+/**
+ * Convert ImageData to a flat list of luminance values
+ * @param {ImageData} imageData - Canvas image data
+ * @returns {Float32Array} - Luminance (0-255) per pixel
+ */
+export function imageDataToLuminance(imageData) {
+  const { data } = imageData;
+  const gray = new Float32Array(data.length / 4);
+
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+
+  return gray;
+}
+
+/**
+ * Mean absolute difference of two equally sized luminance lists
+ * @param {Float32Array} a - First probe
+ * @param {Float32Array} b - Second probe
+ * @returns {number} - 0 (identical) to 1 (inverted)
+ */
+export function probeDifference(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += Math.abs(a[i] - b[i]);
+  }
+  return sum / (a.length * 255);
+}
+
+/**
+ * Pick keyframes from distinct scenes of a video
+ * Consecutive probes that differ by more than `threshold` are split into
+ * separate shots. The longest shots are represented by their middle probe,
+ * away from transitions; with fewer shots than `count`, the longest shots
+ * are split further. Flat probes (black frames, fades) are never picked.
+ * The choice depends only on the probes, so copies of a video pick the
+ * same frames.
+ * @param {Array<{time: number, gray: Float32Array}>} probes - Low-res probes in time order
+ * @param {number} count - Keyframes wanted
+ * @param {Object} options - {threshold, minStddev}
+ * @returns {{times: number[], primary: number|null, boundaries: number[]}} - Keyframe times
+ *   (ascending), the keyframe of the longest shot, and the times of the first probe after
+ *   each shot boundary
+ */
+export function selectKeyframes(probes, count, options) {
+  const usable = probes.filter(({ gray }) => stddev(gray) >= options.minStddev);
+  const boundaries = [];
+  const segments = [];
+
+  usable.forEach((probe, i) => {
+    if (i > 0 && probeDifference(usable[i - 1].gray, probe.gray) > options.threshold) {
+      boundaries.push(probe.time);
+      segments.push([]);
+    }
+    if (segments.length === 0) segments.push([]);
+    segments[segments.length - 1].push(probe);
+  });
+
+  // Split the longest shot until there are enough to choose from
+  const longestFirst = (a, b) => b.length - a.length || a[0].time - b[0].time;
+  segments.sort(longestFirst);
+  while (segments.length > 0 && segments.length < count && segments[0].length > 1) {
+    const longest = segments.shift();
+    const half = Math.ceil(longest.length / 2);
+    segments.push(longest.slice(0, half), longest.slice(half));
+    segments.sort(longestFirst);
+  }
+
+  const picked = segments
+    .slice(0, count)
+    .map(segment => segment[Math.floor((segment.length - 1) / 2)].time);
+
+  return {
+    times: picked.slice().sort((a, b) => a - b),
+    primary: picked.length > 0 ? picked[0] : null,
+    boundaries
+  };
+}
+
+/**
+ * Standard deviation of a list of numbers
+ * @private
+ */
+function stddev(values) {
+  let sum = 0;
+  let sumSquares = 0;
+  for (const value of values) {
+    sum += value;
+    sumSquares += value * value;
+  }
+  const mean = sum / values.length;
+  return Math.sqrt(Math.max(0, sumSquares / values.length - mean * mean));
+}
+
+/**
+ * Percentile of a list of numbers
+ * @private
+ */
+function percentile(values, fraction) {
+  const sorted = Array.from(values).sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+}
+
+/**
+ * Measure detail along each line of a grayscale image
+ * Activity is the mean absolute gradient; flat and blurred lines score low.
+ * @private
+ */
+function lineStats(gray, width, height, horizontal, from, to) {
+  const count = horizontal ? height : width;
+  const stats = [];
+
+  for (let line = 0; line < count; line++) {
+    let sum = 0;
+    let sumSquares = 0;
+    let activity = 0;
+    let samples = 0;
+
+    for (let i = from; i < to; i++) {
+      const x = horizontal ? i : line;
+      const y = horizontal ? line : i;
+      const value = gray[y * width + x];
+
+      sum += value;
+      sumSquares += value * value;
+      if (x + 1 < width) activity += Math.abs(value - gray[y * width + x + 1]);
+      if (y + 1 < height) activity += Math.abs(value - gray[(y + 1) * width + x]);
+      samples++;
+    }
+
+    const mean = sum / samples;
+    stats.push({
+      stddev: Math.sqrt(Math.max(0, sumSquares / samples - mean * mean)),
+      activity: activity / samples
+    });
+  }
+
+  return stats;
+}
+
+/**
+ * Find the symmetric border on one axis
+ * Bars are trimmed by the thinner side so a dark edge of the picture itself
+ * (night sky, shadows) isn't mistaken for a bar.
+ * @private
+ */
+function findBorder(stats, options) {
+  const reference = percentile(stats.map(s => s.activity), 0.9);
+  const isBorder = ({ stddev, activity }) =>
+    stddev < options.uniformStddev || activity < reference * options.activityRatio;
+
+  let start = 0;
+  while (start < stats.length && isBorder(stats[start])) start++;
+
+  let end = 0;
+  while (end < stats.length - start && isBorder(stats[stats.length - 1 - end])) end++;
+
+  const border = Math.min(start, end);
+  const fraction = border / stats.length;
+
+  if (fraction < options.minCrop || 1 - 2 * fraction < options.minActive) {
+    return 0;
+  }
+  return fraction;
+}
+
+/**
+ * Find the active picture region inside letterbox/pillarbox bars
+ * Handles solid bars and blurred copies of the video used as fill.
+ * @param {ImageData} imageData - Frame to analyse
+ * @param {Object} options - {uniformStddev, activityRatio, minCrop, minActive}
+ * @returns {{x: number, y: number, width: number, height: number}|null} - Region as
+ *   fractions of the frame, or null if the frame has no detail to judge by
+ */
+export function findActiveRegion(imageData, options) {
+  const { width, height } = imageData;
+  const gray = imageDataToLuminance(imageData);
+
+  const columns = lineStats(gray, width, height, false, 0, height);
+  if (percentile(columns.map(s => s.stddev), 0.9) < options.uniformStddev) {
+    return null; // Blank or fading frame
+  }
+
+  const x = findBorder(columns, options);
+
+  // Rows are measured inside the picture columns so windowboxed frames crop on both axes
+  const left = Math.round(x * width);
+  const rows = lineStats(gray, width, height, true, left, width - left);
+  const y = findBorder(rows, options);
+
+  return { x, y, width: 1 - 2 * x, height: 1 - 2 * y };
+}
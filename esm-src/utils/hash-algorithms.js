@@ -0,0 +1,280 @@
+/**
+ * Hash Algorithm Registry for Video Blocker Extension
+ * Named, versioned fingerprint algorithms that turn a grayscale matrix into a binary hash
+ */
+
+import { HASH_GEOMETRIES } from '../constants.js';
+
+/**
+ * 2D Discrete Cosine Transform (DCT-II)
+ * Coefficients beyond `limit` are left at 0; hashes only read the
+ * low-frequency corner, which keeps larger geometries affordable.
+ * @param {Array<Array<number>>} matrix - Input matrix
+ * @param {number} limit - Number of low frequencies to compute per axis (default: all)
+ * @returns {Array<Array<number>>} - DCT transformed matrix
+ */
+export function dct2D(matrix, limit = matrix.length) {
+  const N = matrix.length;
+  const result = Array.from({ length: N }, () => Array(N).fill(0));
+  const cosines = cosineTable(N);
+
+  const alpha = (u) => (u === 0 ? 1 / Math.sqrt(2) : 1);
+
+  for (let u = 0; u < Math.min(limit, N); u++) {
+    for (let v = 0; v < Math.min(limit, N); v++) {
+      let sum = 0;
+
+      for (let y = 0; y < N; y++) {
+        for (let x = 0; x < N; x++) {
+          sum += matrix[y][x] * cosines[u][x] * cosines[v][y];
+        }
+      }
+
+      result[u][v] = (2 / N) * alpha(u) * alpha(v) * sum;
+    }
+  }
+
+  return result;
+}
+
+// Cosine terms per transform size, cos((2x + 1)uπ / 2N) at [u][x]
+const cosineTables = new Map();
+
+/**
+ * Get the DCT cosine terms for a transform size
+ * @private
+ */
+function cosineTable(N) {
+  if (!cosineTables.has(N)) {
+    cosineTables.set(N, Array.from({ length: N }, (_, u) =>
+      Array.from({ length: N }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * N)))
+    ));
+  }
+  return cosineTables.get(N);
+}
+
+/**
+ * 2D Haar wavelet transform (full pyramid decomposition)
+ * Coarse coefficients end up in the top-left corner, like low DCT frequencies.
+ * @param {Array<Array<number>>} matrix - Square input matrix (power-of-two size)
+ * @returns {Array<Array<number>>} - Wavelet coefficients
+ */
+export function haar2D(matrix) {
+  const result = matrix.map(row => row.slice());
+
+  for (let size = result.length; size > 1; size /= 2) {
+    const half = size / 2;
+
+    // Rows
+    for (let y = 0; y < size; y++) {
+      const row = result[y].slice(0, size);
+      for (let x = 0; x < half; x++) {
+        result[y][x] = (row[2 * x] + row[2 * x + 1]) / 2;
+        result[y][half + x] = (row[2 * x] - row[2 * x + 1]) / 2;
+      }
+    }
+
+    // Columns
+    for (let x = 0; x < size; x++) {
+      const column = result.slice(0, size).map(row => row[x]);
+      for (let y = 0; y < half; y++) {
+        result[y][x] = (column[2 * y] + column[2 * y + 1]) / 2;
+        result[half + y][x] = (column[2 * y] - column[2 * y + 1]) / 2;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Downscale a matrix by averaging the source cells covered by each target cell
+ * @param {Array<Array<number>>} matrix - Source matrix
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {Array<Array<number>>} - Resized matrix
+ */
+export function resizeMatrix(matrix, width, height) {
+  const sourceHeight = matrix.length;
+  const sourceWidth = matrix[0].length;
+  const result = Array.from({ length: height }, () => Array(width).fill(0));
+
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y * sourceHeight / height);
+    const y1 = Math.max(y0 + 1, Math.floor((y + 1) * sourceHeight / height));
+
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x * sourceWidth / width);
+      const x1 = Math.max(x0 + 1, Math.floor((x + 1) * sourceWidth / width));
+
+      let sum = 0;
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          sum += matrix[sy][sx];
+        }
+      }
+      result[y][x] = sum / ((y1 - y0) * (x1 - x0));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Take the low-frequency corner of a transformed matrix, skipping the DC term
+ * @private
+ */
+function lowFrequencyBlock(coefficients, blockSize) {
+  const block = [];
+  for (let y = 0; y < blockSize; y++) {
+    for (let x = 0; x < blockSize; x++) {
+      if (x === 0 && y === 0) continue; // Skip DC component
+      block.push(coefficients[y][x]);
+    }
+  }
+  return block;
+}
+
+/**
+ * Threshold values against their median
+ * @private
+ */
+function medianBits(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+  return values.map(v => (v > median ? '1' : '0')).join('');
+}
+
+/**
+ * Look up a hash geometry
+ * Entries saved before geometries were tagged are standard.
+ * @param {string} id - Geometry id
+ * @returns {Object} - {id, version, canvasSize, blockSize}, standard for unknown ids
+ */
+export function getHashGeometry(id) {
+  return HASH_GEOMETRIES[id] || HASH_GEOMETRIES.standard;
+}
+
+/**
+ * Registry of fingerprint algorithms
+ * Each algorithm takes a canvasSize x canvasSize grayscale matrix of a hash
+ * geometry and returns a string of '0'/'1' whose length grows with the
+ * geometry's blockSize.
+ */
+class HashAlgorithmRegistry {
+  constructor() {
+    this.algorithms = new Map();
+  }
+
+  /**
+   * Register an algorithm
+   * @param {Object} algorithm - {id, version, label, bits(geometry), compute(matrix, geometry)}
+   */
+  register(algorithm) {
+    if (!algorithm || !algorithm.id || !Number.isInteger(algorithm.version) ||
+        typeof algorithm.bits !== 'function' || typeof algorithm.compute !== 'function') {
+      throw new Error('Invalid hash algorithm definition');
+    }
+    this.algorithms.set(algorithm.id, algorithm);
+  }
+
+  /**
+   * Get an algorithm by id
+   * @param {string} id - Algorithm id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.algorithms.get(id) || null;
+  }
+
+  /**
+   * Check whether an algorithm is registered
+   * @param {string} id - Algorithm id
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.algorithms.has(id);
+  }
+
+  /**
+   * List registered algorithms
+   * @returns {Object[]}
+   */
+  list() {
+    return Array.from(this.algorithms.values());
+  }
+
+  /**
+   * Build the key that identifies hashes produced by one algorithm version
+   * The standard geometry is left out, so keys of existing entries don't change.
+   * @param {string} id - Algorithm id
+   * @param {number} version - Algorithm version
+   * @param {Object|null} geometry - Hash geometry ({id, version}, null for standard)
+   * @returns {string} - e.g. 'phash@1', or 'phash@1/strict@1'
+   */
+  static key(id, version, geometry = null) {
+    const base = `${id}@${version}`;
+    if (!geometry || (geometry.id === HASH_GEOMETRIES.standard.id &&
+        geometry.version === HASH_GEOMETRIES.standard.version)) {
+      return base;
+    }
+    return `${base}/${geometry.id}@${geometry.version}`;
+  }
+}
+
+// Create singleton registry with the built-in algorithms
+export const hashAlgorithms = new HashAlgorithmRegistry();
+
+// Geometry defaults to standard so callers that predate geometries keep their hashes
+const STANDARD = HASH_GEOMETRIES.standard;
+
+hashAlgorithms.register({
+  id: 'phash',
+  version: 1,
+  label: 'DCT perceptual hash',
+  bits: (geometry = STANDARD) => geometry.blockSize * geometry.blockSize - 1,
+  compute: (matrix, geometry = STANDARD) =>
+    medianBits(lowFrequencyBlock(dct2D(matrix, geometry.blockSize), geometry.blockSize))
+});
+
+hashAlgorithms.register({
+  id: 'dhash',
+  version: 1,
+  label: 'Difference hash',
+  bits: (geometry = STANDARD) => geometry.blockSize * geometry.blockSize,
+  compute: (matrix, geometry = STANDARD) => {
+    // (blockSize + 1) x blockSize grid, one bit per horizontal gradient
+    const size = geometry.blockSize;
+    const small = resizeMatrix(matrix, size + 1, size);
+    let bits = '';
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        bits += small[y][x] < small[y][x + 1] ? '1' : '0';
+      }
+    }
+    return bits;
+  }
+});
+
+hashAlgorithms.register({
+  id: 'ahash',
+  version: 1,
+  label: 'Average hash',
+  bits: (geometry = STANDARD) => geometry.blockSize * geometry.blockSize,
+  compute: (matrix, geometry = STANDARD) => {
+    const values = resizeMatrix(matrix, geometry.blockSize, geometry.blockSize).flat();
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    return values.map(v => (v > mean ? '1' : '0')).join('');
+  }
+});
+
+hashAlgorithms.register({
+  id: 'whash',
+  version: 1,
+  label: 'Haar wavelet hash',
+  bits: (geometry = STANDARD) => geometry.blockSize * geometry.blockSize - 1,
+  compute: (matrix, geometry = STANDARD) =>
+    medianBits(lowFrequencyBlock(haar2D(matrix), geometry.blockSize))
+});
+
+export { HashAlgorithmRegistry };
@@ -0,0 +1,134 @@
+/**
+ * Hash Worker Client for Video Blocker Extension
+ * Promise API over the dedicated hash worker, with frames posted as ImageBitmaps
+ */
+
+import { WORKER, LOG_CATEGORIES } from '../constants.js';
+import HashWorker from '../workers/hash.worker.js?worker&inline';
+
+export class HashWorkerClient {
+  constructor(logger) {
+    this.logger = logger.createCategoryLogger(LOG_CATEGORIES.WORKER);
+    this.worker = null;
+    this.disabled = false;
+    this.nextId = 1;
+    this.pending = new Map(); // request id -> {resolve, reject, timeout}
+  }
+
+  /**
+   * Check if the worker can take requests
+   * Workers can be refused by the page's CSP; hashing then stays on the main thread.
+   * @returns {boolean}
+   */
+  isAvailable() {
+    if (this.disabled) return false;
+    if (this.worker) return true;
+
+    if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') {
+      this.disable('Worker or OffscreenCanvas not supported');
+      return false;
+    }
+
+    try {
+      this.worker = new HashWorker();
+      this.worker.onmessage = (event) => this.handleMessage(event.data);
+      this.worker.onerror = (event) => {
+        event.preventDefault();
+        this.disable(event.message || 'Worker error');
+      };
+      this.logger.info('Hash worker started');
+      return true;
+    } catch (error) {
+      this.disable(error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Hash frames in the worker
+   * The worker gets clones of the bitmaps (which share their pixels), so the
+   * caller keeps the frames, e.g. to hash them itself if the worker fails, and
+   * closes them when done.
+   * @param {Array<ImageBitmap|null>} frames - Frames scaled to the geometry's canvasSize (null slots are kept)
+   * @param {Object} geometry - Hash geometry
+   * @param {string[]} algorithms - Registered algorithm ids
+   * @param {boolean} includeAverage - Also hash the average of all frames
+   * @param {boolean} mirror - Also hash the mirrored frames
+   * @returns {Promise<{hashes: Object, colorSignature: string|null, signal: number[]}>} - Algorithm hashes,
+   *   color signature and luminance histogram
+   */
+  hashFrames(frames, geometry, algorithms, includeAverage, mirror = false) {
+    if (!this.isAvailable()) {
+      return Promise.reject(new Error('Hash worker unavailable'));
+    }
+
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error('Hash worker timeout'));
+      }, WORKER.TIMEOUT_MS);
+
+      this.pending.set(id, { resolve, reject, timeout });
+      this.worker.postMessage({ id, type: 'hashFrames', frames, geometry, algorithms, includeAverage, mirror });
+    });
+  }
+
+  /**
+   * Resolve the request a worker response belongs to
+   * @private
+   */
+  handleMessage({ id, hashes, colorSignature, signal, error }) {
+    const request = this.pending.get(id);
+    if (!request) return;
+
+    clearTimeout(request.timeout);
+    this.pending.delete(id);
+
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve({ hashes, colorSignature, signal });
+    }
+  }
+
+  /**
+   * Stop using the worker and fail outstanding requests
+   * @param {string} reason - Why the worker was disabled
+   * @private
+   */
+  disable(reason) {
+    this.logger.warn('Hash worker disabled, hashing on main thread', { reason });
+    this.disabled = true;
+    this.terminate();
+  }
+
+  /**
+   * Terminate the worker
+   */
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+
+    for (const { reject, timeout } of this.pending.values()) {
+      clearTimeout(timeout);
+      reject(new Error('Hash worker terminated'));
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Get worker status
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      active: !!this.worker,
+      disabled: this.disabled,
+      pendingRequests: this.pending.size
+    };
+  }
+}
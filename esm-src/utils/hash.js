@@ -1,94 +1,203 @@
 /**
  * Hash Computation Utilities for Video Blocker Extension
- * Implements perceptual hashing using DCT and provides hash comparison utilities
+ * Computes perceptual hashes with registered algorithms and provides hash comparison utilities
  */
 
-import { VIDEO_PROCESSING, HASH_CONFIG, LOG_CATEGORIES } from '../constants.js';
+import { HASH_CONFIG, HASH_GEOMETRIES, LOG_CATEGORIES } from '../constants.js';
+import { hashAlgorithms, HashAlgorithmRegistry, dct2D, getHashGeometry } from './hash-algorithms.js';
+import {
+  bitsToHex,
+  hexToBits,
+  hexToWords,
+  isLegacyBinaryHash,
+  normalizeHash,
+  wordsHammingDistance
+} from './packed-hash.js';
+import { colorSignatureDistance } from './color-signature.js';
+
+// Upper bound on hashes kept unpacked in memory
+const PACKED_CACHE_LIMIT = 10000;
 
 export class HashUtils {
   constructor(logger) {
     this.logger = logger.createCategoryLogger(LOG_CATEGORIES.HASH);
+    this.packedCache = new Map(); // hex hash -> Uint32Array
   }
 
   /**
    * Compute perceptual hash from grayscale matrix using DCT
    * @param {Array<Array<number>>} matrix32 - 32x32 grayscale matrix
-   * @returns {string|null} - Binary hash string or null if failed
+   * @returns {string|null} - Hex hash string or null if failed
    */
   computePHashFromMatrix(matrix32) {
+    return this.computeHashFromMatrix(matrix32, 'phash');
+  }
+
+  /**
+   * Compute hash from grayscale matrix with a registered algorithm
+   * @param {Array<Array<number>>} matrix32 - Grayscale matrix of the geometry's canvasSize (32x32 for standard)
+   * @param {string} algorithmId - Registered algorithm id (default from config)
+   * @param {string} geometryId - Hash geometry id (default standard)
+   * @returns {string|null} - Hex hash string (packed bits) or null if failed
+   */
+  computeHashFromMatrix(matrix32, algorithmId = HASH_CONFIG.ALGORITHM, geometryId = HASH_GEOMETRIES.standard.id) {
     try {
-      if (!matrix32 || matrix32.length !== VIDEO_PROCESSING.CANVAS_SIZE) {
+      const geometry = getHashGeometry(geometryId);
+      if (!matrix32 || matrix32.length !== geometry.canvasSize) {
         throw new Error('Invalid matrix size');
       }
 
-      this.logger.debug('Computing DCT for perceptual hash');
-      const dct = this.dct2D(matrix32);
-
-      // Extract 8x8 block (excluding DC component)
-      const block = [];
-      for (let y = 0; y < VIDEO_PROCESSING.DCT_BLOCK_SIZE; y++) {
-        for (let x = 0; x < VIDEO_PROCESSING.DCT_BLOCK_SIZE; x++) {
-          if (x === 0 && y === 0) continue; // Skip DC component
-          block.push(dct[y][x]);
-        }
+      const algorithm = hashAlgorithms.get(algorithmId);
+      if (!algorithm) {
+        throw new Error(`Unknown hash algorithm: ${algorithmId}`);
       }
 
-      // Calculate median
-      const sorted = block.slice().sort((a, b) => a - b);
-      const median = sorted[Math.floor(sorted.length / 2)];
-
-      // Generate binary hash
-      const bits = block.map(v => (v > median ? '1' : '0')).join('');
+      this.logger.debug('Computing perceptual hash', { algorithm: algorithm.id, geometry: geometry.id });
+      const bits = algorithm.compute(matrix32, geometry);
 
       this.logger.debug('Hash computed successfully', {
+        algorithm: algorithm.id,
         hashLength: bits.length,
-        median: median.toFixed(4),
         ones: (bits.match(/1/g) || []).length,
         zeros: (bits.match(/0/g) || []).length
       });
 
-      return bits;
+      return bitsToHex(bits);
     } catch (error) {
       this.logger.error('Failed to compute perceptual hash', error);
       return null;
     }
   }
 
+  /**
+   * Get the key identifying the current version of an algorithm in a geometry
+   * @param {string} algorithmId - Algorithm id (default from config)
+   * @param {string} geometryId - Hash geometry id (default standard)
+   * @returns {string|null} - Key such as 'phash@1' or 'phash@1/strict@1', or null if not registered
+   */
+  getAlgorithmKey(algorithmId = HASH_CONFIG.ALGORITHM, geometryId = HASH_GEOMETRIES.standard.id) {
+    const algorithm = hashAlgorithms.get(algorithmId);
+    return algorithm
+      ? HashAlgorithmRegistry.key(algorithm.id, algorithm.version, getHashGeometry(geometryId))
+      : null;
+  }
+
+  /**
+   * Get the algorithm key a blocklist entry was produced with
+   * Entries saved before algorithms were tagged are DCT pHash v1, and
+   * entries saved before geometries were tagged are standard v1.
+   * @param {Object} entry - Blocklist entry
+   * @returns {string} - Algorithm key
+   */
+  getEntryAlgorithmKey(entry) {
+    return HashAlgorithmRegistry.key(
+      entry.algorithm || 'phash', entry.algorithmVersion || 1, this.getEntryGeometry(entry)
+    );
+  }
+
+  /**
+   * Get the hash geometry a blocklist entry was produced with
+   * @param {Object} entry - Blocklist entry
+   * @returns {{id: string, version: number}}
+   */
+  getEntryGeometry(entry) {
+    return {
+      id: entry.geometry || HASH_GEOMETRIES.standard.id,
+      version: entry.geometryVersion || 1
+    };
+  }
+
+  /**
+   * Get the number of bits a hash is stored in
+   * Hex hashes are padded to whole nibbles, so this is the compared length.
+   * @param {string|Uint32Array} hash - Hex hash, legacy binary hash or packed words
+   * @returns {number} - Bit count (0 if unrecognized)
+   */
+  getHashBits(hash) {
+    if (hash instanceof Uint32Array) return hash.length * 32;
+    const hex = typeof hash === 'string' ? normalizeHash(hash) : null;
+    return hex ? hex.length * 4 : 0;
+  }
+
+  /**
+   * Scale a Hamming threshold to a hash's length
+   * Thresholds (HAMMING_THRESHOLD, the sensitivity setting) are tuned for
+   * REFERENCE_BITS-bit hashes; longer hashes allow proportionally more
+   * differing bits, so every geometry matches at the same relative distance.
+   * @param {number} threshold - Threshold for a REFERENCE_BITS-bit hash
+   * @param {string|Uint32Array} hash - One of the hashes being compared
+   * @returns {number} - Threshold for that hash's length
+   */
+  scaleThreshold(threshold, hash) {
+    const bits = this.getHashBits(hash);
+    if (bits <= HASH_CONFIG.REFERENCE_BITS) return threshold;
+    return Math.round(threshold * bits / HASH_CONFIG.REFERENCE_BITS);
+  }
+
   /**
    * 2D Discrete Cosine Transform (DCT-II)
    * @param {Array<Array<number>>} matrix - Input matrix
    * @returns {Array<Array<number>>} - DCT transformed matrix
    */
   dct2D(matrix) {
-    const N = matrix.length;
-    const result = Array.from({ length: N }, () => Array(N).fill(0));
+    return dct2D(matrix);
+  }
 
-    const alpha = (u) => (u === 0 ? 1 / Math.sqrt(2) : 1);
+  /**
+   * Get the packed in-memory form of a hash
+   * @param {string|Uint32Array} hash - Hex hash, legacy binary hash or packed words
+   * @returns {Uint32Array|null} - Packed words or null if unrecognized
+   */
+  toPacked(hash) {
+    if (hash instanceof Uint32Array) return hash;
 
-    for (let u = 0; u < N; u++) {
-      for (let v = 0; v < N; v++) {
-        let sum = 0;
+    const cached = this.packedCache.get(hash);
+    if (cached) return cached;
 
-        for (let y = 0; y < N; y++) {
-          for (let x = 0; x < N; x++) {
-            sum += matrix[y][x] *
-              Math.cos(((2 * x + 1) * u * Math.PI) / (2 * N)) *
-              Math.cos(((2 * y + 1) * v * Math.PI) / (2 * N));
-          }
-        }
+    const hex = normalizeHash(hash);
+    if (!hex) return null;
 
-        result[u][v] = (2 / N) * alpha(u) * alpha(v) * sum;
-      }
+    if (this.packedCache.size >= PACKED_CACHE_LIMIT) {
+      this.packedCache.clear();
     }
 
-    return result;
+    const words = hexToWords(hex);
+    this.packedCache.set(hash, words);
+    return words;
   }
 
   /**
-   * Calculate Hamming distance between two hash strings
-   * @param {string} hash1 - First hash
-   * @param {string} hash2 - Second hash
-   * @returns {number} - Hamming distance (0 = identical)
+   * Expand a hash to a '0'/'1' string for bit statistics
+   * The geometry is recognized from the hash length.
+   * @param {string} hash - Hex or legacy binary hash
+   * @param {string} algorithmId - Algorithm the hash was produced with (default from config)
+   * @returns {string} - Binary string without nibble padding
+   */
+  toBitString(hash, algorithmId = HASH_CONFIG.ALGORITHM) {
+    if (isLegacyBinaryHash(hash)) return hash;
+
+    const algorithm = hashAlgorithms.get(algorithmId);
+    const bitLength = (algorithm && this.getGeometryBits(algorithm)
+      .find(bits => Math.ceil(bits / 4) === hash.length)) || hash.length * 4;
+
+    return hexToBits(hash, bitLength);
+  }
+
+  /**
+   * List the bit lengths an algorithm produces, one per geometry
+   * @param {Object} algorithm - Registered algorithm
+   * @returns {number[]}
+   * @private
+   */
+  getGeometryBits(algorithm) {
+    return Object.values(HASH_GEOMETRIES).map(geometry => algorithm.bits(geometry));
+  }
+
+  /**
+   * Calculate Hamming distance between two hashes
+   * @param {string|Uint32Array} hash1 - First hash (hex, legacy binary or packed)
+   * @param {string|Uint32Array} hash2 - Second hash (hex, legacy binary or packed)
+   * @returns {number} - Hamming distance (0 = identical, Infinity if not comparable)
    */
   hammingDistance(hash1, hash2) {
     if (!hash1 || !hash2) {
@@ -99,72 +208,222 @@ export class HashUtils {
       return Infinity;
     }
 
-    if (typeof hash1 !== 'string' || typeof hash2 !== 'string') {
-      this.logger.warn('Non-string hashes provided', {
+    const words1 = this.toPacked(hash1);
+    const words2 = this.toPacked(hash2);
+
+    if (!words1 || !words2) {
+      this.logger.warn('Unrecognized hash format provided', {
         hash1Type: typeof hash1,
         hash2Type: typeof hash2
       });
       return Infinity;
     }
 
-    const minLength = Math.min(hash1.length, hash2.length);
-    let distance = 0;
-
-    // Count bit differences
-    for (let i = 0; i < minLength; i++) {
-      if (hash1[i] !== hash2[i]) {
-        distance++;
-      }
-    }
-
-    // Add length difference as additional distance
-    distance += Math.abs(hash1.length - hash2.length);
-
-    this.logger.debug('Hamming distance calculated', {
-      distance,
-      hash1Length: hash1.length,
-      hash2Length: hash2.length,
-      similarity: ((minLength - distance) / minLength * 100).toFixed(1) + '%'
-    });
-
-    return distance;
+    // Count bit differences with popcount over 32-bit words
+    return wordsHammingDistance(words1, words2);
   }
 
   /**
    * Check if two hashes are similar based on threshold
+   * The threshold is scaled to the hash length (see scaleThreshold).
    * @param {string} hash1 - First hash
    * @param {string} hash2 - Second hash
-   * @param {number} threshold - Maximum allowed distance (default from config)
+   * @param {number} threshold - Maximum allowed distance for a REFERENCE_BITS-bit hash (default from config)
    * @returns {boolean} - True if hashes are similar
    */
   areHashesSimilar(hash1, hash2, threshold = HASH_CONFIG.HAMMING_THRESHOLD) {
     const distance = this.hammingDistance(hash1, hash2);
-    const similar = distance <= threshold;
+    const scaledThreshold = this.scaleThreshold(threshold, hash1);
+    const similar = distance <= scaledThreshold;
 
     this.logger.debug('Hash similarity check', {
       distance,
-      threshold,
+      threshold: scaledThreshold,
       similar,
-      hash1Preview: hash1 ? hash1.substring(0, 8) + '...' : 'null',
-      hash2Preview: hash2 ? hash2.substring(0, 8) + '...' : 'null'
+      hash1Preview: typeof hash1 === 'string' ? hash1.substring(0, 8) + '...' : 'packed',
+      hash2Preview: typeof hash2 === 'string' ? hash2.substring(0, 8) + '...' : 'packed'
     });
 
     return similar;
   }
 
   /**
-   * Detect if hash is trivial (all same bits or extremely skewed)
+   * Calculate the distance between two color signatures
+   * @param {string} signature1 - First color signature
+   * @param {string} signature2 - Second color signature
+   * @returns {number} - 0 (same colors) to 1 (no overlap), or NaN if either is missing
+   */
+  colorDistance(signature1, signature2) {
+    return colorSignatureDistance(signature1, signature2);
+  }
+
+  /**
+   * Score two temporal signatures (ordered per-frame hash lists) frame by frame
+   * @param {string[]} sequence1 - First frame hash sequence
+   * @param {string[]} sequence2 - Second frame hash sequence
+   * @param {number} threshold - Maximum allowed distance per frame for a REFERENCE_BITS-bit hash,
+   *   scaled to the frame hash length (default from config)
+   * @returns {Object} - Score details (score is the fraction of aligned frames within threshold)
+   */
+  compareHashSequences(sequence1, sequence2, threshold = HASH_CONFIG.HAMMING_THRESHOLD) {
+    const result = {
+      score: 0,
+      matchedFrames: 0,
+      comparedFrames: 0,
+      averageDistance: Infinity
+    };
+
+    if (!Array.isArray(sequence1) || !Array.isArray(sequence2)) {
+      return result;
+    }
+
+    const length = Math.min(sequence1.length, sequence2.length);
+    const frameThreshold = this.scaleThreshold(threshold, sequence1.find(Boolean));
+    let totalDistance = 0;
+
+    for (let i = 0; i < length; i++) {
+      // Frames that failed to capture keep their slot but are not compared
+      if (!sequence1[i] || !sequence2[i]) continue;
+
+      const distance = this.hammingDistance(sequence1[i], sequence2[i]);
+      if (!Number.isFinite(distance)) continue;
+
+      result.comparedFrames++;
+      totalDistance += distance;
+      if (distance <= frameThreshold) {
+        result.matchedFrames++;
+      }
+    }
+
+    if (result.comparedFrames > 0) {
+      result.score = result.matchedFrames / result.comparedFrames;
+      result.averageDistance = totalDistance / result.comparedFrames;
+    }
+
+    this.logger.debug('Hash sequence comparison', {
+      ...result,
+      threshold: frameThreshold,
+      length1: sequence1.length,
+      length2: sequence2.length
+    });
+
+    return result;
+  }
+
+  /**
+   * Score frame hashes against a pool of frames, ignoring order
+   * Frames picked at unrelated times (keyframes, collected playback frames)
+   * can't be aligned as a sequence; each one counts as matched if any frame
+   * of the pool is within threshold.
+   * @param {string[]} frames - Frame hashes to look for
+   * @param {string[]} pool - Frame hashes to search (e.g. a blocked sequence)
+   * @param {number} threshold - Maximum allowed distance per frame for a REFERENCE_BITS-bit hash (default from config)
+   * @returns {Object} - Score details (score is the fraction of frames with a close frame in the pool,
+   *   averageDistance the mean distance to the closest one)
+   */
+  matchHashSet(frames, pool, threshold = HASH_CONFIG.HAMMING_THRESHOLD) {
+    const result = {
+      score: 0,
+      matchedFrames: 0,
+      comparedFrames: 0,
+      averageDistance: Infinity
+    };
+
+    if (!Array.isArray(frames) || !Array.isArray(pool)) {
+      return result;
+    }
+
+    const targets = pool.filter(Boolean);
+    const frameThreshold = this.scaleThreshold(threshold, frames.find(Boolean));
+    let totalDistance = 0;
+
+    for (const frame of frames) {
+      if (!frame) continue;
+
+      const distance = Math.min(...targets.map(target => this.hammingDistance(frame, target)));
+      if (!Number.isFinite(distance)) continue;
+
+      result.comparedFrames++;
+      totalDistance += distance;
+      if (distance <= frameThreshold) {
+        result.matchedFrames++;
+      }
+    }
+
+    if (result.comparedFrames > 0) {
+      result.score = result.matchedFrames / result.comparedFrames;
+      result.averageDistance = totalDistance / result.comparedFrames;
+    }
+
+    return result;
+  }
+
+  /**
+   * Find where a frame hash sequence best occurs inside a longer one
+   * Slides the needle over the haystack one frame at a time and scores each
+   * contiguous run with compareHashSequences.
+   * @param {string[]} needle - Sequence to look for (e.g. a blocked clip)
+   * @param {string[]} haystack - Sequence to search (e.g. a candidate video)
+   * @param {number} threshold - Maximum allowed distance per frame for a REFERENCE_BITS-bit hash (default from config)
+   * @returns {Object|null} - Best alignment with its frame offset, or null if nothing was comparable
+   */
+  findHashSubsequence(needle, haystack, threshold = HASH_CONFIG.HAMMING_THRESHOLD) {
+    if (!Array.isArray(needle) || !Array.isArray(haystack) ||
+        needle.length === 0 || haystack.length === 0) {
+      return null;
+    }
+
+    let best = null;
+    const lastOffset = Math.max(0, haystack.length - needle.length);
+
+    for (let offset = 0; offset <= lastOffset; offset++) {
+      const run = haystack.slice(offset, offset + needle.length);
+      const result = this.compareHashSequences(needle, run, threshold);
+      if (result.comparedFrames === 0) continue;
+
+      if (!best || result.score > best.score ||
+          (result.score === best.score && result.averageDistance < best.averageDistance)) {
+        best = { ...result, offset };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Detect if hash is trivial (blank source, or all same bits or extremely skewed)
+   * With the luminance histogram of the normalized frames that were hashed,
+   * the decision rests on their entropy: a dark or low-contrast picture is
+   * usable once normalized, while a blank or fading frame has (almost) none.
+   * Without it, the bit balance of the hash itself is checked.
    * @param {string} hash - Hash to check
+   * @param {string} algorithmId - Algorithm the hash was produced with (default from config)
+   * @param {number[]|null} signal - Luminance histogram from hashing (optional)
    * @returns {boolean} - True if hash is trivial/unreliable
    */
-  isTrivialHash(hash) {
-    if (!hash || typeof hash !== 'string') {
+  isTrivialHash(hash, algorithmId = HASH_CONFIG.ALGORITHM, signal = null) {
+    if (!hash || typeof hash !== 'string' || !normalizeHash(hash)) {
       this.logger.debug('Invalid hash detected as trivial');
       return true;
     }
 
-    const ones = (hash.match(/1/g) || []).length;
-    const zeros = hash.length - ones;
+    if (Array.isArray(signal)) {
+      const entropy = this.calculateEntropy(signal);
+      const isBlank = entropy < HASH_CONFIG.MIN_SIGNAL_ENTROPY;
+
+      if (isBlank) {
+        this.logger.warn('Trivial hash detected - frame has no usable signal', {
+          entropy: entropy.toFixed(3),
+          minEntropy: HASH_CONFIG.MIN_SIGNAL_ENTROPY
+        });
+      }
+
+      return isBlank;
+    }
+
+    const bits = this.toBitString(hash, algorithmId);
+    const ones = (bits.match(/1/g) || []).length;
+    const zeros = bits.length - ones;
 
     // Check for extremely skewed distributions
     const isTrivial = ones <= HASH_CONFIG.MIN_ONES_ZEROS ||
@@ -172,11 +431,11 @@ export class HashUtils {
 
     if (isTrivial) {
       this.logger.warn('Trivial hash detected', {
-        hashLength: hash.length,
+        hashLength: bits.length,
         ones,
         zeros,
-        onesPercent: (ones / hash.length * 100).toFixed(1) + '%',
-        zerosPercent: (zeros / hash.length * 100).toFixed(1) + '%'
+        onesPercent: (ones / bits.length * 100).toFixed(1) + '%',
+        zerosPercent: (zeros / bits.length * 100).toFixed(1) + '%'
       });
     }
 
@@ -185,10 +444,12 @@ export class HashUtils {
 
   /**
    * Validate hash format and quality
+   * Legacy '0'/'1' hashes are accepted and checked in their packed form.
    * @param {string} hash - Hash to validate
+   * @param {string} algorithmId - Algorithm the hash was produced with (default from config)
    * @returns {Object} - Validation result with details
    */
-  validateHash(hash) {
+  validateHash(hash, algorithmId = HASH_CONFIG.ALGORITHM) {
     const result = {
       valid: false,
       issues: [],
@@ -205,33 +466,39 @@ export class HashUtils {
       return result;
     }
 
-    // Check format (should be binary string)
-    if (!/^[01]+$/.test(hash)) {
-      result.issues.push('Hash contains non-binary characters');
+    // Check format (should be hex, or a legacy binary string)
+    const hex = normalizeHash(hash);
+    if (!hex) {
+      result.issues.push('Hash is neither hex nor a binary string');
       return result;
     }
 
     // Calculate metrics
-    const ones = (hash.match(/1/g) || []).length;
-    const zeros = hash.length - ones;
+    const bits = this.toBitString(hex, algorithmId);
+    const ones = (bits.match(/1/g) || []).length;
+    const zeros = bits.length - ones;
     result.metrics = {
-      length: hash.length,
+      length: bits.length,
+      hexLength: hex.length,
       ones,
       zeros,
-      onesPercent: (ones / hash.length * 100),
-      zerosPercent: (zeros / hash.length * 100),
-      entropy: this.calculateEntropy(hash)
+      onesPercent: (ones / bits.length * 100),
+      zerosPercent: (zeros / bits.length * 100),
+      entropy: this.calculateEntropy(bits)
     };
 
     // Check if trivial
-    if (this.isTrivialHash(hash)) {
+    if (this.isTrivialHash(hex, algorithmId)) {
       result.issues.push('Hash appears to be trivial (low entropy)');
     }
 
-    // Check length
-    const expectedLength = (VIDEO_PROCESSING.DCT_BLOCK_SIZE * VIDEO_PROCESSING.DCT_BLOCK_SIZE) - 1;
-    if (hash.length !== expectedLength) {
-      result.issues.push(`Unexpected hash length: ${hash.length}, expected: ${expectedLength}`);
+    // Check length against every geometry the algorithm can produce
+    const algorithm = hashAlgorithms.get(algorithmId);
+    const expectedLengths = algorithm ? this.getGeometryBits(algorithm).map(bits => Math.ceil(bits / 4)) : [];
+    if (!algorithm) {
+      result.issues.push(`Unknown hash algorithm: ${algorithmId}`);
+    } else if (!expectedLengths.includes(hex.length)) {
+      result.issues.push(`Unexpected hash length: ${hex.length} hex digits, expected: ${expectedLengths.join(' or ')}`);
     }
 
     result.valid = result.issues.length === 0;
@@ -246,13 +513,26 @@ export class HashUtils {
   }
 
   /**
-   * Calculate Shannon entropy of a binary string
-   * @param {string} binaryString - Binary string to analyze
+   * Calculate Shannon entropy of a binary string or a histogram
+   * Histogram entropy is divided by its maximum (log2 of the bin count), so
+   * both forms range from 0 to 1.
+   * @param {string|number[]} binaryString - Binary string, or counts per bin
    * @returns {number} - Entropy value (0-1)
    */
   calculateEntropy(binaryString) {
     if (!binaryString) return 0;
 
+    if (Array.isArray(binaryString)) {
+      const total = binaryString.reduce((sum, count) => sum + count, 0);
+      if (total === 0 || binaryString.length < 2) return 0;
+
+      let entropy = 0;
+      for (const count of binaryString) {
+        if (count > 0) entropy -= (count / total) * Math.log2(count / total);
+      }
+      return entropy / Math.log2(binaryString.length);
+    }
+
     const ones = (binaryString.match(/1/g) || []).length;
     const zeros = binaryString.length - ones;
     const total = binaryString.length;
@@ -279,6 +559,8 @@ export class HashUtils {
     let bestMatch = null;
     let minDistance = Infinity;
 
+    const bitLength = this.toBitString(targetHash).length;
+
     for (const hash of hashList) {
       const distance = this.hammingDistance(targetHash, hash);
       if (distance < minDistance) {
@@ -286,8 +568,7 @@ export class HashUtils {
         bestMatch = {
           hash,
           distance,
-          similarity: ((Math.min(targetHash.length, hash.length) - distance) /
-                      Math.min(targetHash.length, hash.length) * 100)
+          similarity: ((bitLength - distance) / bitLength * 100)
         };
       }
     }
@@ -0,0 +1,37 @@
+/**
+ * Media IDs for Video Blocker Extension
+ * Stable upload identifiers parsed from Twitter media URLs
+ */
+
+// Stable upload identifiers in Twitter media URLs, e.g.
+// video.twimg.com/ext_tw_video/<id>/pu/vid/..., pbs.twimg.com/amplify_video_thumb/<id>/img/...,
+// video.twimg.com/tweet_video/<name>.mp4 (GIFs) and pbs.twimg.com/media/<name>?format=jpg
+export const MEDIA_ID_PATTERNS = [
+  { prefix: 'video', pattern: /^\/(?:ext_tw_video|amplify_video)(?:_thumb)?\/(\d+)\// },
+  { prefix: 'gif', pattern: /^\/tweet_video(?:_thumb)?\/([\w-]+)/ },
+  { prefix: 'photo', pattern: /^\/media\/([\w-]+)/ }
+];
+export const MEDIA_HOSTS = ['video.twimg.com', 'pbs.twimg.com'];
+
+/**
+ * Parse Twitter's media ID out of a media URL
+ * @param {string} src - Video, poster or photo URL
+ * @returns {string|null} - Prefixed ID (e.g. `video:1234`, `gif:abc`, `photo:xyz`) or null
+ */
+export function parseMediaId(src) {
+  if (!src) return null;
+
+  let url;
+  try {
+    url = new URL(src);
+  } catch {
+    return null;
+  }
+  if (!MEDIA_HOSTS.includes(url.hostname)) return null;
+
+  for (const { prefix, pattern } of MEDIA_ID_PATTERNS) {
+    const match = url.pathname.match(pattern);
+    if (match) return `${prefix}:${match[1]}`;
+  }
+  return null;
+}
@@ -0,0 +1,160 @@
+/**
+ * Packed Hash Encoding for Video Blocker Extension
+ * Hashes are stored as hex strings and compared as Uint32Array words with popcount
+ */
+
+import { HASH_GEOMETRIES } from '../constants.js';
+import { hashAlgorithms, getHashGeometry } from './hash-algorithms.js';
+
+// A legacy hash has one '0'/'1' character per bit, a hex hash one character per
+// four bits, so for a known bit count the length tells them apart. Digits alone
+// can't: a strict hex hash is 64 characters, as long as a legacy 64-bit one.
+const BINARY_PATTERN = /^[01]+$/;
+const HEX_PATTERN = /^[0-9a-f]+$/;
+
+/**
+ * Get the bit count of hashes made with a blocklist entry's algorithm and geometry
+ * @param {Object} entry - Blocklist entry (or fingerprint) with algorithm and geometry ids
+ * @returns {number|null} - Bit count, or null if the algorithm isn't registered
+ */
+export function getEntryHashBits(entry) {
+  const algorithm = hashAlgorithms.get(entry.algorithm || 'phash');
+  return algorithm ? algorithm.bits(getHashGeometry(entry.geometry)) : null;
+}
+
+/**
+ * Check if a hash uses the legacy '0'/'1' string format
+ * Without a bit count, a hash is legacy if its length is one legacy hashes
+ * were saved with (a standard-geometry bit count; hashes were hex-packed
+ * before other geometries existed) and no registered algorithm and geometry
+ * makes hex hashes of that length. Lengths both could have are taken as hex,
+ * the format everything is computed and stored in now; stored legacy entries
+ * are converted with their bit count (see packLegacyEntry).
+ * @param {string} hash - Hash to check
+ * @param {number|null} bitCount - Bit count of the hash's algorithm and geometry, if known
+ * @returns {boolean}
+ */
+export function isLegacyBinaryHash(hash, bitCount = null) {
+  if (typeof hash !== 'string' || !BINARY_PATTERN.test(hash)) return false;
+  if (bitCount) return hash.length === bitCount;
+
+  const algorithms = hashAlgorithms.list();
+  const isLegacyLength = algorithms.some(algorithm => algorithm.bits(HASH_GEOMETRIES.standard) === hash.length);
+  const isHexLength = algorithms.some(algorithm => Object.values(HASH_GEOMETRIES)
+    .some(geometry => Math.ceil(algorithm.bits(geometry) / 4) === hash.length));
+  return isLegacyLength && !isHexLength;
+}
+
+/**
+ * Check if a hash is a packed hex string
+ * @param {string} hash - Hash to check
+ * @param {number|null} bitCount - Bit count of the hash's algorithm and geometry, if known
+ * @returns {boolean}
+ */
+export function isHexHash(hash, bitCount = null) {
+  return typeof hash === 'string' && HEX_PATTERN.test(hash) && !isLegacyBinaryHash(hash, bitCount);
+}
+
+/**
+ * Encode a '0'/'1' string as hex (MSB first, zero-padded to a whole nibble)
+ * @param {string} bits - Binary string
+ * @returns {string} - Hex string
+ */
+export function bitsToHex(bits) {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    hex += parseInt(bits.slice(i, i + 4).padEnd(4, '0'), 2).toString(16);
+  }
+  return hex;
+}
+
+/**
+ * Decode a hex hash back to a '0'/'1' string
+ * @param {string} hex - Hex string
+ * @param {number} bitLength - Number of meaningful bits (drops nibble padding)
+ * @returns {string} - Binary string
+ */
+export function hexToBits(hex, bitLength = hex.length * 4) {
+  let bits = '';
+  for (const char of hex) {
+    bits += parseInt(char, 16).toString(2).padStart(4, '0');
+  }
+  return bits.slice(0, bitLength);
+}
+
+/**
+ * Pack a hex hash into 32-bit words
+ * @param {string} hex - Hex string
+ * @returns {Uint32Array} - Packed words
+ */
+export function hexToWords(hex) {
+  const words = new Uint32Array(Math.ceil(hex.length / 8));
+  for (let i = 0; i < words.length; i++) {
+    words[i] = parseInt(hex.slice(i * 8, i * 8 + 8).padEnd(8, '0'), 16) >>> 0;
+  }
+  return words;
+}
+
+/**
+ * Convert any supported hash representation to hex
+ * @param {string} hash - Hex or legacy binary hash
+ * @param {number|null} bitCount - Bit count of the hash's algorithm and geometry, if known
+ * @returns {string|null} - Hex string or null if unrecognized
+ */
+export function normalizeHash(hash, bitCount = null) {
+  if (isLegacyBinaryHash(hash, bitCount)) return bitsToHex(hash);
+  if (isHexHash(hash, bitCount)) return hash;
+  return null;
+}
+
+/**
+ * Count set bits in a 32-bit integer
+ * @param {number} value - Unsigned 32-bit integer
+ * @returns {number}
+ */
+export function popcount32(value) {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+/**
+ * Hamming distance between two packed hashes
+ * @param {Uint32Array} words1 - First packed hash
+ * @param {Uint32Array} words2 - Second packed hash
+ * @returns {number} - Differing bits, or Infinity if the hashes have different sizes
+ */
+export function wordsHammingDistance(words1, words2) {
+  if (words1.length !== words2.length) return Infinity;
+
+  let distance = 0;
+  for (let i = 0; i < words1.length; i++) {
+    distance += popcount32((words1[i] ^ words2[i]) >>> 0);
+  }
+  return distance;
+}
+
+/**
+ * Convert a blocklist entry saved with legacy '0'/'1' hashes to hex
+ * @param {Object} entry - Blocklist entry
+ * @param {string} version - Entry format version to stamp on converted entries
+ * @returns {Object} - Converted copy, or the same entry if nothing was legacy
+ */
+export function packLegacyEntry(entry, version) {
+  const bitCount = getEntryHashBits(entry);
+  const hasLegacyFrames = Array.isArray(entry.frameHashes) &&
+    entry.frameHashes.some(hash => isLegacyBinaryHash(hash, bitCount));
+
+  if (!isLegacyBinaryHash(entry.hash, bitCount) && !hasLegacyFrames) {
+    return entry;
+  }
+
+  return {
+    ...entry,
+    hash: normalizeHash(entry.hash, bitCount) || entry.hash,
+    ...(Array.isArray(entry.frameHashes) && {
+      frameHashes: entry.frameHashes.map(hash => (hash ? normalizeHash(hash, bitCount) : hash))
+    }),
+    version
+  };
+}
@@ -4,6 +4,7 @@
  */
 
 import { STORAGE, LOG_CATEGORIES } from '../constants.js';
+import { packLegacyEntry } from './packed-hash.js';
 
 export class StorageManager {
   constructor(logger) {
@@ -26,10 +27,45 @@ export class StorageManager {
       this.logger.debug('Storage change listener registered');
     }
 
-    // Load initial data
+    // Convert hashes saved before packed storage, then load initial data
+    await this.migrateLegacyHashes();
     await this.loadBlockedHashes();
   }
 
+  /**
+   * Rewrite entries that still hold '0'/'1' string hashes as packed hex
+   * Converted entries are stamped with the current entry version, so this only
+   * writes to storage once.
+   * @returns {Promise<number>} Number of migrated entries
+   */
+  async migrateLegacyHashes() {
+    try {
+      const data = await this.getStorageData(STORAGE.KEY) || [];
+      let migrated = 0;
+
+      const updatedData = data.map(item => {
+        if (!item || typeof item.hash !== 'string') return item;
+
+        const packed = packLegacyEntry(item, STORAGE.ENTRY_VERSION);
+        if (packed !== item) migrated++;
+        return packed;
+      });
+
+      if (migrated > 0) {
+        await this.setStorageData(STORAGE.KEY, updatedData);
+        this.logger.info('Migrated legacy hashes to packed format', {
+          migrated,
+          totalCount: updatedData.length
+        });
+      }
+
+      return migrated;
+    } catch (error) {
+      this.logger.error('Failed to migrate legacy hashes', error);
+      return 0;
+    }
+  }
+
   /**
    * Load blocked hashes from storage
    * @returns {Promise<string[]>} Array of hash strings
@@ -37,14 +73,11 @@ export class StorageManager {
   async loadBlockedHashes() {
     try {
       const data = await this.getStorageData(STORAGE.KEY);
-      const hashes = (data || [])
-        .map(item => item.hash)
-        .filter(hash => hash && typeof hash === 'string');
+      const entries = this.updateEntryCache(data);
 
-      this.cache.set('blocked_hashes', hashes);
-      this.logger.info(`Loaded ${hashes.length} blocked hashes from storage`);
+      this.logger.info(`Loaded ${entries.length} blocked hashes from storage`);
 
-      return hashes;
+      return this.cache.get('blocked_hashes');
     } catch (error) {
       this.logger.error('Failed to load blocked hashes', error);
       return [];
@@ -54,14 +87,21 @@ export class StorageManager {
   /**
    * Save a new blocked hash
    * @param {string} hash - The hash to block
+   * @param {Object} metadata - Extra fingerprint data stored with the entry (e.g. frameHashes)
+   * @param {string} [metadata.mediaId] - Twitter media ID of the blocked upload, for exact lookups
    * @returns {Promise<boolean>} Success status
    */
-  async saveBlockedHash(hash) {
+  async saveBlockedHash(hash, metadata = {}) {
     if (!hash || typeof hash !== 'string') {
       this.logger.warn('Invalid hash provided for saving', { hash });
       return false;
     }
 
+    const { mediaId, ...fingerprint } = metadata;
+    if (mediaId !== undefined && mediaId !== null && typeof mediaId !== 'string') {
+      this.logger.warn('Ignoring invalid media ID', { mediaId });
+    }
+
     try {
       const existingData = await this.getStorageData(STORAGE.KEY) || [];
 
@@ -71,11 +111,19 @@ export class StorageManager {
         return false;
       }
 
+      // The same upload is already blocked under a different hash
+      if (typeof mediaId === 'string' && existingData.some(item => item.mediaId === mediaId)) {
+        this.logger.debug('Media ID already exists in storage', { mediaId });
+        return false;
+      }
+
       // Add new hash with metadata
       const newItem = {
+        ...fingerprint,
+        ...(typeof mediaId === 'string' && { mediaId }),
         hash,
         added: Date.now(),
-        version: '1.0',
+        version: STORAGE.ENTRY_VERSION,
         source: 'manual' // Can be 'manual' or 'auto'
       };
 
@@ -83,12 +131,11 @@ export class StorageManager {
       await this.setStorageData(STORAGE.KEY, updatedData);
 
       // Update cache
-      const cachedHashes = this.cache.get('blocked_hashes') || [];
-      cachedHashes.push(hash);
-      this.cache.set('blocked_hashes', cachedHashes);
+      this.updateEntryCache(updatedData);
 
       this.logger.info('Successfully saved new blocked hash', {
         hash: hash.substring(0, 8) + '...',
+        mediaId: newItem.mediaId || null,
         totalCount: updatedData.length
       });
 
@@ -118,6 +165,20 @@ export class StorageManager {
     return await this.loadBlockedHashes();
   }
 
+  /**
+   * Get full blocklist entries (hash plus stored metadata) from cache or storage
+   * @returns {Promise<Object[]>} Array of blocklist entries
+   */
+  async getBlockedEntries() {
+    const cached = this.cache.get('blocked_entries');
+    if (cached) {
+      return cached;
+    }
+
+    await this.loadBlockedHashes();
+    return this.cache.get('blocked_entries') || [];
+  }
+
   /**
    * Remove a blocked hash
    * @param {string} hash - The hash to remove
@@ -136,9 +197,7 @@ export class StorageManager {
       await this.setStorageData(STORAGE.KEY, filteredData);
 
       // Update cache
-      const cachedHashes = this.cache.get('blocked_hashes') || [];
-      const updatedCache = cachedHashes.filter(h => h !== hash);
-      this.cache.set('blocked_hashes', updatedCache);
+      this.updateEntryCache(filteredData);
 
       this.logger.info('Successfully removed blocked hash', {
         hash: hash.substring(0, 8) + '...',
@@ -158,6 +217,112 @@ export class StorageManager {
     }
   }
 
+  /**
+   * Replace a blocked entry with a re-fingerprinted version of it
+   * The entry keeps its place in the list, its added date and its source.
+   * @param {string} oldHash - Hash of the entry to replace
+   * @param {string} hash - New hash
+   * @param {Object} metadata - New fingerprint metadata (as for saveBlockedHash)
+   * @returns {Promise<boolean>} Success status
+   */
+  async replaceBlockedHash(oldHash, hash, metadata = {}) {
+    if (!hash || typeof hash !== 'string') {
+      this.logger.warn('Invalid hash provided for replacing', { hash });
+      return false;
+    }
+
+    const { mediaId, ...fingerprint } = metadata;
+
+    try {
+      const existingData = await this.getStorageData(STORAGE.KEY) || [];
+      const index = existingData.findIndex(item => item.hash === oldHash);
+
+      if (index === -1) {
+        this.logger.debug('Hash not found for replacing', { oldHash });
+        return false;
+      }
+
+      if (hash !== oldHash && existingData.some(item => item.hash === hash)) {
+        this.logger.debug('Replacement hash already exists in storage', { hash });
+        return false;
+      }
+
+      const { added, source } = existingData[index];
+      const updatedData = existingData.slice();
+      updatedData[index] = {
+        ...fingerprint,
+        ...(typeof mediaId === 'string' && { mediaId }),
+        hash,
+        added,
+        updated: Date.now(),
+        version: STORAGE.ENTRY_VERSION,
+        source
+      };
+
+      await this.setStorageData(STORAGE.KEY, updatedData);
+
+      // Update cache
+      this.updateEntryCache(updatedData);
+
+      this.logger.info('Successfully replaced blocked hash', {
+        oldHash: oldHash.substring(0, 8) + '...',
+        hash: hash.substring(0, 8) + '...'
+      });
+
+      // Notify listeners
+      this.notifyListeners('hashReplaced', { oldHash, hash, totalCount: updatedData.length });
+
+      return true;
+    } catch (error) {
+      this.logger.error('Failed to replace blocked hash', error);
+      return false;
+    }
+  }
+
+  /**
+   * Attach a negative example ("not this video") to a blocked entry
+   * An example with the same media ID or hash as an existing one replaces it,
+   * and only the newest maxExamples are kept.
+   * @param {string} hash - Hash of the entry
+   * @param {Object} example - {key?, hash?, frameHashes?, regionHashes?, mediaId?} of the wrongly matched media
+   * @param {number} maxExamples - Examples kept per entry
+   * @returns {Promise<Object|null>} Updated entry, or null on failure
+   */
+  async addNegativeExample(hash, example, maxExamples) {
+    try {
+      const existingData = await this.getStorageData(STORAGE.KEY) || [];
+      const index = existingData.findIndex(item => item.hash === hash);
+
+      if (index === -1) {
+        this.logger.debug('Hash not found for negative example', { hash });
+        return null;
+      }
+
+      const isSame = (other) => (example.mediaId && other.mediaId === example.mediaId) ||
+        (example.hash && other.key === example.key && other.hash === example.hash);
+      const negatives = [
+        ...(existingData[index].negatives || []).filter(other => !isSame(other)),
+        { ...example, added: Date.now() }
+      ].slice(-maxExamples);
+
+      const updatedData = existingData.slice();
+      updatedData[index] = { ...existingData[index], negatives, updated: Date.now() };
+
+      await this.setStorageData(STORAGE.KEY, updatedData);
+      this.updateEntryCache(updatedData);
+
+      this.logger.info('Added negative example to blocked hash', {
+        hash: hash.substring(0, 8) + '...',
+        negativeCount: negatives.length
+      });
+
+      return updatedData[index];
+    } catch (error) {
+      this.logger.error('Failed to add negative example', error);
+      return null;
+    }
+  }
+
   /**
    * Clear all blocked hashes
    * @returns {Promise<boolean>} Success status
@@ -165,7 +330,7 @@ export class StorageManager {
   async clearAllHashes() {
     try {
       await this.setStorageData(STORAGE.KEY, []);
-      this.cache.set('blocked_hashes', []);
+      this.updateEntryCache([]);
 
       this.logger.info('Successfully cleared all blocked hashes');
       this.notifyListeners('allHashesCleared', { totalCount: 0 });
@@ -180,6 +345,87 @@ export class StorageManager {
     }
   }
 
+  /**
+   * Get allowlist items (allowed media and accounts)
+   * @returns {Promise<Object[]>} Allowlist items
+   */
+  async getAllowlist() {
+    const cached = this.cache.get('allowlist');
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      const items = await this.getStorageData(STORAGE.ALLOWLIST_KEY) || [];
+      this.cache.set('allowlist', items);
+      return items;
+    } catch (error) {
+      this.logger.error('Failed to load allowlist', error);
+      return [];
+    }
+  }
+
+  /**
+   * Add an item to the allowlist
+   * Items are keyed by id; adding an id that is already listed does nothing.
+   * @param {Object} item - Allowlist item ({id, type: 'handle'|'media', ...})
+   * @returns {Promise<boolean>} Success status
+   */
+  async addAllowlistItem(item) {
+    if (!item || typeof item.id !== 'string') {
+      this.logger.warn('Invalid allowlist item', { item });
+      return false;
+    }
+
+    try {
+      const existingData = await this.getStorageData(STORAGE.ALLOWLIST_KEY) || [];
+      if (existingData.some(existing => existing.id === item.id)) {
+        this.logger.debug('Allowlist item already exists', { id: item.id });
+        return true;
+      }
+
+      const updatedData = [...existingData, { ...item, added: Date.now() }];
+      await this.setStorageData(STORAGE.ALLOWLIST_KEY, updatedData);
+      this.cache.set('allowlist', updatedData);
+
+      this.logger.info('Added allowlist item', { id: item.id, totalCount: updatedData.length });
+      this.notifyListeners('allowlistUpdated', { items: updatedData });
+
+      return true;
+    } catch (error) {
+      this.logger.error('Failed to add allowlist item', error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove an item from the allowlist
+   * @param {string} id - Allowlist item id
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeAllowlistItem(id) {
+    try {
+      const existingData = await this.getStorageData(STORAGE.ALLOWLIST_KEY) || [];
+      const filteredData = existingData.filter(item => item.id !== id);
+
+      if (filteredData.length === existingData.length) {
+        this.logger.debug('Allowlist item not found for removal', { id });
+        return false;
+      }
+
+      await this.setStorageData(STORAGE.ALLOWLIST_KEY, filteredData);
+      this.cache.set('allowlist', filteredData);
+
+      this.logger.info('Removed allowlist item', { id, remainingCount: filteredData.length });
+      this.notifyListeners('allowlistUpdated', { items: filteredData });
+
+      return true;
+    } catch (error) {
+      this.logger.error('Failed to remove allowlist item', error);
+      return false;
+    }
+  }
+
   /**
    * Update statistics after hash operations
    * @param {string} action - The action performed
@@ -292,19 +538,42 @@ export class StorageManager {
     if (area !== 'local') return;
 
     if (changes[STORAGE.KEY]) {
-      const newValue = changes[STORAGE.KEY].newValue || [];
-      const hashes = newValue.map(item => item.hash).filter(Boolean);
-
-      this.cache.set('blocked_hashes', hashes);
+      this.updateEntryCache(changes[STORAGE.KEY].newValue);
+      const hashes = this.cache.get('blocked_hashes');
       this.logger.info('Storage updated via external change', {
         hashCount: hashes.length
       });
 
       this.notifyListeners('externalUpdate', {
         hashes,
+        entries: this.cache.get('blocked_entries'),
         totalCount: hashes.length
       });
     }
+
+    if (changes[STORAGE.ALLOWLIST_KEY]) {
+      const items = changes[STORAGE.ALLOWLIST_KEY].newValue || [];
+      this.cache.set('allowlist', items);
+      this.logger.info('Allowlist updated via external change', { itemCount: items.length });
+
+      this.notifyListeners('allowlistUpdated', { items });
+    }
+  }
+
+  /**
+   * Refresh cached entries and hash strings from raw storage data
+   * @param {Object[]} data - Raw blocklist entries
+   * @returns {Object[]} Valid entries
+   * @private
+   */
+  updateEntryCache(data) {
+    const entries = (data || [])
+      .filter(item => item && item.hash && typeof item.hash === 'string');
+
+    this.cache.set('blocked_entries', entries);
+    this.cache.set('blocked_hashes', entries.map(item => item.hash));
+
+    return entries;
   }
 
   /**
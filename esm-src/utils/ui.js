@@ -3,7 +3,8 @@
  * Handles toast notifications and visual feedback
  */
 
-import { UI, LOG_CATEGORIES, TOASTIFY } from '../constants.js';
+import { UI, LOG_CATEGORIES, TOASTIFY, HASH_CONFIG, BLOCK_ACTIONS, MEDIA_TYPES } from '../constants.js';
+import { blockActions } from './block-actions.js';
 import Toastify from 'toastify-js';
 import 'toastify-js/src/toastify.css';
 
@@ -12,6 +13,8 @@ export class UIUtils {
     this.logger = logger.createCategoryLogger(LOG_CATEGORIES.UI);
     this.activeToast = null;
     this.activeToasts = [];
+    this.appliedActions = new Map(); // article -> {action, restore, cancelled}
+    this.revealedArticles = new WeakSet();
   }
 
   /**
@@ -78,6 +81,68 @@ export class UIUtils {
     return toast;
   }
 
+  /**
+   * Show a success toast with buttons (e.g. Undo)
+   * Clicking a button closes the toast.
+   * @param {string} message - Message to display
+   * @param {Array<{label: string, onClick: Function}>} actions - Buttons
+   * @param {number} duration - Duration in milliseconds
+   * @returns {Object} - Toastify instance
+   */
+  showActionToast(message, actions, duration = UI.ACTION_TOAST_DURATION_MS) {
+    this.logger.debug('Showing action toast', { message, actions: actions.map(({ label }) => label), duration });
+
+    const node = document.createElement('span');
+    node.textContent = `${message} `;
+
+    const buttons = actions.map(({ label, onClick }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      Object.assign(button.style, {
+        marginLeft: '8px',
+        padding: '2px 10px',
+        border: '1px solid white',
+        borderRadius: '9999px',
+        background: 'transparent',
+        color: 'white',
+        font: 'inherit',
+        fontWeight: 'bold',
+        cursor: 'pointer'
+      });
+      node.appendChild(button);
+      return [button, onClick];
+    });
+
+    const toast = Toastify({
+      node,
+      duration: duration,
+      close: TOASTIFY.CLOSE,
+      gravity: UI.TOAST_GRAVITY,
+      position: UI.TOAST_POSITION,
+      offset: UI.TOAST_OFFSET,
+      stopOnFocus: TOASTIFY.STOP_ON_FOCUS,
+      style: {
+        background: TOASTIFY.GRADIENT.SUCCESS,
+      },
+      onClick: () => {} // Prevents dismissing when clicked
+    }).showToast();
+
+    buttons.forEach(([button, onClick]) => {
+      button.addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        toast.hideToast();
+        onClick();
+      });
+    });
+
+    this.activeToast = toast;
+    this.activeToasts.push(toast);
+
+    return toast;
+  }
+
   /**
    * Hide active toast
    */
@@ -101,19 +166,188 @@ export class UIUtils {
   async hideArticle(article) {
     if (!article) return;
 
-    return new Promise((resolve) => {
-      this.logger.debug('Hiding article with fade animation');
+    await this.applyBlockAction(article, null, BLOCK_ACTIONS.HIDE);
+  }
 
-      // Apply fade transition
-      article.style.transition = `opacity ${UI.FADE_DURATION_MS}ms ease-out`;
-      article.style.opacity = '0';
+  /**
+   * Apply a block action to a tweet
+   * The action comes from the block action registry, which falls back for
+   * media the action can't handle (e.g. muting a photo). A tweet carries at
+   * most one action; applying another reverts the previous one first.
+   * Hidden tweets get a placeholder card when match details are given and
+   * the placeholder card setting is on.
+   * @param {HTMLElement} article - Tweet article
+   * @param {HTMLVideoElement|HTMLImageElement|null} media - Blocked media in the tweet
+   * @param {string} actionId - BLOCK_ACTIONS value
+   * @param {string} mediaType - MEDIA_TYPES value of the media
+   * @param {Object|null} details - Match details for the placeholder card (see createPlaceholderCard)
+   * @returns {Promise<string|null>} - Id of the action applied, or null if it failed
+   */
+  async applyBlockAction(article, media, actionId = BLOCK_ACTIONS.HIDE, mediaType = MEDIA_TYPES.VIDEO, details = null) {
+    if (!article) return null;
 
-      setTimeout(() => {
-        article.style.display = 'none';
-        this.logger.debug('Article hidden');
-        resolve();
-      }, UI.HIDE_DELAY_MS);
+    // Tweets scrolled away are re-rendered by Twitter, so their actions can go
+    for (const tracked of this.appliedActions.keys()) {
+      if (!tracked.isConnected) this.appliedActions.delete(tracked);
+    }
+
+    this.revertBlockAction(article);
+    this.revealedArticles.delete(article);
+
+    const action = blockActions.resolve(actionId, mediaType);
+    const applied = { action: action.id, restore: null, cancelled: false };
+    this.appliedActions.set(article, applied);
+
+    const card = details && HASH_CONFIG.PLACEHOLDER_CARD && action.id === BLOCK_ACTIONS.HIDE
+      ? this.createPlaceholderCard(article, mediaType, details)
+      : null;
+
+    try {
+      applied.restore = await action.apply({ article, media, reveal: () => this.revertBlockAction(article), card });
+    } catch (error) {
+      this.logger.warn('Block action failed', { action: action.id, error });
+      this.appliedActions.delete(article);
+      return null;
+    }
+
+    // Revealed while the action was still being applied
+    if (applied.cancelled) {
+      applied.restore();
+    }
+
+    this.logger.debug('Block action applied', { action: action.id, requested: actionId });
+    return action.id;
+  }
+
+  /**
+   * Create the card shown where a hidden tweet was
+   * It names the blocklist entry that matched, how close the match was and
+   * when the entry was added. Every button reveals the tweet; the others
+   * also call back into the blocker.
+   * @param {HTMLElement} article - Hidden tweet article
+   * @param {string} mediaType - MEDIA_TYPES value of the blocked media
+   * @param {Object} details - {match, handle, onNotAMatch, onRemoveEntry, onAllowMedia, onAllowHandle}, with
+   *   the match from VideoBlocker.isHashBlocked and the tweet author's handle (if known)
+   * @returns {HTMLElement} - Card element
+   */
+  createPlaceholderCard(article, mediaType, { match, handle, onNotAMatch, onRemoveEntry, onAllowMedia, onAllowHandle }) {
+    const { entry } = match;
+    const card = document.createElement('div');
+    card.className = 'vb-placeholder-card';
+    Object.assign(card.style, {
+      margin: '8px 16px',
+      padding: '12px 16px',
+      border: '1px solid rgba(113, 118, 123, 0.4)',
+      borderRadius: '12px',
+      color: 'rgb(113, 118, 123)',
+      fontSize: '13px',
+      lineHeight: '18px'
     });
+
+    const title = document.createElement('div');
+    title.textContent = mediaType === MEDIA_TYPES.IMAGE ? '🚫 Blocked photo' : '🚫 Blocked video';
+    Object.assign(title.style, { fontWeight: 'bold', marginBottom: '4px' });
+
+    const distance = Number.isFinite(match.distance)
+      ? `distance ${Number.isInteger(match.distance) ? match.distance : match.distance.toFixed(1)}`
+      : 'audio only';
+    const facts = [
+      `Entry ${entry.hash.substring(0, 12)}…`,
+      `${match.type} match, ${distance}`,
+      ...(match.offsetSeconds > 0 ? [`at ${this.formatTimestamp(match.offsetSeconds)}`] : []),
+      ...(entry.added ? [`added ${new Date(entry.added).toLocaleDateString()}`] : [])
+    ];
+    const info = document.createElement('div');
+    info.textContent = facts.join(' · ');
+
+    const buttons = document.createElement('div');
+    Object.assign(buttons.style, { display: 'flex', flexWrap: 'wrap', gap: '8px', marginTop: '8px' });
+
+    const addButton = (label, onClick) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      Object.assign(button.style, {
+        padding: '4px 12px',
+        border: '1px solid rgba(113, 118, 123, 0.6)',
+        borderRadius: '9999px',
+        background: 'transparent',
+        color: 'inherit',
+        font: 'inherit',
+        cursor: 'pointer'
+      });
+      // Clicks inside the timeline cell would otherwise open the tweet
+      button.addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        this.revertBlockAction(article);
+        if (onClick) onClick();
+      });
+      buttons.appendChild(button);
+    };
+
+    addButton('Show anyway');
+    addButton('Not a match', onNotAMatch);
+    addButton('Remove this entry', onRemoveEntry);
+    addButton('Always allow', onAllowMedia);
+    if (handle) addButton(`Allow @${handle}`, onAllowHandle);
+
+    card.append(title, info, buttons);
+    return card;
+  }
+
+  /**
+   * Undo the block action of a tweet in place
+   * Revealed tweets are remembered, so they aren't blocked again on the next check.
+   * @param {HTMLElement} article - Tweet article
+   * @returns {boolean} - True if an action was reverted
+   */
+  revertBlockAction(article) {
+    const applied = article && this.appliedActions.get(article);
+    if (!applied) return false;
+
+    this.appliedActions.delete(article);
+    this.revealedArticles.add(article);
+
+    if (applied.restore) {
+      applied.restore();
+    } else {
+      applied.cancelled = true;
+    }
+
+    this.logger.debug('Block action reverted', { action: applied.action });
+    return true;
+  }
+
+  /**
+   * Get the block action applied to a tweet
+   * @param {HTMLElement} article - Tweet article
+   * @returns {string|null} - Action id, or null if the tweet isn't blocked
+   */
+  getBlockAction(article) {
+    const applied = article && this.appliedActions.get(article);
+    return applied ? applied.action : null;
+  }
+
+  /**
+   * Check if a blocked tweet was revealed again
+   * @param {HTMLElement} article - Tweet article
+   * @returns {boolean}
+   */
+  isRevealed(article) {
+    return !!article && this.revealedArticles.has(article);
+  }
+
+  /**
+   * Undo the block actions of every tweet on the page
+   * @returns {number} - Number of tweets revealed
+   */
+  revealAll() {
+    let count = 0;
+    for (const article of [...this.appliedActions.keys()]) {
+      if (this.revertBlockAction(article)) count++;
+    }
+    return count;
   }
 
   /**
@@ -198,6 +432,18 @@ export class UIUtils {
     }
   }
 
+  /**
+   * Format a position in a video as m:ss
+   * @param {number} seconds - Time in seconds
+   * @returns {string} - Formatted timestamp
+   */
+  formatTimestamp(seconds) {
+    const total = Math.max(0, Math.round(seconds || 0));
+    const minutes = Math.floor(total / 60);
+    const rest = total % 60;
+    return `${minutes}:${rest.toString().padStart(2, '0')}`;
+  }
+
   /**
    * Clean up all UI elements
    */
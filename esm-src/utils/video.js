@@ -3,23 +3,68 @@
  * Handles video frame capture, processing, and hash computation
  */
 
-import { VIDEO_PROCESSING, VIDEO_LOAD, LOG_CATEGORIES, ERROR_MESSAGES } from '../constants.js';
+import { VIDEO_PROCESSING, VIDEO_LOAD, HASH_CONFIG, HASH_GEOMETRIES, HASH_REGIONS, POSTER, MEDIA_TYPES, SELECTORS, LOG_CATEGORIES, ERROR_MESSAGES } from '../constants.js';
 import { HashUtils } from './hash.js';
+import { hashAlgorithms, getHashGeometry } from './hash-algorithms.js';
+import { hashBitmaps, findActiveRegion, imageDataToLuminance, selectKeyframes } from './frame-processing.js';
+import { HashWorkerClient } from './hash-worker-client.js';
+import { AudioUtils } from './audio.js';
+import { FrameCollector } from './frame-collector.js';
+import { parseMediaId } from './media-id.js';
 
 export class VideoUtils {
   constructor(logger) {
     this.logger = logger.createCategoryLogger(LOG_CATEGORIES.VIDEO);
     this.hashUtils = new HashUtils(logger);
+    this.hashWorker = new HashWorkerClient(logger);
+    this.audioUtils = new AudioUtils(logger);
+    this.frameCollector = new FrameCollector(logger, this);
+    this.fallbackContext = null;
+    this.borderContext = null;
+    this.probeContext = null;
+    this.imageCache = new Map(); // image URL + options -> Promise<fingerprint|null>
   }
 
   /**
-   * Compute multi-frame perceptual hash from video element
+   * Compute multi-frame perceptual fingerprint from video element
+   * The fingerprint holds the hash of the averaged frames plus the ordered
+   * per-frame hashes that make up the temporal signature. The first algorithm
+   * in the first geometry is the primary one; every requested algorithm and
+   * geometry is available under `hashes`.
+   * Videos long enough to have several shots are sampled at KEYFRAMES
+   * keyframes from distinct scenes (`sampling: 'keyframes'`, with the shot
+   * boundaries found under `sceneBoundaries`); short videos, and retries
+   * after a blank result, capture a burst of `frameCount` frames instead.
+   * Only videos that are offscreen or in a background tab are seeked, and
+   * they are put back exactly where they were. A video on screen is left
+   * alone, even when paused: its most recent frames from the frame collector
+   * are used (`sampling: 'passive'`), topped up with a burst of the frames it
+   * shows.
    * @param {HTMLVideoElement} video - Video element to process
-   * @param {number} frameCount - Number of frames to capture
-   * @param {number} retryCount - Number of retries for failed attempts
-   * @returns {Promise<string|null>} - Perceptual hash or null if failed
+   * @param {Object} [options]
+   * @param {number} [options.frameCount] - Number of frames to capture in a burst
+   * @param {number} [options.retryCount] - Number of retries for failed attempts
+   * @param {string[]} [options.algorithms] - Registered algorithm ids to compute
+   * @param {boolean} [options.mirror] - Also hash the horizontally flipped frames (under `hashes[key].mirrored`)
+   * @param {boolean} [options.audio] - Also capture a few seconds of audio and fingerprint it (under `audio`), if the video is playing
+   * @param {boolean} [options.regions] - Also hash sub-regions of the picture (under `hashes[key].regions`)
+   * @param {string[]} [options.geometries] - Hash geometry ids to compute (first is primary)
+   * @returns {Promise<Object|null>} - Fingerprint ({algorithm, algorithmVersion, geometry, geometryVersion, hash, frameHashes,
+   *   frameInterval, startTime, timestamps, sampling, sceneBoundaries, duration, aspectRatio, hashes, colorSignature, audio})
+   *   or null if failed
    */
-  async computeMultiFramePHash(video, frameCount = VIDEO_PROCESSING.FRAMES_TO_CAPTURE, retryCount = 2) {
+  async computeMultiFramePHash(video, {
+    frameCount = VIDEO_PROCESSING.FRAMES_TO_CAPTURE,
+    retryCount = 2,
+    algorithms = [HASH_CONFIG.ALGORITHM],
+    mirror = false,
+    audio = false,
+    regions = false,
+    geometries = [HASH_CONFIG.GEOMETRY]
+  } = {}) {
+    const geometry = getHashGeometry(geometries[0]);
+    let audioCapture = null;
+
     for (let attempt = 0; attempt <= retryCount; attempt++) {
       try {
         if (!this.isValidVideoElement(video)) {
@@ -43,13 +88,20 @@ export class VideoUtils {
 
         // Ensure video is ready for processing
         await this.ensureVideoReady(video);
+        this.frameCollector.observe(video);
 
-        // Setup video for frame capture
-        const originalMuted = await this.prepareVideoForCapture(video);
+        // A video someone is watching is never seeked: its frames come from natural
+        // playback. Otherwise, keyframes are sought out instead of a fixed start.
+        const seekable = this.canSeek(video);
+        const useKeyframes = seekable && attempt === 0 && this.getDuration(video) >= VIDEO_PROCESSING.SCENE_MIN_DURATION_S;
 
-        // Create canvas for frame processing
-        const canvas = this.createProcessingCanvas();
-        const ctx = canvas.getContext('2d');
+        // Audio is recorded while a playing video is captured; seeking capture records
+        // once the video is restored. Retries reuse the same recording.
+        if (audio && !audioCapture && !seekable) {
+          audioCapture = this.audioUtils.captureFingerprint(video);
+        }
+
+        const restore = await this.prepareVideoForCapture(video, seekable && !useKeyframes);
 
         try {
           // Wait a bit longer if this is a retry to let video stabilize
@@ -57,53 +109,91 @@ export class VideoUtils {
             await new Promise(resolve => setTimeout(resolve, 300));
           }
 
-          // Capture and process frames
-          const averageMatrix = await this.captureAndAverageFrames(
-            video, ctx, canvas, frameCount
-          );
+          // Capture frames inside any letterbox/pillarbox bars, the same ones collected frames were cropped to
+          const collectedRegion = seekable ? undefined : this.frameCollector.getRegion(video);
+          const region = collectedRegion !== undefined ? collectedRegion : this.detectActiveRegion(video);
+          const scenes = useKeyframes ? await this.findKeyframes(video, VIDEO_PROCESSING.KEYFRAMES, region) : null;
+          const { frames, timestamps, collected = 0 } = (scenes
+            ? await this.captureKeyframes(video, scenes.times, region, geometries)
+            : seekable
+              ? await this.captureFrames(video, frameCount, region, geometries)
+              : await this.capturePassiveFrames(video, frameCount, region, geometries)) || {};
 
-          if (!averageMatrix) {
+          if (!frames) {
             throw new Error('Failed to capture video frames');
           }
 
-          // Compute hash from averaged matrix
-          const hash = this.hashUtils.computePHashFromMatrix(averageMatrix);
+          // Compute hash from averaged frames plus per-frame hashes for every algorithm and geometry
+          const { hashes, colorSignature, signal } = await this.hashFrameSets(frames, algorithms, true, mirror, geometries);
+          const primaryKey = this.hashUtils.getAlgorithmKey(algorithms[0], geometry.id);
+          const primary = hashes[primaryKey];
+          const hash = primary && primary.hash;
 
           if (!hash) {
             throw new Error('Hash computation failed');
           }
 
           // Validate hash quality
-          if (this.hashUtils.isTrivialHash(hash)) {
+          if (this.hashUtils.isTrivialHash(hash, algorithms[0], signal)) {
             // On first attempts, this might be a poster frame, try again
             if (attempt < retryCount) {
               this.logger.debug('Trivial hash detected on attempt, retrying with different timing...');
-              video.muted = originalMuted;
-              canvas.remove();
+              await restore();
               await new Promise(resolve => setTimeout(resolve, 800));
               continue;
             }
             this.logger.warn('Trivial hash detected after all attempts - likely poster frame or blank video');
-            video.muted = originalMuted;
-            canvas.remove();
             return null;
           }
 
           this.logger.info('Multi-frame hash computed successfully', {
             attempt: attempt + 1,
+            algorithms: Object.keys(hashes),
             hashLength: hash.length,
-            framesCaptured: frameCount,
+            framesCaptured: timestamps.length,
+            framesCollected: collected,
             hashPreview: hash.substring(0, 16) + '...'
           });
 
-          video.muted = originalMuted;
-          canvas.remove();
-          return hash;
+          // Regions come from one frame: the longest shot's keyframe, or the current frame after a burst
+          if (regions) {
+            const addRegions = () => this.addRegionHashes(hashes, video, region, algorithms, mirror, geometries);
+            await (scenes
+              ? this.withPausedVideo(video, async () => {
+                await this.seekVideo(video, scenes.primary);
+                await addRegions();
+              })
+              : addRegions());
+          }
+
+          await restore();
+          if (audio && !audioCapture) {
+            audioCapture = this.audioUtils.captureFingerprint(video);
+          }
+
+          return {
+            algorithm: algorithms[0],
+            algorithmVersion: hashAlgorithms.get(algorithms[0]).version,
+            geometry: geometry.id,
+            geometryVersion: geometry.version,
+            hash,
+            frameHashes: primary.frameHashes,
+            // Keyframes and collected frames are unevenly spaced and can't be aligned as a sequence
+            frameInterval: scenes || collected > 0 ? null : VIDEO_PROCESSING.FRAME_DELAY_MS / 1000,
+            startTime: timestamps[0],
+            timestamps,
+            sampling: scenes ? 'keyframes' : (collected > 0 ? 'passive' : 'burst'),
+            ...(scenes && { sceneBoundaries: scenes.boundaries }),
+            duration: this.getDuration(video),
+            aspectRatio: this.getAspectRatio(video, region),
+            hashes,
+            colorSignature,
+            audio: audioCapture ? await audioCapture : null
+          };
 
         } finally {
-          // Restore video state
-          video.muted = originalMuted;
-          canvas.remove();
+          // Put a seeked video back where it was
+          await restore();
         }
 
       } catch (error) {
@@ -123,6 +213,411 @@ export class VideoUtils {
     return null;
   }
 
+  /**
+   * Compute a fingerprint of a video's poster image
+   * Posters are available before playback starts, so matching videos can be
+   * hidden before they ever play. The image is fetched by the background
+   * service worker, which keeps the canvas untainted.
+   * @param {HTMLVideoElement} video - Video element with a poster attribute
+   * @param {string[]} algorithms - Registered algorithm ids to compute (first is primary)
+   * @param {boolean} mirror - Also hash the horizontally flipped poster
+   * @param {string[]} geometries - Hash geometry ids to compute (first is primary)
+   * @returns {Promise<Object|null>} - Fingerprint ({algorithm, algorithmVersion, geometry, geometryVersion, hash, hashes,
+   *   colorSignature, aspectRatio, url}) or null
+   */
+  async computePosterFingerprint(video, algorithms = [HASH_CONFIG.ALGORITHM], mirror = false, geometries = [HASH_CONFIG.GEOMETRY]) {
+    return this.computeUrlFingerprint(this.getPosterUrl(video), algorithms, mirror, geometries);
+  }
+
+  /**
+   * Compute a fingerprint of a tweet photo
+   * Uses the same single-frame pipeline as posters, so a photo and a video
+   * poster showing the same picture produce comparable hashes.
+   * @param {HTMLImageElement} image - Photo element
+   * @param {string[]} algorithms - Registered algorithm ids to compute (first is primary)
+   * @param {boolean} mirror - Also hash the horizontally flipped photo
+   * @param {string[]} geometries - Hash geometry ids to compute (first is primary)
+   * @returns {Promise<Object|null>} - Fingerprint (as for posters, plus mediaType) or null
+   */
+  async computeImageFingerprint(image, algorithms = [HASH_CONFIG.ALGORITHM], mirror = false, geometries = [HASH_CONFIG.GEOMETRY]) {
+    const fingerprint = await this.computeUrlFingerprint(this.getPhotoUrl(image), algorithms, mirror, geometries);
+    return fingerprint ? { ...fingerprint, mediaType: MEDIA_TYPES.IMAGE } : null;
+  }
+
+  /**
+   * Fingerprint an image URL, sharing results between callers
+   * @private
+   */
+  computeUrlFingerprint(url, algorithms, mirror, geometries) {
+    if (!url) return Promise.resolve(null);
+
+    const cacheKey = `${url}|${algorithms.join(',')}|${mirror}|${geometries.join(',')}`;
+    if (!this.imageCache.has(cacheKey)) {
+      if (this.imageCache.size >= POSTER.CACHE_LIMIT) {
+        this.imageCache.delete(this.imageCache.keys().next().value);
+      }
+      this.imageCache.set(cacheKey, this.hashImageUrl(url, algorithms, mirror, geometries));
+    }
+
+    return this.imageCache.get(cacheKey);
+  }
+
+  /**
+   * Fetch and hash a poster or photo
+   * @private
+   */
+  async hashImageUrl(url, algorithms, mirror, geometries) {
+    const geometry = getHashGeometry(geometries[0]);
+    let bitmap = null;
+
+    try {
+      bitmap = await this.fetchImageBitmap(url);
+
+      const region = this.detectActiveRegion(bitmap);
+      const frames = {};
+      for (const id of geometries) {
+        frames[id] = [await this.captureFrame(bitmap, region, getHashGeometry(id).canvasSize)];
+      }
+      const { hashes, colorSignature, signal } = await this.hashFrameSets(frames, algorithms, true, mirror, geometries);
+      const primary = hashes[this.hashUtils.getAlgorithmKey(algorithms[0], geometry.id)];
+
+      if (!primary || !primary.hash || this.hashUtils.isTrivialHash(primary.hash, algorithms[0], signal)) {
+        this.logger.debug('Image produced no usable hash', { url });
+        return null;
+      }
+
+      this.logger.debug('Image hash computed', {
+        url,
+        hashPreview: primary.hash.substring(0, 16) + '...'
+      });
+
+      return {
+        algorithm: algorithms[0],
+        algorithmVersion: hashAlgorithms.get(algorithms[0]).version,
+        geometry: geometry.id,
+        geometryVersion: geometry.version,
+        hash: primary.hash,
+        hashes,
+        colorSignature,
+        aspectRatio: this.getAspectRatio(bitmap, region),
+        url
+      };
+    } catch (error) {
+      this.logger.debug('Image hashing failed', { url, error: error.message });
+      return null;
+    } finally {
+      if (bitmap) bitmap.close();
+    }
+  }
+
+  /**
+   * Get the absolute poster URL of a video
+   * @param {HTMLVideoElement} video - Video element
+   * @returns {string|null}
+   */
+  getPosterUrl(video) {
+    return video && video.getAttribute('poster') ? video.poster : null;
+  }
+
+  /**
+   * Get the URL of a tweet photo, normalized to one rendition
+   * Twitter serves the same photo at several sizes (`name=small|medium|large|orig`)
+   * depending on layout; always hashing the small one keeps results and the
+   * cache consistent across timeline, detail and grid views.
+   * @param {HTMLImageElement} image - Photo element
+   * @returns {string|null} - Photo URL, or null for anything that isn't an uploaded photo
+   */
+  getPhotoUrl(image) {
+    const src = image && (image.currentSrc || image.src);
+    if (!src) return null;
+
+    try {
+      const url = new URL(src);
+      if (url.hostname !== 'pbs.twimg.com' || !url.pathname.startsWith('/media/')) {
+        return null;
+      }
+      url.searchParams.set('name', 'small');
+      return url.href;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Extract Twitter's media ID for a video or photo
+   * The same upload keeps its ID wherever it is reposted, so an ID match is
+   * exact and needs no hashing. Blob (MSE) sources carry no ID, so the
+   * `<source>` children and the poster are tried as well.
+   * @param {HTMLVideoElement|HTMLImageElement} element - Media element
+   * @returns {string|null} - Prefixed ID (e.g. `video:1234`, `gif:abc`, `photo:xyz`) or null
+   */
+  getMediaId(element) {
+    if (!element) return null;
+
+    const urls = [element.currentSrc, element.src];
+    if (element instanceof HTMLVideoElement) {
+      element.querySelectorAll('source[src]').forEach(source => urls.push(source.src));
+      urls.push(this.getPosterUrl(element));
+    }
+
+    for (const src of urls) {
+      const mediaId = parseMediaId(src);
+      if (mediaId) return mediaId;
+    }
+
+    return null;
+  }
+
+  /**
+   * Fetch an image through the background service worker
+   * @param {string} url - Poster or photo URL
+   * @returns {Promise<ImageBitmap>}
+   * @private
+   */
+  async fetchImageBitmap(url) {
+    const response = await new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({ type: POSTER.MESSAGE_TYPE, url }, (result) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(result);
+        }
+      });
+    });
+
+    if (!response || !response.ok) {
+      throw new Error(response?.error || 'Image fetch failed');
+    }
+
+    // Decode locally rather than fetching the data URL, which the page's CSP may block
+    const [header, base64] = response.dataUrl.split(',');
+    const type = header.slice('data:'.length, header.indexOf(';'));
+    const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+    return createImageBitmap(new Blob([bytes], { type }));
+  }
+
+  /**
+   * Sample per-frame hashes across the whole duration of a video
+   * Frames are taken at a fixed interval so sequences from different videos
+   * line up and a short clip can be located inside a longer one. Only runs
+   * while canSeek allows it; playback position, mute and pause state are
+   * restored afterwards.
+   * @param {HTMLVideoElement} video - Video element to process
+   * @param {Object} [options]
+   * @param {number} [options.interval] - Seconds between sampled frames
+   * @param {number} [options.maxFrames] - Maximum number of frames to sample
+   * @param {string[]} [options.algorithms] - Registered algorithm ids to compute (first is primary)
+   * @param {boolean} [options.mirror] - Also hash the horizontally flipped frames (under `hashes[key].mirrored`)
+   * @param {string[]} [options.geometries] - Hash geometry ids to compute (first is primary)
+   * @param {AbortSignal|null} [options.signal] - Stops sampling (returning null) once aborted, e.g. by a queue timeout
+   * @returns {Promise<Object|null>} - Sequence ({algorithm, algorithmVersion, geometry, geometryVersion, frameHashes, frameInterval,
+   *   startTime, timestamps, duration, aspectRatio, hashes, colorSignature}) or null if failed or the video is being watched
+   */
+  async computeSequenceFingerprint(video, {
+    interval = VIDEO_PROCESSING.SEQUENCE_INTERVAL_S,
+    maxFrames = VIDEO_PROCESSING.SEQUENCE_MAX_FRAMES,
+    algorithms = [HASH_CONFIG.ALGORITHM],
+    mirror = false,
+    geometries = [HASH_CONFIG.GEOMETRY],
+    signal = null
+  } = {}) {
+    if (!this.isValidVideoElement(video) || !Number.isFinite(video.duration)) {
+      this.logger.debug('Video cannot be sampled across its duration');
+      return null;
+    }
+
+    if (!this.canSeek(video)) {
+      this.logger.debug('Video is playing on screen, not sampling across its duration');
+      return null;
+    }
+
+    const originalTime = video.currentTime;
+    const originalMuted = video.muted;
+    const wasPaused = video.paused;
+
+    video.muted = true;
+    if (!wasPaused) {
+      video.pause();
+    }
+
+    try {
+      const geometry = getHashGeometry(geometries[0]);
+      const frames = Object.fromEntries(geometries.map(id => [id, []]));
+      const timestamps = [];
+      let region = null;
+
+      for (let time = 0; time < video.duration && timestamps.length < maxFrames; time += interval) {
+        // The queue gave up on the job; stop seeking instead of running on unseen
+        if (signal && signal.aborted) {
+          Object.values(frames).forEach(list => list.forEach(frame => frame && frame.close()));
+          this.logger.debug('Sequence sampling aborted', { framesSampled: timestamps.length });
+          return null;
+        }
+
+        await this.seekVideo(video, time);
+        timestamps.push(time);
+
+        // Bars don't move, so the first frame with enough detail decides the crop
+        region = region || this.detectActiveRegion(video);
+        for (const id of geometries) {
+          try {
+            frames[id].push(await this.captureFrame(video, region, getHashGeometry(id).canvasSize));
+          } catch (error) {
+            // Keep a slot for failed frames so the sequence stays time-aligned
+            this.logger.warn(`Failed to sample frame at ${time.toFixed(1)}s`, error);
+            frames[id].push(null);
+          }
+        }
+      }
+
+      const { hashes, colorSignature } = await this.hashFrameSets(frames, algorithms, false, mirror, geometries);
+      const primary = hashes[this.hashUtils.getAlgorithmKey(algorithms[0], geometry.id)];
+
+      if (!primary || !primary.frameHashes.some(Boolean)) {
+        this.logger.warn('No frames sampled across video duration');
+        return null;
+      }
+
+      this.logger.info('Sequence fingerprint computed', {
+        duration: video.duration,
+        frames: timestamps.length,
+        algorithms: Object.keys(hashes),
+        interval
+      });
+
+      return {
+        algorithm: algorithms[0],
+        algorithmVersion: hashAlgorithms.get(algorithms[0]).version,
+        geometry: geometry.id,
+        geometryVersion: geometry.version,
+        frameHashes: primary.frameHashes,
+        frameInterval: interval,
+        startTime: 0,
+        timestamps,
+        duration: this.getDuration(video),
+        aspectRatio: this.getAspectRatio(video, region),
+        hashes,
+        colorSignature
+      };
+    } catch (error) {
+      this.logger.error('Sequence fingerprint computation failed', error);
+      return null;
+    } finally {
+      await this.seekVideo(video, originalTime);
+      video.muted = originalMuted;
+      if (!wasPaused) {
+        video.play().catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Hash captured frames with several algorithms
+   * Hashing runs in the hash worker when possible and on the main thread otherwise.
+   * The frames are consumed either way.
+   * @param {Array<ImageBitmap|null>} frames - Frames from captureFrame (null slots are kept)
+   * @param {string[]} algorithms - Registered algorithm ids
+   * @param {boolean} includeAverage - Also hash the average of all frames
+   * @param {boolean} mirror - Also hash the mirrored frames
+   * @param {Object} geometry - Hash geometry the frames were captured for
+   * @returns {Promise<{hashes: Object, colorSignature: string|null, signal: number[]}>} - Map of algorithm key to
+   *   {hash, frameHashes, mirrored?}, plus the color signature and luminance histogram of all frames
+   */
+  async hashFrames(frames, algorithms, includeAverage, mirror = false, geometry = HASH_GEOMETRIES.standard) {
+    const known = algorithms.filter(algorithmId => {
+      if (hashAlgorithms.has(algorithmId)) return true;
+      this.logger.warn('Skipping unknown hash algorithm', { algorithmId });
+      return false;
+    });
+
+    if (this.hashWorker.isAvailable()) {
+      // The worker hashes clones, so the frames are still here if it fails
+      try {
+        const result = await this.hashWorker.hashFrames(frames, geometry, known, includeAverage, mirror);
+        frames.forEach(frame => frame && frame.close());
+        return result;
+      } catch (error) {
+        this.logger.warn('Worker hashing failed, falling back to main thread', error);
+      }
+    }
+
+    return hashBitmaps(frames, this.getFallbackContext(geometry.canvasSize), geometry, known, includeAverage, mirror);
+  }
+
+  /**
+   * Hash one set of captured frames per geometry
+   * Keys of different geometries never collide, so the hashes are merged;
+   * color signature and signal come from the first (primary) geometry.
+   * @param {Object<string, Array<ImageBitmap|null>>} frames - Frames per geometry id, captured at its canvasSize
+   * @param {string[]} algorithms - Registered algorithm ids
+   * @param {boolean} includeAverage - Also hash the average of all frames
+   * @param {boolean} mirror - Also hash the mirrored frames
+   * @param {string[]} geometries - Hash geometry ids (first is primary)
+   * @returns {Promise<{hashes: Object, colorSignature: string|null, signal: number[]}>}
+   * @private
+   */
+  async hashFrameSets(frames, algorithms, includeAverage, mirror, geometries) {
+    const result = { hashes: {}, colorSignature: null, signal: null };
+
+    for (const [i, id] of geometries.entries()) {
+      const { hashes, colorSignature, signal } = await this.hashFrames(
+        frames[id], algorithms, includeAverage, mirror, getHashGeometry(id)
+      );
+      Object.assign(result.hashes, hashes);
+      if (i === 0) {
+        result.colorSignature = colorSignature;
+        result.signal = signal;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the canvas context used when hashing on the main thread
+   * The canvas is never attached to the page.
+   * @private
+   */
+  getFallbackContext(size) {
+    if (!this.fallbackContext || this.fallbackContext.canvas.width !== size) {
+      const canvas = typeof OffscreenCanvas !== 'undefined'
+        ? new OffscreenCanvas(size, size)
+        : Object.assign(document.createElement('canvas'), { width: size, height: size });
+      this.fallbackContext = canvas.getContext('2d', { willReadFrequently: true });
+    }
+    return this.fallbackContext;
+  }
+
+  /**
+   * Seek video and wait for the seek to settle
+   * @param {HTMLVideoElement} video - Video element
+   * @param {number} time - Target time in seconds
+   * @param {number} timeoutMs - Maximum wait before continuing anyway
+   * @returns {Promise<void>}
+   */
+  async seekVideo(video, time, timeoutMs = VIDEO_PROCESSING.SEEK_TIMEOUT_MS) {
+    if (Math.abs(video.currentTime - time) < 0.01) {
+      return;
+    }
+
+    await new Promise(resolve => {
+      const timeout = setTimeout(() => {
+        video.removeEventListener('seeked', onSeeked);
+        resolve(); // Don't fail completely, just continue
+      }, timeoutMs);
+
+      const onSeeked = () => {
+        clearTimeout(timeout);
+        video.removeEventListener('seeked', onSeeked);
+        resolve();
+      };
+
+      video.addEventListener('seeked', onSeeked);
+      video.currentTime = time;
+    });
+  }
+
   /**
    * Validate video element for processing
    * @param {HTMLVideoElement} video - Video element to check
@@ -187,13 +682,29 @@ export class VideoUtils {
 
   /**
    * Prepare video for frame capture
+   * With `seek`, moves past intro/loading frames (muted, in case the video
+   * plays offscreen) for a burst capture. Without it, the video is left alone.
    * @param {HTMLVideoElement} video - Video element
-   * @returns {Promise<boolean>} - Original muted state
+   * @param {boolean} seek - Seek past intro/loading frames; only pass true if canSeek allows it
+   * @returns {Promise<Function>} - Async function restoring position and mute state exactly (safe to call twice)
    */
-  async prepareVideoForCapture(video) {
+  async prepareVideoForCapture(video, seek = true) {
+    const originalTime = video.currentTime;
     const originalMuted = video.muted;
+    let restored = !seek;
 
-    // Mute to avoid audio interference
+    const restore = async () => {
+      if (restored) return;
+      restored = true;
+      await this.seekVideo(video, originalTime);
+      video.muted = originalMuted;
+    };
+
+    if (!seek) {
+      return restore;
+    }
+
+    // Mute to avoid audio jumps while seeking
     video.muted = true;
 
     // Seek to a more stable position for better frame capture
@@ -201,74 +712,192 @@ export class VideoUtils {
       // Try to get past any intro/loading frames
       const seekTime = Math.min(video.duration * 0.1, 2); // 10% in or 2 seconds max
       if (Math.abs(video.currentTime - seekTime) > 0.5) {
-        video.currentTime = seekTime;
-        await new Promise((resolve, reject) => {
-          const timeout = setTimeout(() => {
-            video.removeEventListener('seeked', onSeeked);
-            resolve(); // Don't fail completely, just continue
-          }, 2000);
-
-          const onSeeked = () => {
-            clearTimeout(timeout);
-            video.removeEventListener('seeked', onSeeked);
-            resolve();
-          };
-          video.addEventListener('seeked', onSeeked);
-        });
+        await this.seekVideo(video, seekTime, 2000);
       }
     } else if (video.currentTime === 0 && video.duration > 0.5) {
-      video.currentTime = 0.3;
-      await new Promise(resolve => {
-        const onSeeked = () => {
-          video.removeEventListener('seeked', onSeeked);
-          resolve();
-        };
-        video.addEventListener('seeked', onSeeked);
-        setTimeout(resolve, 1000); // Fallback timeout
+      await this.seekVideo(video, 0.3, 1000);
+    }
+
+    return restore;
+  }
+
+  /**
+   * Check if a video may be seeked without disturbing anyone
+   * Seeking a video someone is watching jumps their playback and fights
+   * Twitter's player. A paused video on screen is still being looked at:
+   * every seek paints the frame it lands on and Twitter's player shows its
+   * loading spinner and moves the progress bar, and seeking back afterwards
+   * can't undo what the viewer already saw. So only videos scrolled out of
+   * view and videos in a background tab qualify.
+   * @param {HTMLVideoElement} video - Video element
+   * @returns {boolean} - True if the video is not visible
+   */
+  canSeek(video) {
+    if (document.hidden) return true;
+
+    const rect = video.getBoundingClientRect();
+    return rect.width === 0 || rect.height === 0 ||
+           rect.bottom <= 0 || rect.right <= 0 ||
+           rect.top >= window.innerHeight || rect.left >= window.innerWidth;
+  }
+
+  /**
+   * Detect the active picture region of the current frame
+   * Finds solid or blurred letterbox/pillarbox bars so they can be cropped
+   * before hashing; reposts often add them to change the aspect ratio.
+   * @param {HTMLVideoElement|ImageBitmap} source - Source video or image
+   * @returns {{x: number, y: number, width: number, height: number}|null} - Region in
+   *   source pixels, or null if the frame is too flat to judge
+   */
+  detectActiveRegion(source) {
+    const size = VIDEO_PROCESSING.BORDER_DETECT_SIZE;
+    const sourceWidth = source.videoWidth || source.width;
+    const sourceHeight = source.videoHeight || source.height;
+
+    try {
+      if (!this.borderContext) {
+        const canvas = Object.assign(document.createElement('canvas'), { width: size, height: size });
+        this.borderContext = canvas.getContext('2d', { willReadFrequently: true });
+      }
+
+      this.borderContext.drawImage(source, 0, 0, size, size);
+      const fractions = findActiveRegion(this.borderContext.getImageData(0, 0, size, size), {
+        uniformStddev: VIDEO_PROCESSING.BORDER_UNIFORM_STDDEV,
+        activityRatio: VIDEO_PROCESSING.BORDER_ACTIVITY_RATIO,
+        minCrop: VIDEO_PROCESSING.BORDER_MIN_CROP,
+        minActive: VIDEO_PROCESSING.BORDER_MIN_ACTIVE
       });
+
+      if (!fractions) {
+        this.logger.debug('Frame too flat for border detection, using full frame');
+        return null;
+      }
+
+      const region = {
+        x: Math.round(fractions.x * sourceWidth),
+        y: Math.round(fractions.y * sourceHeight),
+        width: Math.round(fractions.width * sourceWidth),
+        height: Math.round(fractions.height * sourceHeight)
+      };
+
+      this.logger.debug('Active picture region detected', {
+        source: `${sourceWidth}x${sourceHeight}`,
+        crop: `${region.width}x${region.height}+${region.x}+${region.y}`,
+        bars: {
+          horizontal: `${(fractions.x * 100).toFixed(1)}%`,
+          vertical: `${(fractions.y * 100).toFixed(1)}%`
+        }
+      });
+
+      return region;
+    } catch (error) {
+      this.logger.debug('Border detection failed, using full frame', error);
+      return null;
     }
+  }
 
-    return originalMuted;
+  /**
+   * Capture the current video frame scaled down for hashing
+   * @param {HTMLVideoElement|ImageBitmap} video - Source video (or poster image)
+   * @param {Object|null} region - Active picture region in source pixels (null for the full frame)
+   * @param {number} size - Output size (the hash geometry's canvasSize)
+   * @returns {Promise<ImageBitmap>} - size x size frame
+   */
+  captureFrame(video, region = null, size = VIDEO_PROCESSING.CANVAS_SIZE) {
+    const options = {
+      resizeWidth: size,
+      resizeHeight: size,
+      resizeQuality: 'medium'
+    };
+
+    if (region) {
+      return createImageBitmap(video, region.x, region.y, region.width, region.height, options);
+    }
+    return createImageBitmap(video, options);
   }
 
   /**
-   * Create canvas for video processing
-   * @returns {HTMLCanvasElement} - Processing canvas
+   * Hash sub-regions of the current frame into existing fingerprint hashes
+   * Captions, logos and reaction-cam insets usually cover only part of the
+   * picture, so the untouched regions still match when the full frame
+   * doesn't. Flat regions are left out, since they would match any other
+   * flat region. Mirrored regions are stored under the name of the region
+   * they line up with in the unflipped frame.
+   * @param {Object} hashes - Algorithm hashes from hashFrames (updated in place)
+   * @param {HTMLVideoElement} video - Source video
+   * @param {Object|null} region - Active picture region in video pixels (null for the full frame)
+   * @param {string[]} algorithms - Registered algorithm ids
+   * @param {boolean} mirror - Also hash the mirrored regions
+   * @param {string[]} geometries - Hash geometry ids
+   * @private
    */
-  createProcessingCanvas() {
-    const canvas = document.createElement('canvas');
-    canvas.width = VIDEO_PROCESSING.CANVAS_SIZE;
-    canvas.height = VIDEO_PROCESSING.CANVAS_SIZE;
-    canvas.style.display = 'none';
-    document.body.appendChild(canvas);
-    return canvas;
+  async addRegionHashes(hashes, video, region, algorithms, mirror, geometries) {
+    const bounds = region || { x: 0, y: 0, width: video.videoWidth, height: video.videoHeight };
+
+    try {
+      const crops = Object.fromEntries(geometries.map(id => [id, []]));
+      for (const { x, y, width, height } of HASH_REGIONS) {
+        const area = {
+          x: bounds.x + Math.round(x * bounds.width),
+          y: bounds.y + Math.round(y * bounds.height),
+          width: Math.round(width * bounds.width),
+          height: Math.round(height * bounds.height)
+        };
+        for (const id of geometries) {
+          crops[id].push(await this.captureFrame(video, area, getHashGeometry(id).canvasSize));
+        }
+      }
+
+      const { hashes: regionHashes } = await this.hashFrameSets(crops, algorithms, false, mirror, geometries);
+
+      for (const [key, { frameHashes, mirrored }] of Object.entries(regionHashes)) {
+        if (!hashes[key]) continue;
+
+        const algorithmId = algorithms.find(id =>
+          geometries.some(geometryId => this.hashUtils.getAlgorithmKey(id, geometryId) === key));
+        const collect = (regionFrameHashes, nameOf) => {
+          const result = {};
+          HASH_REGIONS.forEach((definition, i) => {
+            const hash = regionFrameHashes[i];
+            if (hash && this.hashUtils.calculateEntropy(this.hashUtils.toBitString(hash, algorithmId)) >=
+                HASH_CONFIG.REGION_MIN_ENTROPY) {
+              result[nameOf(definition)] = hash;
+            }
+          });
+          return result;
+        };
+
+        hashes[key].regions = collect(frameHashes, definition => definition.name);
+        if (mirrored && hashes[key].mirrored) {
+          hashes[key].mirrored.regions = collect(mirrored.frameHashes, definition => definition.mirror);
+        }
+      }
+    } catch (error) {
+      this.logger.debug('Region hashing failed, keeping full-frame hashes only', error);
+    }
   }
 
   /**
-   * Capture frames and compute average matrix
+   * Capture frames at FRAME_DELAY_MS intervals
    * @param {HTMLVideoElement} video - Source video
-   * @param {CanvasRenderingContext2D} ctx - Canvas context
-   * @param {HTMLCanvasElement} canvas - Canvas element
    * @param {number} frameCount - Number of frames to capture
-   * @returns {Promise<Array<Array<number>>|null>} - Average grayscale matrix
+   * @param {Object|null} region - Active picture region in video pixels (null for the full frame)
+   * @param {string[]} geometries - Hash geometry ids; each frame is captured at every geometry's size
+   * @returns {Promise<{frames: Object<string, ImageBitmap[]>, timestamps: number[]}|null>} - Frames per
+   *   geometry id in capture order, with the playback time each was taken at
    */
-  async captureAndAverageFrames(video, ctx, canvas, frameCount) {
-    const matrices = [];
-    const size = VIDEO_PROCESSING.CANVAS_SIZE;
+  async captureFrames(video, frameCount, region = null, geometries = [HASH_CONFIG.GEOMETRY]) {
+    const frames = Object.fromEntries(geometries.map(id => [id, []]));
+    const timestamps = [];
 
     for (let i = 0; i < frameCount; i++) {
       try {
-        // Draw current frame to canvas
-        ctx.drawImage(video, 0, 0, size, size);
-
-        // Get image data and convert to grayscale matrix
-        const imageData = ctx.getImageData(0, 0, size, size);
-        const matrix = this.imageDataToGrayscaleMatrix(imageData, size);
-
-        if (matrix) {
-          matrices.push(matrix);
-          this.logger.debug(`Frame ${i + 1} captured and processed`);
-        }
+        const time = video.currentTime;
+        const captured = await Promise.all(geometries.map(id =>
+          this.captureFrame(video, region, getHashGeometry(id).canvasSize)));
+        geometries.forEach((id, j) => frames[id].push(captured[j]));
+        timestamps.push(time);
+        this.logger.debug(`Frame ${i + 1} captured`);
 
         // Wait before next frame
         if (i < frameCount - 1) {
@@ -282,81 +911,211 @@ export class VideoUtils {
       }
     }
 
-    if (matrices.length === 0) {
+    if (timestamps.length === 0) {
       this.logger.error('No frames captured successfully');
       return null;
     }
 
-    // Average all captured matrices
-    return this.averageMatrices(matrices);
+    return { frames, timestamps };
+  }
+
+  /**
+   * Capture frames of a playing video without touching playback
+   * Frames the collector took as the video played come first; if there are
+   * fewer than `frameCount`, the rest are captured now as playback continues.
+   * @param {HTMLVideoElement} video - Source video
+   * @param {number} frameCount - Number of frames wanted
+   * @param {Object|null} region - Active picture region in video pixels (null for the full frame)
+   * @param {string[]} geometries - Hash geometry ids; each frame is captured at every geometry's size
+   * @returns {Promise<{frames: Object<string, ImageBitmap[]>, timestamps: number[], collected: number}|null>} - As
+   *   for captureFrames, plus how many frames came from the collector
+   */
+  async capturePassiveFrames(video, frameCount, region, geometries) {
+    const collected = await this.frameCollector.take(video, frameCount, geometries);
+    const collectedCount = collected ? collected.timestamps.length : 0;
+    const burst = collectedCount < frameCount
+      ? await this.captureFrames(video, frameCount - collectedCount, region, geometries)
+      : null;
+
+    if (!collected) {
+      return burst && { ...burst, collected: 0 };
+    }
+    if (burst) {
+      geometries.forEach(id => collected.frames[id].push(...burst.frames[id]));
+      collected.timestamps.push(...burst.timestamps);
+    }
+
+    this.logger.debug('Frames taken from playback', { collected: collectedCount, captured: burst ? burst.timestamps.length : 0 });
+    return { frames: collected.frames, timestamps: collected.timestamps, collected: collectedCount };
   }
 
   /**
-   * Convert ImageData to grayscale matrix
-   * @param {ImageData} imageData - Canvas image data
-   * @param {number} size - Matrix size
-   * @returns {Array<Array<number>>|null} - Grayscale matrix
+   * Hash one collected frame of a playing video
+   * The playback monitor builds a rolling sequence from these samples;
+   * nothing is captured or seeked here. Blank frames (fades, black screens)
+   * come back without hashes, so they hold their slot in the sequence
+   * without being compared.
+   * @param {HTMLVideoElement} video - Observed video
+   * @param {number} time - Earliest playback time the frame may have been taken at
+   * @param {string[]} algorithms - Registered algorithm ids to compute
+   * @param {boolean} mirror - Also hash the horizontally flipped frame (under `hashes[key].mirrored`)
+   * @param {string[]} geometries - Hash geometry ids to compute
+   * @returns {Promise<Object|null>} - Sample ({time, hashes, colorSignature, aspectRatio}), with
+   *   `hashes[key].hash` (and `.mirrored.hash`) per algorithm key, or null if no such frame was collected yet
    */
-  imageDataToGrayscaleMatrix(imageData, size) {
+  async computePlaybackSample(video, time, algorithms, mirror, geometries) {
+    const collected = await this.frameCollector.takeAt(video, time, geometries);
+    if (!collected) return null;
+
     try {
-      const matrix = Array.from({ length: size }, () => Array(size).fill(0));
-      const data = imageData.data;
-
-      for (let y = 0; y < size; y++) {
-        for (let x = 0; x < size; x++) {
-          const idx = (y * size + x) * 4;
-          const r = data[idx];
-          const g = data[idx + 1];
-          const b = data[idx + 2];
-
-          // Convert to grayscale using luminance formula
-          const gray = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
-          matrix[y][x] = gray;
-        }
+      const { hashes, colorSignature, signal } = await this.hashFrameSets(collected.frames, algorithms, false, mirror, geometries);
+      const blank = this.hashUtils.calculateEntropy(signal) < HASH_CONFIG.MIN_SIGNAL_ENTROPY;
+      const sample = { time: collected.timestamps[0], hashes: {}, colorSignature, aspectRatio: this.getAspectRatio(video, collected.region) };
+
+      for (const [key, { frameHashes, mirrored }] of Object.entries(hashes)) {
+        sample.hashes[key] = {
+          hash: blank ? null : frameHashes[0],
+          ...(mirrored && { mirrored: { hash: blank ? null : mirrored.frameHashes[0] } })
+        };
       }
 
-      return matrix;
+      return sample;
     } catch (error) {
-      this.logger.error('Failed to convert image data to matrix', error);
+      this.logger.debug('Playback sample hashing failed', error);
       return null;
     }
   }
 
   /**
-   * Average multiple matrices
-   * @param {Array<Array<Array<number>>>} matrices - Array of matrices to average
-   * @returns {Array<Array<number>>} - Averaged matrix
+   * Find keyframes from distinct scenes of a video
+   * Probes are taken at fixed fractions of the duration, so copies of a
+   * video probe (and pick) the same points. Playback position and state are
+   * restored afterwards.
+   * @param {HTMLVideoElement} video - Source video
+   * @param {number} count - Keyframes wanted
+   * @param {Object|null} region - Active picture region in video pixels (null for the full frame)
+   * @returns {Promise<{times: number[], boundaries: number[]}|null>} - Keyframe times and shot
+   *   boundaries, or null if the video couldn't be probed
    */
-  averageMatrices(matrices) {
-    if (matrices.length === 0) return null;
-    if (matrices.length === 1) return matrices[0];
+  async findKeyframes(video, count, region = null) {
+    const size = VIDEO_PROCESSING.SCENE_PROBE_SIZE;
+    const probeCount = VIDEO_PROCESSING.SCENE_PROBES;
+    const bounds = region || { x: 0, y: 0, width: video.videoWidth, height: video.videoHeight };
 
-    const size = matrices[0].length;
-    const averaged = Array.from({ length: size }, () => Array(size).fill(0));
+    try {
+      if (!this.probeContext) {
+        const canvas = Object.assign(document.createElement('canvas'), { width: size, height: size });
+        this.probeContext = canvas.getContext('2d', { willReadFrequently: true });
+      }
 
-    // Sum all matrices
-    for (const matrix of matrices) {
-      for (let y = 0; y < size; y++) {
-        for (let x = 0; x < size; x++) {
-          averaged[y][x] += matrix[y][x];
+      const probes = await this.withPausedVideo(video, async () => {
+        const results = [];
+        for (let i = 0; i < probeCount; i++) {
+          const time = ((i + 0.5) / probeCount) * video.duration;
+          await this.seekVideo(video, time);
+          this.probeContext.drawImage(video, bounds.x, bounds.y, bounds.width, bounds.height, 0, 0, size, size);
+          results.push({ time, gray: imageDataToLuminance(this.probeContext.getImageData(0, 0, size, size)) });
         }
+        return results;
+      });
+
+      const scenes = selectKeyframes(probes, count, {
+        threshold: VIDEO_PROCESSING.SCENE_CHANGE_THRESHOLD,
+        minStddev: VIDEO_PROCESSING.SCENE_MIN_STDDEV
+      });
+
+      if (scenes.times.length === 0) {
+        this.logger.debug('No usable keyframes found, falling back to a frame burst');
+        return null;
       }
+
+      this.logger.debug('Keyframes selected', {
+        scenes: scenes.boundaries.length + 1,
+        keyframes: scenes.times.map(time => time.toFixed(2))
+      });
+
+      return scenes;
+    } catch (error) {
+      this.logger.debug('Scene detection failed, falling back to a frame burst', error);
+      return null;
     }
+  }
+
+  /**
+   * Capture frames at given playback times
+   * @param {HTMLVideoElement} video - Source video
+   * @param {number[]} times - Playback times in seconds
+   * @param {Object|null} region - Active picture region in video pixels (null for the full frame)
+   * @param {string[]} geometries - Hash geometry ids; each frame is captured at every geometry's size
+   * @returns {Promise<{frames: Object<string, ImageBitmap[]>, timestamps: number[]}|null>} - As for captureFrames
+   */
+  async captureKeyframes(video, times, region, geometries) {
+    const frames = Object.fromEntries(geometries.map(id => [id, []]));
+    const timestamps = [];
 
-    // Divide by count to get average
-    const count = matrices.length;
-    for (let y = 0; y < size; y++) {
-      for (let x = 0; x < size; x++) {
-        averaged[y][x] = Math.round(averaged[y][x] / count);
+    await this.withPausedVideo(video, async () => {
+      for (const time of times) {
+        try {
+          await this.seekVideo(video, time);
+          const captured = await Promise.all(geometries.map(id =>
+            this.captureFrame(video, region, getHashGeometry(id).canvasSize)));
+          geometries.forEach((id, i) => frames[id].push(captured[i]));
+          timestamps.push(time);
+        } catch (error) {
+          this.logger.warn(`Failed to capture keyframe at ${time.toFixed(1)}s`, error);
+        }
       }
+    });
+
+    return timestamps.length > 0 ? { frames, timestamps } : null;
+  }
+
+  /**
+   * Run a seeking task with the video paused, then restore its position and playback
+   * @param {HTMLVideoElement} video - Video element
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} - Task result
+   * @private
+   */
+  async withPausedVideo(video, task) {
+    const originalTime = video.currentTime;
+    const wasPaused = video.paused;
+
+    if (!wasPaused) {
+      video.pause();
     }
 
-    this.logger.debug('Matrices averaged', {
-      inputCount: count,
-      outputSize: `${size}x${size}`
-    });
+    try {
+      return await task();
+    } finally {
+      await this.seekVideo(video, originalTime);
+      if (!wasPaused) {
+        video.play().catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Get a video's duration
+   * @param {HTMLVideoElement} video - Video element
+   * @returns {number|null} - Seconds, or null for streams and unloaded videos
+   */
+  getDuration(video) {
+    return Number.isFinite(video.duration) && video.duration > 0 ? video.duration : null;
+  }
 
-    return averaged;
+  /**
+   * Get the aspect ratio of the hashed picture
+   * Measured inside any letterbox/pillarbox bars, so a repost with added bars
+   * keeps the ratio of the original.
+   * @param {HTMLVideoElement|ImageBitmap} source - Source video or image
+   * @param {{width: number, height: number}|null} region - Active region from detectActiveRegion
+   * @returns {number|null} - Width / height, rounded to 3 decimals
+   */
+  getAspectRatio(source, region = null) {
+    const width = region ? region.width : (source.videoWidth || source.width);
+    const height = region ? region.height : (source.videoHeight || source.height);
+    return width > 0 && height > 0 ? Math.round((width / height) * 1000) / 1000 : null;
   }
 
   /**
@@ -391,6 +1150,44 @@ export class VideoUtils {
     }
   }
 
+  /**
+   * Find a tweet photo at screen coordinates
+   * Only the topmost hit counts, so clicks near a photo don't select it.
+   * @param {number} clientX - X coordinate
+   * @param {number} clientY - Y coordinate
+   * @returns {HTMLImageElement|null} - Photo element or null
+   */
+  findPhotoAtCoordinates(clientX, clientY) {
+    const element = document.elementFromPoint(clientX, clientY);
+    const photo = element && element.closest(SELECTORS.TWEET_PHOTO);
+    if (!photo || photo.querySelector('video')) return null;
+
+    return photo.querySelector('img');
+  }
+
+  /**
+   * Find the video covering the largest part of the viewport
+   * @returns {HTMLVideoElement|null} - Video element or null if none is on screen
+   */
+  findVisibleVideo() {
+    let visible = null;
+    let visibleArea = 0;
+
+    for (const video of document.querySelectorAll(SELECTORS.VIDEO)) {
+      const rect = video.getBoundingClientRect();
+      const width = Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0);
+      const height = Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0);
+      const area = Math.max(0, width) * Math.max(0, height);
+
+      if (area > visibleArea) {
+        visible = video;
+        visibleArea = area;
+      }
+    }
+
+    return visible;
+  }
+
   /**
    * Check if video appears to be blocked/hidden
    * @param {HTMLVideoElement} video - Video to check
@@ -408,4 +1205,16 @@ export class VideoUtils {
            style.opacity === '0' ||
            article.style.display === 'none';
   }
+
+  /**
+   * Release the hash worker and collected frames
+   */
+  cleanup() {
+    this.hashWorker.terminate();
+    this.frameCollector.cleanup();
+    this.fallbackContext = null;
+    this.borderContext = null;
+    this.probeContext = null;
+    this.imageCache.clear();
+  }
 }
@@ -0,0 +1,44 @@
+/**
+ * Hash Worker for Video Blocker Extension
+ * Runs grayscale conversion, transforms and bit extraction off the main thread
+ *
+ * Request:  { id, type: 'hashFrames', frames: ImageBitmap[], geometry, algorithms, includeAverage, mirror }
+ * Response: { id, hashes, colorSignature, signal } or { id, error }
+ */
+
+import { hashBitmaps } from '../utils/frame-processing.js';
+
+let canvas = null;
+let ctx = null;
+
+/**
+ * Get a reusable context for the requested size
+ */
+function getContext(size) {
+  if (!canvas || canvas.width !== size) {
+    canvas = new OffscreenCanvas(size, size);
+    ctx = canvas.getContext('2d', { willReadFrequently: true });
+  }
+  return ctx;
+}
+
+self.onmessage = (event) => {
+  const { id, type, frames, geometry, algorithms, includeAverage, mirror } = event.data || {};
+
+  if (type !== 'hashFrames') {
+    self.postMessage({ id, error: `Unknown message type: ${type}` });
+    return;
+  }
+
+  try {
+    const { hashes, colorSignature, signal } = hashBitmaps(
+      frames, getContext(geometry.canvasSize), geometry, algorithms, includeAverage, mirror
+    );
+    self.postMessage({ id, hashes, colorSignature, signal });
+  } catch (error) {
+    for (const frame of frames || []) {
+      if (frame) frame.close();
+    }
+    self.postMessage({ id, error: error.message || String(error) });
+  }
+};
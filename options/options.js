@@ -3,11 +3,46 @@
  * Handles settings, statistics, and blocked video management
  */
 
+import { packLegacyEntry } from "../esm-src/utils/packed-hash.js";
+
 // Storage key constants
 const STORAGE_KEYS = {
 	SETTINGS: "vb_settings",
 	BLOCKED_HASHES: "vb_blocked_hashes_v1",
 	STATS: "vb_stats_v1",
+	ALLOWLIST: "vb_allowlist_v1",
+};
+
+// Blocklist entry format written by the content script (hex-packed hashes)
+const ENTRY_VERSION = "2.0";
+
+// Per-entry match policies (entries without audio always match visually)
+const MATCH_POLICY_LABELS = {
+	visual: "Görüntü",
+	audio: "Ses",
+	either: "Görüntü veya ses",
+	both: "Görüntü ve ses",
+};
+
+// Per-entry block actions ("" follows the global setting)
+const BLOCK_ACTION_LABELS = {
+	"": "Varsayılan eylem",
+	hide: "Gizle",
+	collapse: "Daralt",
+	blur: "Bulanıklaştır",
+	mute: "Sesi kapat",
+	pause: "Oynatmayı durdur",
+};
+
+// Entry media types (entries saved before photo support are videos)
+const MEDIA_TYPE_LABELS = {
+	video: "🎬 Video",
+	image: "🖼️ Fotoğraf",
+};
+
+// Non-standard hash geometries shown next to an entry's algorithm
+const GEOMETRY_LABELS = {
+	strict: "256 bit",
 };
 
 // Default settings
@@ -17,6 +52,13 @@ const DEFAULT_SETTINGS = {
 	showNotifications: true,
 	logLevel: "info",
 	maxRetries: 2,
+	hashAlgorithm: "phash",
+	hashGeometry: "standard",
+	flipInvariant: false,
+	matchPolicy: "either",
+	colorCheck: true,
+	blockAction: "hide",
+	placeholderCard: false,
 };
 
 class OptionsManager {
@@ -24,6 +66,7 @@ class OptionsManager {
 		this.currentTab = "stats";
 		this.blockedHashes = [];
 		this.filteredHashes = [];
+		this.allowlist = [];
 		this.settings = { ...DEFAULT_SETTINGS };
 		this.stats = {
 			totalBlocked: 0,
@@ -44,6 +87,7 @@ class OptionsManager {
 		// Load data
 		await this.loadSettings();
 		await this.loadBlockedHashes();
+		await this.loadAllowlist();
 		await this.loadStats();
 
 		// Setup event listeners
@@ -53,6 +97,7 @@ class OptionsManager {
 		this.updateUI();
 		this.updateStats();
 		this.renderBlockedList();
+		this.renderAllowlist();
 		this.drawChart();
 
 		console.log("Options Manager initialized successfully");
@@ -66,12 +111,15 @@ class OptionsManager {
 			});
 		});
 
-		Settings;
+		// Settings
 		this.setupSettingsListeners();
 
 		// Blocked videos
 		this.setupBlockedVideosListeners();
 
+		// Allowlist
+		this.setupAllowlistListeners();
+
 		// Modal
 		this.setupModalListeners();
 	}
@@ -115,6 +163,55 @@ class OptionsManager {
 			this.saveSettings();
 		});
 
+		// Hash algorithm select
+		const hashAlgorithmSelect = document.getElementById("hash-algorithm");
+		hashAlgorithmSelect.addEventListener("change", (e) => {
+			this.settings.hashAlgorithm = e.target.value;
+			this.saveSettings();
+		});
+
+		// Hash geometry select
+		const hashGeometrySelect = document.getElementById("hash-geometry");
+		hashGeometrySelect.addEventListener("change", (e) => {
+			this.settings.hashGeometry = e.target.value;
+			this.saveSettings();
+		});
+
+		// Flip-invariant matching toggle
+		const flipInvariantCheckbox = document.getElementById("flip-invariant");
+		flipInvariantCheckbox.addEventListener("change", (e) => {
+			this.settings.flipInvariant = e.target.checked;
+			this.saveSettings();
+		});
+
+		// Color check toggle
+		const colorCheckCheckbox = document.getElementById("color-check");
+		colorCheckCheckbox.addEventListener("change", (e) => {
+			this.settings.colorCheck = e.target.checked;
+			this.saveSettings();
+		});
+
+		// Match policy select
+		const matchPolicySelect = document.getElementById("match-policy");
+		matchPolicySelect.addEventListener("change", (e) => {
+			this.settings.matchPolicy = e.target.value;
+			this.saveSettings();
+		});
+
+		// Block action select
+		const blockActionSelect = document.getElementById("block-action");
+		blockActionSelect.addEventListener("change", (e) => {
+			this.settings.blockAction = e.target.value;
+			this.saveSettings();
+		});
+
+		// Placeholder card toggle
+		const placeholderCardCheckbox = document.getElementById("placeholder-card");
+		placeholderCardCheckbox.addEventListener("change", (e) => {
+			this.settings.placeholderCard = e.target.checked;
+			this.saveSettings();
+		});
+
 		// Data management buttons
 		document
 			.getElementById("backup-btn")
@@ -167,6 +264,30 @@ class OptionsManager {
 		document
 			.getElementById("next-page")
 			.addEventListener("click", () => this.changePage(1));
+
+		// Item controls: the extension CSP blocks inline handlers, so rendered
+		// items carry data attributes and the list handles their events
+		const blockedList = document.getElementById("blocked-list");
+		blockedList.addEventListener("click", (e) => {
+			const button = e.target.closest("button[data-action]");
+			if (!button) return;
+
+			if (button.dataset.action === "remove") {
+				this.removeHash(button.dataset.hash);
+			} else if (button.dataset.action === "remove-negative") {
+				this.removeNegativeExample(button.dataset.hash, Number(button.dataset.index));
+			}
+		});
+		blockedList.addEventListener("change", (e) => {
+			const select = e.target.closest("select[data-action]");
+			if (!select) return;
+
+			if (select.dataset.action === "match-policy") {
+				this.setMatchPolicy(select.dataset.hash, select.value);
+			} else if (select.dataset.action === "block-action") {
+				this.setBlockAction(select.dataset.hash, select.value);
+			}
+		});
 	}
 
 	setupModalListeners() {
@@ -191,6 +312,22 @@ class OptionsManager {
 		});
 	}
 
+	setupAllowlistListeners() {
+		const handleInput = document.getElementById("allowlist-handle");
+		document
+			.getElementById("allowlist-add-btn")
+			.addEventListener("click", () => this.addAllowedHandle(handleInput));
+		handleInput.addEventListener("keydown", (e) => {
+			if (e.key === "Enter") this.addAllowedHandle(handleInput);
+		});
+
+		// Rendered items carry their id; inline handlers are blocked by the extension CSP
+		document.getElementById("allowlist-list").addEventListener("click", (e) => {
+			const button = e.target.closest("button[data-id]");
+			if (button) this.removeAllowlistItem(button.dataset.id);
+		});
+	}
+
 	switchTab(tabName) {
 		// Update active tab button
 		document.querySelectorAll(".tab-button").forEach((btn) => {
@@ -246,6 +383,16 @@ class OptionsManager {
 		}
 	}
 
+	async loadAllowlist() {
+		try {
+			const result = await this.getStorageData(STORAGE_KEYS.ALLOWLIST);
+			this.allowlist = result || [];
+		} catch (error) {
+			console.error("Failed to load allowlist:", error);
+			this.showToast("İzin listesi yüklenirken hata oluştu", "danger");
+		}
+	}
+
 	async loadStats() {
 		try {
 			const result = await this.getStorageData(STORAGE_KEYS.STATS);
@@ -300,6 +447,15 @@ class OptionsManager {
 			this.settings.showNotifications;
 		document.getElementById("log-level").value = this.settings.logLevel;
 		document.getElementById("max-retries").value = this.settings.maxRetries;
+		document.getElementById("hash-algorithm").value =
+			this.settings.hashAlgorithm;
+		document.getElementById("hash-geometry").value = this.settings.hashGeometry;
+		document.getElementById("flip-invariant").checked =
+			this.settings.flipInvariant;
+		document.getElementById("match-policy").value = this.settings.matchPolicy;
+		document.getElementById("color-check").checked = this.settings.colorCheck;
+		document.getElementById("block-action").value = this.settings.blockAction;
+		document.getElementById("placeholder-card").checked = this.settings.placeholderCard;
 
 		// Update version info
 		document.getElementById("version").textContent =
@@ -417,8 +573,10 @@ class OptionsManager {
 
 		// Apply search filter
 		if (searchTerm) {
-			filtered = filtered.filter((item) =>
-				item.hash.toLowerCase().includes(searchTerm),
+			filtered = filtered.filter(
+				(item) =>
+					item.hash.toLowerCase().includes(searchTerm) ||
+					(item.mediaId || "").toLowerCase().includes(searchTerm),
 			);
 		}
 
@@ -499,10 +657,13 @@ class OptionsManager {
             <div class="blocked-item">
                 <div class="blocked-content">
                     <div class="blocked-hash">${item.hash}</div>
-                    <div class="blocked-date">${this.formatDate(item.added)}</div>
+                    <div class="blocked-date">${MEDIA_TYPE_LABELS[item.mediaType] || MEDIA_TYPE_LABELS.video} · ${this.formatDate(item.added)} · ${item.algorithm || "phash"} v${item.algorithmVersion || 1}${item.geometry && item.geometry !== "standard" ? ` · ${GEOMETRY_LABELS[item.geometry] || item.geometry}` : ""}${item.duration ? ` · ${item.duration.toFixed(1)} sn` : ""}${item.aspectRatio ? ` · ${item.aspectRatio}:1` : ""}${item.mediaId ? ` · ${item.mediaId}` : ""}</div>
+                    ${item.negatives?.length ? this.renderNegativeExamples(item) : ""}
                 </div>
                 <div class="blocked-actions-item">
-                    <button class="btn small danger" onclick="optionsManager.removeHash('${item.hash}')">
+                    ${item.audio ? this.renderPolicySelect(item) : ""}
+                    ${this.renderBlockActionSelect(item)}
+                    <button class="btn small danger" data-action="remove" data-hash="${item.hash}">
                         🗑️ Sil
                     </button>
                 </div>
@@ -524,6 +685,84 @@ class OptionsManager {
 		}
 	}
 
+	renderAllowlist() {
+		const container = document.getElementById("allowlist-list");
+
+		if (this.allowlist.length === 0) {
+			container.innerHTML = `
+                <div class="blocked-item placeholder">
+                    <div class="blocked-content">
+                        <span class="blocked-text">İzin listesi boş</span>
+                        <span class="blocked-subtitle">Twitter/X'te engellenen bir gönderinin kartından veya bildiriminden "Always allow" ile ekleyin</span>
+                    </div>
+                </div>
+            `;
+			return;
+		}
+
+		container.innerHTML = [...this.allowlist]
+			.reverse()
+			.map(
+				(item) => `
+            <div class="blocked-item">
+                <div class="blocked-content">
+                    <div class="blocked-hash">${item.type === "handle" ? `@${item.handle}` : item.mediaId || Object.values(item.hashes || {})[0] || item.id}</div>
+                    <div class="blocked-date">${item.type === "handle" ? "👤 Hesap" : MEDIA_TYPE_LABELS[item.mediaType] || MEDIA_TYPE_LABELS.video} · ${this.formatDate(item.added)}${item.hashes ? " · parmak izi" : ""}</div>
+                </div>
+                <div class="blocked-actions-item">
+                    <button class="btn small danger" data-id="${item.id}">
+                        🗑️ Sil
+                    </button>
+                </div>
+            </div>
+        `,
+			)
+			.join("");
+	}
+
+	async addAllowedHandle(input) {
+		// Same rules as Twitter handles: up to 15 letters, digits or underscores
+		const handle = input.value.trim().replace(/^@/, "").toLowerCase();
+		if (!/^\w{1,15}$/.test(handle)) {
+			this.showToast("Geçerli bir kullanıcı adı girin", "warning");
+			return;
+		}
+
+		const id = `handle:${handle}`;
+		if (this.allowlist.some((item) => item.id === id)) {
+			this.showToast("Hesap zaten izin listesinde", "warning");
+			return;
+		}
+
+		try {
+			this.allowlist = [
+				...this.allowlist,
+				{ id, type: "handle", handle, added: Date.now() },
+			];
+			await this.setStorageData(STORAGE_KEYS.ALLOWLIST, this.allowlist);
+
+			input.value = "";
+			this.renderAllowlist();
+			this.showToast("Hesap izin listesine eklendi", "success");
+		} catch (error) {
+			console.error("Failed to add handle to allowlist:", error);
+			this.showToast("Hesap eklenemedi", "danger");
+		}
+	}
+
+	async removeAllowlistItem(id) {
+		try {
+			this.allowlist = this.allowlist.filter((item) => item.id !== id);
+			await this.setStorageData(STORAGE_KEYS.ALLOWLIST, this.allowlist);
+
+			this.renderAllowlist();
+			this.showToast("İzin listesinden kaldırıldı", "success");
+		} catch (error) {
+			console.error("Failed to remove allowlist item:", error);
+			this.showToast("İzin listesinden kaldırılamadı", "danger");
+		}
+	}
+
 	changePage(direction) {
 		const totalPages = Math.ceil(
 			this.filteredHashes.length / this.itemsPerPage,
@@ -536,6 +775,124 @@ class OptionsManager {
 		}
 	}
 
+	renderPolicySelect(item) {
+		const options = Object.entries(MATCH_POLICY_LABELS)
+			.map(
+				([value, label]) =>
+					`<option value="${value}" ${item.matchPolicy === value ? "selected" : ""}>${label}</option>`,
+			)
+			.join("");
+
+		return `
+                    <select class="policy-select" title="Eşleşme politikası" data-action="match-policy" data-hash="${item.hash}">
+                        ${options}
+                    </select>`;
+	}
+
+	async setMatchPolicy(hash, policy) {
+		try {
+			this.blockedHashes = this.blockedHashes.map((item) =>
+				item.hash === hash
+					? { ...item, matchPolicy: policy, updated: Date.now() }
+					: item,
+			);
+			await this.setStorageData(
+				STORAGE_KEYS.BLOCKED_HASHES,
+				this.blockedHashes,
+			);
+
+			this.showToast("Eşleşme politikası güncellendi", "success");
+		} catch (error) {
+			console.error("Failed to update match policy:", error);
+			this.showToast("Eşleşme politikası güncellenemedi", "danger");
+		}
+	}
+
+	renderNegativeExamples(item) {
+		const examples = item.negatives
+			.map(
+				(negative, index) => `
+                            <li>
+                                <span>${this.describeNegativeExample(negative)} · ${this.formatDate(negative.added)}</span>
+                                <button class="btn small secondary" data-action="remove-negative" data-hash="${item.hash}" data-index="${index}">Kaldır</button>
+                            </li>`,
+			)
+			.join("");
+
+		return `
+                    <details class="negative-examples">
+                        <summary>${item.negatives.length} yanlış eşleşme örneği</summary>
+                        <ul>${examples}
+                        </ul>
+                    </details>`;
+	}
+
+	describeNegativeExample(negative) {
+		if (negative.mediaId) return negative.mediaId;
+		if (negative.hash) return `${negative.hash.substring(0, 16)}…`;
+		return negative.frameHashes ? "Kare dizisi" : "Bölge hash'leri";
+	}
+
+	async removeNegativeExample(hash, index) {
+		try {
+			this.blockedHashes = this.blockedHashes.map((item) => {
+				if (item.hash !== hash) return item;
+				const { negatives, ...rest } = item;
+				const remaining = (negatives || []).filter((_, i) => i !== index);
+				const updated = { ...rest, updated: Date.now() };
+				return remaining.length > 0
+					? { ...updated, negatives: remaining }
+					: updated;
+			});
+			await this.setStorageData(
+				STORAGE_KEYS.BLOCKED_HASHES,
+				this.blockedHashes,
+			);
+
+			// Re-render so the remaining examples' indexes match the stored list
+			this.renderBlockedList();
+			this.showToast("Yanlış eşleşme örneği kaldırıldı", "success");
+		} catch (error) {
+			console.error("Failed to remove negative example:", error);
+			this.showToast("Yanlış eşleşme örneği kaldırılamadı", "danger");
+		}
+	}
+
+	renderBlockActionSelect(item) {
+		const current = BLOCK_ACTION_LABELS[item.blockAction] ? item.blockAction : "";
+		const options = Object.entries(BLOCK_ACTION_LABELS)
+			.map(
+				([value, label]) =>
+					`<option value="${value}" ${current === value ? "selected" : ""}>${label}</option>`,
+			)
+			.join("");
+
+		return `
+                    <select class="policy-select" title="Engelleme eylemi" data-action="block-action" data-hash="${item.hash}">
+                        ${options}
+                    </select>`;
+	}
+
+	async setBlockAction(hash, action) {
+		try {
+			this.blockedHashes = this.blockedHashes.map((item) => {
+				if (item.hash !== hash) return item;
+				const { blockAction, ...rest } = item;
+				const updated = { ...rest, updated: Date.now() };
+				return action ? { ...updated, blockAction: action } : updated;
+			});
+			await this.setStorageData(
+				STORAGE_KEYS.BLOCKED_HASHES,
+				this.blockedHashes,
+			);
+
+			this.showToast("Engelleme eylemi güncellendi", "success");
+		} catch (error) {
+			console.error("Failed to update block action:", error);
+			this.showToast("Engelleme eylemi güncellenemedi", "danger");
+		}
+	}
+
 	async removeHash(hash) {
 		try {
 			this.blockedHashes = this.blockedHashes.filter(
@@ -637,7 +994,7 @@ class OptionsManager {
 			}
 
 			if (data.blockedHashes) {
-				this.blockedHashes = data.blockedHashes;
+				this.blockedHashes = this.packLegacyEntries(data.blockedHashes);
 				await this.setStorageData(
 					STORAGE_KEYS.BLOCKED_HASHES,
 					this.blockedHashes,
@@ -666,6 +1023,16 @@ class OptionsManager {
 		event.target.value = "";
 	}
 
+	/**
+	 * Convert entries from backups made before hashes were hex-packed
+	 * (the same conversion the content script applies to stored entries)
+	 */
+	packLegacyEntries(entries) {
+		return entries
+			.filter((item) => item && typeof item.hash === "string")
+			.map((item) => packLegacyEntry(item, ENTRY_VERSION));
+	}
+
 	async resetSettings() {
 		this.settings = { ...DEFAULT_SETTINGS };
 		await this.setStorageData(STORAGE_KEYS.SETTINGS, this.settings);
@@ -784,6 +1151,12 @@ if (chrome && chrome.storage && chrome.storage.onChanged) {
 					optionsManager.drawChart();
 				});
 			}
+
+			if (changes[STORAGE_KEYS.ALLOWLIST]) {
+				optionsManager.loadAllowlist().then(() => {
+					optionsManager.renderAllowlist();
+				});
+			}
 		}
 	});
 }
@@ -0,0 +1,105 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Allowlist, normalizeHandle } from '../../esm-src/core/allowlist.js';
+import { HashUtils } from '../../esm-src/utils/hash.js';
+import { createLogger, flipBits } from '../helpers.js';
+
+const KEY = 'phash@1';
+const HASH = '9c3a5e71d2b4f086';
+
+/**
+ * Storage manager stand-in keeping allowlist items in memory
+ */
+function createStorageManager(items = []) {
+  return {
+    items: [...items],
+    listeners: new Set(),
+    async getAllowlist() {
+      return this.items;
+    },
+    async addAllowlistItem(item) {
+      this.items = [...this.items.filter(existing => existing.id !== item.id), item];
+      return true;
+    },
+    addChangeListener(listener) {
+      this.listeners.add(listener);
+    },
+    removeChangeListener(listener) {
+      this.listeners.delete(listener);
+    },
+    emit(event, data) {
+      this.listeners.forEach(listener => listener(event, data));
+    }
+  };
+}
+
+describe('normalizeHandle', () => {
+  it('strips the @ and lowercases', () => {
+    assert.equal(normalizeHandle(' @Some_User '), 'some_user');
+  });
+
+  it('rejects handles Twitter would not allow', () => {
+    assert.equal(normalizeHandle('has space'), null);
+    assert.equal(normalizeHandle('a'.repeat(16)), null);
+    assert.equal(normalizeHandle(''), null);
+    assert.equal(normalizeHandle(null), null);
+  });
+});
+
+describe('Allowlist', () => {
+  let storageManager;
+  let allowlist;
+
+  beforeEach(async () => {
+    const logger = createLogger();
+    storageManager = createStorageManager([
+      { id: 'handle:friend', type: 'handle', handle: 'Friend' },
+      { id: 'media:111', type: 'media', mediaType: 'video', mediaId: '111' },
+      { id: `media:${HASH}`, type: 'media', mediaType: 'image', hashes: { [KEY]: HASH } }
+    ]);
+    allowlist = new Allowlist(logger, storageManager, new HashUtils(logger));
+    await allowlist.initialize();
+  });
+
+  it('loads stored handles, media IDs and fingerprints', () => {
+    assert.deepEqual(allowlist.getStats(), { handles: 1, mediaIds: 1, fingerprints: 1 });
+    assert.equal(allowlist.isHandleAllowed('@FRIEND'), true);
+    assert.equal(allowlist.isHandleAllowed('stranger'), false);
+  });
+
+  it('matches media by ID or by a close hash of the same algorithm key', () => {
+    assert.equal(allowlist.isMediaAllowed('111', null), true);
+    assert.equal(allowlist.isMediaAllowed('222', { hashes: { [KEY]: { hash: flipBits(HASH, [1, 2]) } } }), true);
+    assert.equal(allowlist.isMediaAllowed('222', { hashes: { 'dhash@1': { hash: HASH } } }), false);
+    assert.equal(allowlist.isMediaAllowed('222', { hashes: { [KEY]: { hash: 'ffffffffffffffff' } } }), false);
+    assert.equal(allowlist.isMediaAllowed(null, null), false);
+  });
+
+  it('stores allowed handles and media', async () => {
+    assert.equal(await allowlist.allowHandle('@NewFriend'), true);
+    assert.equal(await allowlist.allowHandle('not valid!'), false);
+    assert.equal(allowlist.isHandleAllowed('newfriend'), true);
+
+    const fingerprint = { hashes: { 'dhash@1': { hash: 'abcdef0123456789' }, 'ahash@1': { hash: null } } };
+    assert.equal(await allowlist.allowMedia('333', fingerprint, 'video'), true);
+    assert.deepEqual(storageManager.items.at(-1), {
+      id: 'media:333',
+      type: 'media',
+      mediaType: 'video',
+      mediaId: '333',
+      hashes: { 'dhash@1': 'abcdef0123456789' }
+    });
+    assert.equal(await allowlist.allowMedia(null, null, 'image'), false);
+  });
+
+  it('follows changes made elsewhere until cleaned up', () => {
+    storageManager.emit('allowlistUpdated', { items: [{ type: 'handle', handle: 'other' }] });
+    assert.equal(allowlist.isHandleAllowed('friend'), false);
+    assert.equal(allowlist.isHandleAllowed('other'), true);
+
+    allowlist.cleanup();
+    storageManager.emit('allowlistUpdated', { items: [] });
+    assert.equal(allowlist.isHandleAllowed('other'), true);
+  });
+});
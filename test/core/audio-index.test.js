@@ -0,0 +1,53 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AUDIO } from '../../esm-src/constants.js';
+import { AudioIndex } from '../../esm-src/core/audio-index.js';
+import { computeAudioFingerprint } from '../../esm-src/utils/audio-fingerprint.js';
+import { addNoise, createLogger, createMelody } from '../helpers.js';
+
+const RATE = 16000;
+const clips = [1, 2, 3].map(seed => createMelody(seed, 4, RATE));
+const fingerprints = clips.map(clip => computeAudioFingerprint(clip, RATE));
+
+describe('AudioIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new AudioIndex(createLogger());
+    index.build(fingerprints.map((fingerprint, i) => ({ fingerprint, value: `clip${i + 1}` })));
+  });
+
+  it('finds only the recording a noisy excerpt comes from', () => {
+    const excerpt = addNoise(clips[1].slice(RATE), 0.2);
+    const results = index.search(computeAudioFingerprint(excerpt, RATE));
+
+    assert.deepEqual(Array.from(results.keys()), ['clip2']);
+    const { score, offsetSeconds } = results.get('clip2');
+    assert.ok(score >= AUDIO.MATCH_RATIO);
+    assert.ok(Math.abs(offsetSeconds - 1) <= AUDIO.HOP_SECONDS, `offset ${offsetSeconds}`);
+  });
+
+  it('finds nothing for an unrelated recording', () => {
+    assert.equal(index.search(computeAudioFingerprint(createMelody(9, 4, RATE), RATE)).size, 0);
+  });
+
+  it('finds a quieter copy of a recording', () => {
+    const candidate = computeAudioFingerprint(clips[0].map(value => value * 0.5), RATE);
+    const results = index.search(candidate);
+    assert.deepEqual(Array.from(results.keys()), ['clip1']);
+    assert.ok(results.get('clip1').matches >= AUDIO.MIN_MATCHES);
+  });
+
+  it('forgets removed recordings', () => {
+    index.remove(fingerprints[1], 'clip2');
+    assert.equal(index.search(fingerprints[1]).size, 0);
+    assert.equal(index.getStats().size, 2);
+    assert.equal(index.search(fingerprints[0]).has('clip1'), true);
+  });
+
+  it('ignores fingerprints of other versions', () => {
+    assert.equal(index.add({ ...fingerprints[0], version: AUDIO.VERSION + 1 }, 'future'), false);
+    assert.equal(index.search({ ...fingerprints[0], version: AUDIO.VERSION + 1 }).size, 0);
+  });
+});
@@ -0,0 +1,314 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HASH_CONFIG, MATCH_POLICIES, MEDIA_TYPES } from '../../esm-src/constants.js';
+import { VideoBlocker } from '../../esm-src/core/blocker.js';
+import { computeAudioFingerprint } from '../../esm-src/utils/audio-fingerprint.js';
+import { HashUtils } from '../../esm-src/utils/hash.js';
+import { createLogger, createMelody, flipBits, randomHash } from '../helpers.js';
+
+const KEY = 'phash@1';
+
+/**
+ * Create a blocker holding the given entries, without storage or a queue
+ */
+function createBlocker(entries) {
+  const logger = createLogger();
+  const blocker = new VideoBlocker(logger, {}, new HashUtils(logger), {});
+  blocker.setBlockedEntries(entries);
+  return blocker;
+}
+
+/**
+ * Build a candidate fingerprint in the primary algorithm key
+ */
+function fingerprint(hash, frameHashes, extra = {}) {
+  return { hashes: { [KEY]: { hash, frameHashes } }, ...extra };
+}
+
+const frames = (count, seed = 1) => Array.from({ length: count }, (_, i) => randomHash(seed + i));
+
+describe('VideoBlocker.isHashBlocked', () => {
+  describe('temporal sequences', () => {
+    const entry = { hash: randomHash(1000), frameHashes: frames(10), frameInterval: 1, duration: 10 };
+
+    it('matches an aligned run frame by frame although the whole hash differs', () => {
+      const blocker = createBlocker([entry]);
+      const candidate = entry.frameHashes.map((hash, i) => flipBits(hash, [i, i + 30]));
+      const match = blocker.isHashBlocked(fingerprint(randomHash(2000), candidate, { frameInterval: 1 }));
+
+      assert.equal(match.entry, entry);
+      assert.equal(match.type, 'sequence');
+      assert.equal(match.score, 1);
+      assert.equal(match.offsetSeconds, 0);
+    });
+
+    it(`rejects runs with fewer than ${HASH_CONFIG.SEQUENCE_MATCH_RATIO * 100}% matching frames`, () => {
+      const blocker = createBlocker([entry]);
+      const candidate = entry.frameHashes.map((hash, i) => (i < 5 ? hash : randomHash(500 + i)));
+      assert.equal(blocker.isHashBlocked(fingerprint(randomHash(2000), candidate, { frameInterval: 1 })), null);
+    });
+
+    it('does not align frames sampled at a different interval', () => {
+      const blocker = createBlocker([entry]);
+      const burst = fingerprint(randomHash(2000), entry.frameHashes, { frameInterval: 0.12 });
+      assert.equal(blocker.isHashBlocked(burst), null);
+
+      // The whole hash still decides for such candidates
+      const match = blocker.isHashBlocked({ ...burst, hashes: { [KEY]: { hash: flipBits(entry.hash, [3]), frameHashes: entry.frameHashes } } });
+      assert.equal(match.type, 'hash');
+      assert.equal(match.distance, 1);
+    });
+  });
+
+  describe('clips inside longer videos', () => {
+    const entry = { hash: randomHash(1000), frameHashes: frames(5), frameInterval: 1, duration: 5 };
+
+    it('finds a blocked clip inside a compilation and reports its offset in seconds', () => {
+      const blocker = createBlocker([entry]);
+      const compilation = [...frames(7, 300), ...entry.frameHashes, ...frames(4, 400)];
+      const match = blocker.isHashBlocked(fingerprint(randomHash(2000), compilation, { frameInterval: 1, duration: 16 }));
+
+      assert.equal(match.type, 'clip');
+      assert.equal(match.offsetSeconds, 7);
+      assert.equal(match.score, 1);
+    });
+
+    it('locates a partial playback window inside a longer entry', () => {
+      const long = { hash: randomHash(1001), frameHashes: frames(12, 600), frameInterval: 1, duration: 12 };
+      const blocker = createBlocker([long]);
+      const window = fingerprint(null, long.frameHashes.slice(4, 8), { frameInterval: 1, partial: true, startTime: 20 });
+      const match = blocker.isHashBlocked(window);
+
+      assert.equal(match.entry, long);
+      assert.equal(match.type, 'clip');
+      assert.equal(match.offsetSeconds, 20);
+    });
+
+    it('skips compilations shorter than the clip', () => {
+      const blocker = createBlocker([{ ...entry, duration: 60 }]);
+      const compilation = [...frames(2, 300), ...entry.frameHashes];
+      assert.equal(blocker.isHashBlocked(fingerprint(randomHash(2000), compilation, { frameInterval: 1, duration: 7 })), null);
+    });
+  });
+
+  describe('color signatures', () => {
+    // Signatures of a red picture, the same picture with some orange or some
+    // blue, and a green picture of the same luminance
+    const RED = 'f000000000000000';
+    const RED_ORANGE = 'e500000000000000';
+    const RED_BLUE = 'd000000080000000';
+    const GREEN = '0000f00000000000';
+    const hash = randomHash(3000);
+    const candidate = fingerprint(hash, null, { colorSignature: RED });
+
+    it('rejects a recolored lookalike', () => {
+      const blocker = createBlocker([{ hash: flipBits(hash, [3]), colorSignature: GREEN }]);
+      assert.equal(blocker.isHashBlocked(candidate), null);
+    });
+
+    it('breaks ties between equally distant hashes by color', () => {
+      const orange = { hash: flipBits(hash, [3]), colorSignature: RED_ORANGE };
+      const blue = { hash: flipBits(hash, [9]), colorSignature: RED_BLUE };
+
+      for (const entries of [[orange, blue], [blue, orange]]) {
+        const match = createBlocker(entries).isHashBlocked(candidate);
+        assert.equal(match.entry, orange);
+        assert.equal(match.distance, 1);
+      }
+    });
+
+    it('prefers the closer hash over the closer color', () => {
+      const near = { hash: flipBits(hash, [3]), colorSignature: RED_BLUE };
+      const far = { hash: flipBits(hash, [3, 9]), colorSignature: RED };
+      assert.equal(createBlocker([far, near]).isHashBlocked(candidate).entry, near);
+    });
+  });
+
+  describe('sampling modes', () => {
+    const entry = {
+      hash: randomHash(4000), frameHashes: frames(10, 700), frameInterval: 1, duration: 10, sampling: 'keyframes'
+    };
+    const legacy = { hash: randomHash(4001), frameHashes: frames(3, 800), duration: 10 };
+    const sampled = (sampling, hash, frameHashes) => fingerprint(hash, frameHashes, { frameInterval: null, sampling });
+
+    it('compares whole-video hashes of entries sampled alike', () => {
+      const match = createBlocker([entry]).isHashBlocked(sampled('keyframes', flipBits(entry.hash, [4]), frames(3, 900)));
+      assert.equal(match.type, 'hash');
+      assert.equal(match.distance, 1);
+    });
+
+    it('does not compare whole-video hashes averaged from differently picked frames', () => {
+      const blocker = createBlocker([entry]);
+      assert.equal(blocker.isHashBlocked(sampled('passive', entry.hash, frames(3, 900))), null);
+      assert.equal(blocker.isHashBlocked(sampled('passive', flipBits(entry.hash, [4]), frames(3, 900))), null);
+    });
+
+    it('matches differently sampled entries on their single frames', () => {
+      const picked = [2, 5, 8].map(i => flipBits(entry.frameHashes[i], [i]));
+      const match = createBlocker([entry]).isHashBlocked(sampled('passive', randomHash(4100), picked));
+      assert.equal(match.entry, entry);
+      assert.equal(match.type, 'frames');
+      assert.equal(match.score, 1);
+      assert.equal(match.distance, 1);
+    });
+
+    it('rejects single frames that mostly miss', () => {
+      const picked = [flipBits(entry.frameHashes[2], [2]), ...frames(2, 950)];
+      assert.equal(createBlocker([entry]).isHashBlocked(sampled('passive', randomHash(4100), picked)), null);
+    });
+
+    it('treats entries without a sampling mode as a burst', () => {
+      const blocker = createBlocker([legacy]);
+      assert.equal(blocker.isHashBlocked(sampled('burst', flipBits(legacy.hash, [4]), frames(3, 900))).type, 'hash');
+      assert.equal(blocker.isHashBlocked(sampled('keyframes', flipBits(legacy.hash, [4]), frames(3, 900))), null);
+      assert.equal(blocker.isHashBlocked(fingerprint(flipBits(legacy.hash, [4]), null)).type, 'hash');
+    });
+  });
+
+  describe('negative examples', () => {
+    const shift = (hashes, bits) => hashes.map(hash => flipBits(hash, bits));
+
+    it('suppresses a hash match closer to a negative hash, but never an exact hit', () => {
+      const hash = randomHash(7000);
+      const candidate = flipBits(hash, [1, 2, 3]);
+      const entry = { hash, negatives: [{ key: KEY, hash: flipBits(candidate, [9]) }] };
+
+      assert.equal(createBlocker([entry]).isHashBlocked(fingerprint(candidate, null)), null);
+      assert.equal(createBlocker([entry]).isHashBlocked(fingerprint(hash, null)).type, 'exact');
+    });
+
+    it('compares sequence matches on the aligned frame run', () => {
+      const entry = { hash: randomHash(7001), frameHashes: frames(6, 710), frameInterval: 1, duration: 6 };
+      const run = shift(entry.frameHashes, [1, 2, 3]);
+      const candidate = fingerprint(randomHash(7002), [...frames(2, 720), ...run], { frameInterval: 1, duration: 8 });
+
+      const wholeHashOnly = { ...entry, negatives: [{ key: KEY, hash: randomHash(7002) }] };
+      assert.equal(createBlocker([wholeHashOnly]).isHashBlocked(candidate).type, 'clip');
+
+      const sameRun = { ...entry, negatives: [{ key: KEY, frameHashes: shift(run, [20]) }] };
+      assert.equal(createBlocker([sameRun]).isHashBlocked(candidate), null);
+
+      const otherRun = { ...entry, negatives: [{ key: KEY, frameHashes: frames(6, 730) }] };
+      assert.equal(createBlocker([otherRun]).isHashBlocked(candidate).type, 'clip');
+    });
+
+    it('compares region matches on the matched regions', () => {
+      const regionHashes = Object.fromEntries(['center', 'topLeft', 'topRight', 'bottomLeft'].map(
+        (name, i) => [name, randomHash(7100 + i)]
+      ));
+      const candidateRegions = Object.fromEntries(
+        Object.entries(regionHashes).map(([name, hash]) => [name, flipBits(hash, [1, 2, 3])])
+      );
+      const entry = { hash: randomHash(7003), regionHashes };
+      const candidate = { hashes: { [KEY]: { hash: randomHash(7004), frameHashes: null, regions: candidateRegions } } };
+
+      assert.equal(createBlocker([entry]).isHashBlocked(candidate).type, 'region');
+
+      const sameRegions = { ...entry, negatives: [{ key: KEY, regionHashes: candidateRegions }] };
+      assert.equal(createBlocker([sameRegions]).isHashBlocked(candidate), null);
+
+      const otherKey = { ...entry, negatives: [{ key: 'dhash@1', regionHashes: candidateRegions }] };
+      assert.equal(createBlocker([otherKey]).isHashBlocked(candidate).type, 'region');
+    });
+    it('stores the signal behind the match with the example', async () => {
+      const entry = { hash: randomHash(7005), frameHashes: frames(4, 740), frameInterval: 1, duration: 4 };
+      const blocker = createBlocker([entry]);
+      const stored = [];
+      blocker.storageManager = {
+        addNegativeExample: async (hash, example) => {
+          stored.push(example);
+          return { ...entry, negatives: [example] };
+        }
+      };
+      const run = shift(entry.frameHashes, [5]);
+      const candidate = fingerprint(randomHash(7006), run, { frameInterval: 1, duration: 4 });
+      const match = blocker.isHashBlocked(candidate);
+
+      assert.equal(await blocker.addNegativeExample(match, null, candidate, { getMediaId: () => null }), true);
+      assert.deepEqual(stored, [{ key: KEY, hash: candidate.hashes[KEY].hash, frameHashes: run }]);
+      assert.equal(blocker.isHashBlocked(candidate), null);
+    });
+  });
+});
+
+describe('VideoBlocker.hasAudioEntries', () => {
+  const audio = computeAudioFingerprint(createMelody(1, 4, 16000), 16000);
+  const entry = (matchPolicy, duration) => ({ hash: randomHash(matchPolicy.length + duration), audio, matchPolicy, duration });
+
+  it('ignores audio of visual-only entries', () => {
+    assert.equal(createBlocker([entry(MATCH_POLICIES.VISUAL, 30)]).hasAudioEntries(), false);
+    assert.equal(createBlocker([{ hash: randomHash(1), duration: 30 }]).hasAudioEntries(), false);
+  });
+
+  it('only counts entries whose duration is plausible for the candidate', () => {
+    const blocker = createBlocker([entry(MATCH_POLICIES.AUDIO, 30), entry(MATCH_POLICIES.VISUAL, 5)]);
+    assert.equal(blocker.hasAudioEntries(), true);
+    assert.equal(blocker.hasAudioEntries({ duration: 30.5 }), true);
+    assert.equal(blocker.hasAudioEntries({ duration: 5 }), false);
+    assert.equal(blocker.hasAudioEntries({ duration: null }), true);
+  });
+});
+
+describe('VideoBlocker.handleStorageEvent', () => {
+  const stored = [1, 2, 3].map(i => ({
+    hash: randomHash(5000 + i), frameHashes: frames(4, 50 * i), added: 1000 + i, version: '2.0'
+  }));
+
+  /**
+   * Create a blocker from stored entries that counts re-indexed entries
+   */
+  function createSyncedBlocker() {
+    const blocker = createBlocker(structuredClone(stored));
+    blocker.reindexed = [];
+    const addEntryToCache = blocker.addEntryToCache.bind(blocker);
+    blocker.addEntryToCache = (entry) => {
+      blocker.reindexed.push(entry.hash);
+      addEntryToCache(entry);
+    };
+    return blocker;
+  }
+
+  it('leaves unchanged entries indexed as they are', () => {
+    const blocker = createSyncedBlocker();
+    blocker.handleStorageEvent('externalUpdate', { entries: structuredClone(stored) });
+    assert.deepEqual(blocker.reindexed, []);
+  });
+
+  it('re-indexes only edited, new and removed entries', () => {
+    const blocker = createSyncedBlocker();
+    const added = { hash: randomHash(5010), added: 2000, version: '2.0' };
+    const edited = { ...stored[1], matchPolicy: MATCH_POLICIES.AUDIO, updated: 3000 };
+    blocker.handleStorageEvent('externalUpdate', { entries: [stored[0], edited, added] });
+
+    assert.deepEqual(blocker.reindexed, [edited.hash, added.hash]);
+    assert.equal(blocker.blockedHashes.get(edited.hash).matchPolicy, MATCH_POLICIES.AUDIO);
+    assert.equal(blocker.blockedHashes.has(stored[2].hash), false);
+    assert.equal(blocker.isHashBlocked(fingerprint(stored[2].hash, null)), null);
+  });
+});
+
+describe('VideoBlocker.hasImageEntries', () => {
+  const photo = { hash: randomHash(6000), mediaType: MEDIA_TYPES.IMAGE };
+  const video = { hash: randomHash(6001) };
+
+  it('counts photo entries as they are cached and removed', () => {
+    const blocker = createBlocker([video]);
+    assert.equal(blocker.hasImageEntries(), false);
+
+    blocker.addEntryToCache(photo);
+    blocker.addEntryToCache({ ...photo });
+    assert.equal(blocker.hasImageEntries(), true);
+
+    blocker.removeEntryFromCache(photo.hash);
+    blocker.removeEntryFromCache(photo.hash);
+    assert.equal(blocker.hasImageEntries(), false);
+  });
+
+  it('recounts when all entries are replaced', () => {
+    const blocker = createBlocker([photo, video]);
+    assert.equal(blocker.hasImageEntries(), true);
+    blocker.setBlockedEntries([video]);
+    assert.equal(blocker.hasImageEntries(), false);
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HashIndex } from '../../esm-src/core/hash-index.js';
+import { HashUtils } from '../../esm-src/utils/hash.js';
+import { createLogger, flipBits } from '../helpers.js';
+
+const KEY = 'phash@1';
+const BASE = '9c3a5e71d2b4f086';
+
+describe('HashIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    const logger = createLogger();
+    index = new HashIndex(logger, new HashUtils(logger));
+  });
+
+  it('finds values within the distance, nearest first', () => {
+    index.build([
+      { hash: flipBits(BASE, [0, 1, 2]), key: KEY, value: 'three' },
+      { hash: BASE, key: KEY, value: 'same' },
+      { hash: flipBits(BASE, [5]), key: KEY, value: 'one' },
+      { hash: flipBits(BASE, Array.from({ length: 20 }, (_, i) => i * 3)), key: KEY, value: 'far' }
+    ]);
+
+    assert.deepEqual(index.search(BASE, KEY, 3), [
+      { value: 'same', distance: 0 },
+      { value: 'one', distance: 1 },
+      { value: 'three', distance: 3 }
+    ]);
+    assert.deepEqual(index.findNearest(flipBits(BASE, [5]), KEY, 0), { value: 'one', distance: 0 });
+  });
+
+  it('agrees with a linear scan', () => {
+    const hashUtils = new HashUtils(createLogger());
+    const items = Array.from({ length: 200 }, (_, i) => ({
+      hash: flipBits(BASE, Array.from({ length: i % 17 }, (_, j) => (i * 7 + j * 11) % 63)),
+      key: KEY,
+      value: i
+    }));
+    index.build(items);
+
+    const query = flipBits(BASE, [2, 40]);
+    const expected = items
+      .filter(item => hashUtils.hammingDistance(query, item.hash) <= 6)
+      .map(item => item.value)
+      .sort((a, b) => a - b);
+    const found = index.search(query, KEY, 6).map(result => result.value).sort((a, b) => a - b);
+    assert.deepEqual(found, expected);
+  });
+
+  it('keeps algorithm keys apart', () => {
+    index.add(BASE, KEY, 'phash');
+    index.add(BASE, 'dhash@1', 'dhash');
+    assert.deepEqual(index.search(BASE, KEY, 0).map(result => result.value), ['phash']);
+    assert.deepEqual(index.search(BASE, 'ahash@1', 64), []);
+  });
+
+  it('skips hashes of another size and unrecognized hashes', () => {
+    index.add(BASE, KEY, 'standard');
+    assert.equal(index.add(BASE.repeat(4), KEY, 'strict'), false);
+    assert.equal(index.add('not a hash', KEY, 'invalid'), false);
+    assert.equal(index.size, 1);
+  });
+
+  it('shares a node between identical hashes and removes selected values', () => {
+    index.add(BASE, KEY, { id: 1 });
+    index.add(BASE, KEY, { id: 2 });
+    assert.equal(index.size, 2);
+
+    assert.equal(index.remove(BASE, KEY, value => value.id === 1), 1);
+    assert.deepEqual(index.search(BASE, KEY, 0).map(result => result.value.id), [2]);
+    assert.equal(index.remove(flipBits(BASE, [3]), KEY), 0);
+  });
+
+  it('compacts once emptied nodes outnumber live values', () => {
+    const hashes = [BASE, flipBits(BASE, [1]), flipBits(BASE, [2]), flipBits(BASE, [3])];
+    hashes.forEach((hash, i) => index.add(hash, KEY, i));
+
+    index.remove(hashes[0], KEY);
+    index.remove(hashes[1], KEY);
+    assert.equal(index.getStats().staleNodes, 2);
+
+    index.remove(hashes[2], KEY);
+    assert.deepEqual(index.getStats(), { size: 1, staleNodes: 0, algorithms: [KEY] });
+    assert.deepEqual(index.search(BASE, KEY, 4), [{ value: 3, distance: 1 }]);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Shared test helpers
+ */
+
+/**
+ * Logger stand-in with the createCategoryLogger interface of utils/logger.js
+ * @returns {Object}
+ */
+export function createLogger() {
+  const noop = () => {};
+  return {
+    createCategoryLogger: () => ({ debug: noop, info: noop, warn: noop, error: noop })
+  };
+}
+
+/**
+ * Build a smooth grayscale gradient matrix
+ * @param {number} size - Matrix width and height
+ * @param {Function} shade - (x, y, size) -> 0-255
+ * @returns {Array<Array<number>>}
+ */
+export function createMatrix(size, shade = (x, y) => (x * 7 + y * 3) % 256) {
+  return Array.from({ length: size }, (_, y) =>
+    Array.from({ length: size }, (_, x) => shade(x, y, size))
+  );
+}
+
+/**
+ * Flip the given bits of a hex hash
+ * @param {string} hex - Hex hash
+ * @param {number[]} positions - Bit positions to flip (MSB first)
+ * @returns {string}
+ */
+export function flipBits(hex, positions) {
+  const digits = hex.split('').map(char => parseInt(char, 16));
+  for (const position of positions) {
+    digits[Math.floor(position / 4)] ^= 8 >> (position % 4);
+  }
+  return digits.map(digit => digit.toString(16)).join('');
+}
+
+/**
+ * Deterministic pseudo-random hex hash
+ * @param {number} seed - Seed; equal seeds give equal hashes
+ * @param {number} length - Hex digits (16 for standard 63/64-bit hashes)
+ * @returns {string}
+ */
+export function randomHash(seed, length = 16) {
+  let state = (seed * 2654435761) >>> 0 || 1;
+  let hex = '';
+  while (hex.length < length) {
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    state >>>= 0;
+    hex += (state & 0xf).toString(16);
+  }
+  return hex;
+}
+
+/**
+ * Build an ImageData-like RGBA image
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Function} pixel - (x, y) -> [r, g, b], or a gray level
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+export function createImageData(width, height, pixel) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = pixel(x, y);
+      const [r, g, b] = Array.isArray(value) ? value : [value, value, value];
+      data.set([r, g, b, 255], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+/**
+ * Synthesize a mono clip of tones that change every 200 ms
+ * Each note has a few partials spread over several octaves, like music.
+ * @param {number} seed - Melody seed; equal seeds give equal clips
+ * @param {number} seconds - Clip length
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Float32Array} - PCM samples in [-1, 1]
+ */
+export function createMelody(seed, seconds, sampleRate = 16000) {
+  const samples = new Float32Array(Math.round(seconds * sampleRate));
+  const noteLength = Math.round(sampleRate * 0.2);
+  const random = createRandom(seed);
+
+  for (let start = 0; start < samples.length; start += noteLength) {
+    const base = 300 + random() * 500;
+    const partials = [base, base * 2.5 + random() * 200, base * 5 + random() * 600];
+    for (let i = start; i < Math.min(start + noteLength, samples.length); i++) {
+      const t = i / sampleRate;
+      samples[i] = partials.reduce((sum, frequency, k) => sum + Math.sin(2 * Math.PI * frequency * t) / (k + 2), 0);
+    }
+  }
+  return samples;
+}
+
+/**
+ * Add deterministic white noise to a clip
+ * @param {Float32Array} samples - Clip
+ * @param {number} level - Noise amplitude
+ * @param {number} seed - Noise seed
+ * @returns {Float32Array} - Noisy copy
+ */
+export function addNoise(samples, level, seed = 1) {
+  const random = createRandom(seed);
+  return samples.map(value => value + (random() * 2 - 1) * level);
+}
+
+/**
+ * Seeded pseudo-random number generator (0 <= n < 1)
+ * @private
+ */
+function createRandom(seed) {
+  let state = seed >>> 0 || 1;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
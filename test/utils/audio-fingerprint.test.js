@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AUDIO } from '../../esm-src/constants.js';
+import {
+  compareAudioFingerprints,
+  computeAudioFingerprint,
+  fft,
+  parseLandmarks
+} from '../../esm-src/utils/audio-fingerprint.js';
+import { addNoise, createMelody } from '../helpers.js';
+
+const RATE = 16000;
+
+describe('audio-fingerprint', () => {
+  describe('fft', () => {
+    it('puts a pure cosine into its frequency bin', () => {
+      const n = 64;
+      const re = Float64Array.from({ length: n }, (_, i) => Math.cos((2 * Math.PI * 5 * i) / n));
+      const im = new Float64Array(n);
+      fft(re, im);
+
+      const magnitudes = Array.from(re, (value, i) => Math.hypot(value, im[i]));
+      assert.ok(Math.abs(magnitudes[5] - n / 2) < 1e-9);
+      assert.ok(Math.abs(magnitudes[n - 5] - n / 2) < 1e-9);
+      assert.ok(magnitudes[4] < 1e-9);
+    });
+  });
+
+  describe('computeAudioFingerprint', () => {
+    it('packs landmarks that parse back', () => {
+      const fingerprint = computeAudioFingerprint(createMelody(1, 4, RATE), RATE);
+      assert.equal(fingerprint.version, AUDIO.VERSION);
+      assert.equal(fingerprint.duration, 4);
+      assert.equal(parseLandmarks(fingerprint).length, fingerprint.count);
+      assert.ok(fingerprint.count >= AUDIO.MIN_MATCHES);
+    });
+
+    it('returns null for silence and empty input', () => {
+      assert.equal(computeAudioFingerprint(new Float32Array(RATE * 4), RATE), null);
+      assert.equal(computeAudioFingerprint(new Float32Array(0), RATE), null);
+      assert.equal(computeAudioFingerprint(createMelody(1, 4, RATE), 0), null);
+    });
+  });
+
+  describe('compareAudioFingerprints', () => {
+    const clip = createMelody(1, 4, RATE);
+    const blocked = computeAudioFingerprint(clip, RATE);
+    const compare = (samples, sampleRate = RATE) =>
+      compareAudioFingerprints(blocked, computeAudioFingerprint(samples, sampleRate));
+
+    it('matches the same recording', () => {
+      const result = compare(clip);
+      assert.equal(result.matched, true);
+      assert.equal(result.score, 1);
+      assert.equal(result.offsetSeconds, 0);
+    });
+
+    it('matches a quieter copy', () => {
+      assert.equal(compare(clip.map(value => value * 0.3)).matched, true);
+    });
+
+    it('matches a noisy copy', () => {
+      assert.equal(compare(addNoise(clip, 0.3)).matched, true);
+    });
+
+    it('matches a copy starting later in the recording and reports where', () => {
+      const result = compare(clip.slice(Math.round(RATE * 1.3)));
+      assert.equal(result.matched, true);
+      assert.ok(Math.abs(result.offsetSeconds - 1.3) <= AUDIO.HOP_SECONDS, `offset ${result.offsetSeconds}`);
+    });
+
+    it('matches a copy resampled at another rate', () => {
+      const result = compareAudioFingerprints(
+        computeAudioFingerprint(createMelody(1, 4, 48000), 48000),
+        computeAudioFingerprint(createMelody(1, 4, 44100), 44100)
+      );
+      assert.equal(result.matched, true);
+    });
+
+    it('does not match different recordings', () => {
+      for (const seed of [2, 3, 4]) {
+        const result = compare(createMelody(seed, 4, RATE));
+        assert.equal(result.matched, false, `seed ${seed}`);
+        assert.ok(result.score < AUDIO.MATCH_RATIO);
+      }
+      assert.equal(compare(addNoise(createMelody(7, 4, RATE), 0.3, 4)).matched, false);
+    });
+
+    it('does not compare fingerprints of different versions', () => {
+      assert.equal(compareAudioFingerprints(blocked, { ...blocked, version: AUDIO.VERSION + 1 }), null);
+      assert.equal(compareAudioFingerprints(blocked, null), null);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+import { blockActions } from '../../esm-src/utils/block-actions.js';
+import { BLOCK_ACTIONS, MEDIA_TYPES } from '../../esm-src/constants.js';
+
+const TWEET = `
+  <article data-testid="tweet" style="opacity: 0.9">
+    <div class="text">Tweet text</div>
+    <div class="media" style="display: flex">
+      <div data-testid="videoComponent" style="filter: grayscale(1)"><video></video></div>
+    </div>
+  </article>`;
+
+const GLOBALS = ['document', 'HTMLVideoElement', 'getComputedStyle'];
+
+/**
+ * Give a jsdom video a paused state, since jsdom doesn't implement playback
+ * @param {HTMLVideoElement} video - Video element
+ * @param {boolean} paused - Initial state
+ */
+function stubPlayback(video, paused) {
+  Object.defineProperty(video, 'paused', { value: paused, writable: true });
+  video.pause = () => {
+    video.paused = true;
+  };
+  video.play = () => {
+    video.paused = false;
+    video.dispatchEvent(new video.ownerDocument.defaultView.Event('play'));
+  };
+}
+
+/**
+ * Render a tweet with a playing video
+ * @returns {Object} - {article, media}
+ */
+function createTweet() {
+  document.body.innerHTML = TWEET;
+  const media = document.querySelector('video');
+  stubPlayback(media, false);
+  return { article: document.querySelector('article'), media };
+}
+
+/**
+ * Snapshot the elements on the page and their inline styles
+ * @returns {string[]}
+ */
+function snapshot() {
+  return Array.from(document.body.querySelectorAll('*'), el => `${el.tagName}.${el.className} {${el.style.cssText}}`);
+}
+
+describe('block actions', () => {
+  let saved;
+
+  before(() => {
+    const { window } = new JSDOM('<!DOCTYPE html><body></body>');
+    saved = GLOBALS.map(name => [name, Object.getOwnPropertyDescriptor(globalThis, name)]);
+    for (const name of GLOBALS) {
+      globalThis[name] = name === 'getComputedStyle' ? window.getComputedStyle.bind(window) : window[name];
+    }
+  });
+
+  after(() => {
+    for (const [name, descriptor] of saved) {
+      if (descriptor) Object.defineProperty(globalThis, name, descriptor);
+      else delete globalThis[name];
+    }
+  });
+
+  it('hide fades the tweet out, shows the card and restores both', async () => {
+    const { article, media } = createTweet();
+    const before = snapshot();
+    const card = document.createElement('div');
+    card.className = 'vb-card';
+
+    const restore = await blockActions.get(BLOCK_ACTIONS.HIDE).apply({ article, media, card });
+    assert.equal(article.style.display, 'none');
+    assert.equal(article.style.opacity, '0');
+    assert.equal(article.previousElementSibling, card);
+    assert.ok(media.paused);
+
+    restore();
+    assert.deepEqual(snapshot(), before);
+    assert.equal(document.querySelector('.vb-card'), null);
+  });
+
+  it('collapse hides the children behind a notice that reveals the tweet', () => {
+    const { article, media } = createTweet();
+    const before = snapshot();
+    let revealed = 0;
+
+    const restore = blockActions.get(BLOCK_ACTIONS.COLLAPSE).apply({ article, media, reveal: () => revealed++ });
+    const notice = article.querySelector('.vb-collapsed');
+    assert.ok(notice);
+    for (const child of article.children) {
+      if (child !== notice) assert.equal(child.style.display, 'none');
+    }
+    assert.ok(media.paused);
+    notice.click();
+    assert.equal(revealed, 1);
+
+    restore();
+    assert.deepEqual(snapshot(), before);
+    assert.equal(article.querySelector('.vb-collapsed'), null);
+  });
+
+  it('blur covers the media and restores its filter and the parent position', () => {
+    const { article, media } = createTweet();
+    const before = snapshot();
+    const container = media.parentElement;
+    const parent = container.parentElement;
+    let revealed = 0;
+
+    const restore = blockActions.get(BLOCK_ACTIONS.BLUR).apply({ article, media, reveal: () => revealed++ });
+    assert.match(container.style.filter, /^blur\(/);
+    assert.equal(parent.style.position, 'relative');
+    const overlay = parent.querySelector('.vb-blur-overlay');
+    assert.ok(overlay);
+    overlay.click();
+    assert.equal(revealed, 1);
+
+    restore();
+    assert.deepEqual(snapshot(), before);
+    assert.equal(container.style.filter, 'grayscale(1)');
+    assert.equal(parent.style.position, '');
+  });
+
+  it('blur leaves an already positioned parent alone', () => {
+    const { article, media } = createTweet();
+    const parent = media.parentElement.parentElement;
+    parent.style.position = 'absolute';
+
+    const restore = blockActions.get(BLOCK_ACTIONS.BLUR).apply({ article, media, reveal: () => {} });
+    assert.equal(parent.style.position, 'absolute');
+    restore();
+    assert.equal(parent.style.position, 'absolute');
+  });
+
+  it('mute keeps the video muted until restored, then puts the volume state back', () => {
+    for (const wasMuted of [false, true]) {
+      const { article, media } = createTweet();
+      media.muted = wasMuted;
+
+      const restore = blockActions.get(BLOCK_ACTIONS.MUTE).apply({ article, media });
+      assert.equal(media.muted, true);
+      media.muted = false;
+      media.dispatchEvent(new document.defaultView.Event('volumechange'));
+      assert.equal(media.muted, true);
+
+      restore();
+      assert.equal(media.muted, wasMuted);
+      media.muted = false;
+      media.dispatchEvent(new document.defaultView.Event('volumechange'));
+      assert.equal(media.muted, false);
+      assert.equal(media.paused, false);
+    }
+  });
+
+  it('pause stops autoplay but lets the viewer start the video, and stops watching once restored', () => {
+    const { article, media } = createTweet();
+    const before = snapshot();
+
+    const restore = blockActions.get(BLOCK_ACTIONS.PAUSE).apply({ article, media });
+    assert.ok(media.paused);
+    media.play();
+    assert.ok(media.paused);
+
+    media.parentElement.dispatchEvent(new document.defaultView.Event('pointerdown'));
+    media.play();
+    assert.equal(media.paused, false);
+
+    restore();
+    assert.deepEqual(snapshot(), before);
+
+    // Without the listeners, autoplay is no longer interrupted
+    const { article: other, media: video } = createTweet();
+    blockActions.get(BLOCK_ACTIONS.PAUSE).apply({ article: other, media: video })();
+    video.play();
+    assert.equal(video.paused, false);
+  });
+
+  it('video-only actions fall back to blur for photos', () => {
+    assert.equal(blockActions.resolve(BLOCK_ACTIONS.MUTE, MEDIA_TYPES.IMAGE).id, BLOCK_ACTIONS.BLUR);
+    assert.equal(blockActions.resolve(BLOCK_ACTIONS.PAUSE, MEDIA_TYPES.IMAGE).id, BLOCK_ACTIONS.BLUR);
+    assert.equal(blockActions.resolve('unknown', MEDIA_TYPES.VIDEO).id, BLOCK_ACTIONS.HIDE);
+  });
+});
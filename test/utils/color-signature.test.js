@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  addToColorHistogram,
+  colorSignatureDistance,
+  createColorHistogram,
+  encodeColorSignature
+} from '../../esm-src/utils/color-signature.js';
+import { createImageData } from '../helpers.js';
+
+/**
+ * Color signature of a 16x16 picture
+ */
+function signature(pixel) {
+  const histogram = createColorHistogram();
+  addToColorHistogram(histogram, createImageData(16, 16, pixel));
+  return encodeColorSignature(histogram);
+}
+
+// Pure red, pure green and gray at the same luma (0.299 R + 0.587 G + 0.114 B ≈ 76)
+const RED = () => [255, 0, 0];
+const GREEN = () => [0, 130, 0];
+const GRAY = () => 76;
+
+describe('color-signature', () => {
+  it('encodes one hex digit per bin', () => {
+    assert.match(signature(RED), /^[0-9a-f]{16}$/);
+    assert.equal(encodeColorSignature(createColorHistogram()), null);
+  });
+
+  it('tells apart pictures of the same luminance in different colors', () => {
+    const red = signature(RED);
+    const green = signature(GREEN);
+    const gray = signature(GRAY);
+
+    assert.notEqual(red, green);
+    assert.equal(colorSignatureDistance(red, green), 1);
+    assert.equal(colorSignatureDistance(red, gray), 1);
+    assert.equal(colorSignatureDistance(green, gray), 1);
+  });
+
+  it('ranks partial overlaps between identical and disjoint colors', () => {
+    const red = signature(RED);
+    const redOrange = signature(x => (x < 14 ? [255, 0, 0] : [255, 128, 0]));
+    const redBlue = signature(x => (x < 12 ? [255, 0, 0] : [0, 0, 255]));
+
+    assert.equal(colorSignatureDistance(red, red), 0);
+    const near = colorSignatureDistance(red, redOrange);
+    const far = colorSignatureDistance(red, redBlue);
+    assert.ok(near > 0 && near < far && far < 1, `${near} < ${far}`);
+  });
+
+  it('returns NaN for missing or malformed signatures', () => {
+    assert.ok(Number.isNaN(colorSignatureDistance(signature(RED), undefined)));
+    assert.ok(Number.isNaN(colorSignatureDistance(signature(RED), 'f00')));
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { VIDEO_PROCESSING } from '../../esm-src/constants.js';
+import {
+  findActiveRegion,
+  luminanceHistogram,
+  normalizeMatrix,
+  probeDifference,
+  selectKeyframes
+} from '../../esm-src/utils/frame-processing.js';
+import { HashUtils } from '../../esm-src/utils/hash.js';
+import { createImageData, createLogger } from '../helpers.js';
+
+const SIZE = 64;
+
+// Detailed picture content
+const picture = (x, y) => 128 + 80 * Math.sin(x * 0.9) * Math.cos(y * 0.7);
+
+describe('frame-processing', () => {
+  describe('findActiveRegion', () => {
+    const options = {
+      uniformStddev: VIDEO_PROCESSING.BORDER_UNIFORM_STDDEV,
+      activityRatio: VIDEO_PROCESSING.BORDER_ACTIVITY_RATIO,
+      minCrop: VIDEO_PROCESSING.BORDER_MIN_CROP,
+      minActive: VIDEO_PROCESSING.BORDER_MIN_ACTIVE
+    };
+    const region = (pixel) => findActiveRegion(createImageData(SIZE, SIZE, pixel), options);
+
+    it('keeps the full frame of a picture without bars', () => {
+      assert.deepEqual(region(picture), { x: 0, y: 0, width: 1, height: 1 });
+    });
+
+    it('crops a letterbox', () => {
+      const result = region((x, y) => (y < 12 || y >= SIZE - 12 ? 0 : picture(x, y)));
+      assert.equal(result.x, 0);
+      assert.equal(result.y, 12 / SIZE);
+      assert.equal(result.height, 1 - 24 / SIZE);
+    });
+
+    it('crops a pillarbox', () => {
+      const result = region((x, y) => (x < 16 || x >= SIZE - 16 ? 16 : picture(x, y)));
+      assert.equal(result.x, 16 / SIZE);
+      assert.equal(result.y, 0);
+      assert.equal(result.width, 0.5);
+    });
+
+    it('crops blurred fill beside the picture', () => {
+      // Smooth gradients carry brightness variation but hardly any detail
+      // (the fill's last column differs sharply from the picture next to it)
+      const result = region((x, y) => (x < 16 || x >= SIZE - 16 ? 60 + y + x / 4 : picture(x, y)));
+      assert.ok(Math.abs(result.x - 16 / SIZE) <= 1 / SIZE, `x = ${result.x}`);
+    });
+
+    it('crops by the thinner side, so a dark edge of the picture stays', () => {
+      const result = region((x, y) => (x < 10 ? 0 : picture(x, y)));
+      assert.equal(result.x, 0);
+    });
+
+    it('never crops the picture below the minimum active share', () => {
+      const result = region((x, y) => (x < 26 || x >= SIZE - 26 ? 0 : picture(x, y)));
+      assert.equal(result.x, 0);
+    });
+
+    it('does not judge an all-dark frame', () => {
+      assert.equal(region(() => 0), null);
+      assert.equal(region((x, y) => (x + y) % 2), null);
+    });
+  });
+
+  describe('normalizeMatrix', () => {
+    const options = {
+      percentile: VIDEO_PROCESSING.NORMALIZE_PERCENTILE,
+      minRange: VIDEO_PROCESSING.NORMALIZE_MIN_RANGE,
+      targetRange: VIDEO_PROCESSING.NORMALIZE_TARGET_RANGE
+    };
+    const hashUtils = new HashUtils(createLogger());
+    const matrix = (shade) => Array.from({ length: 32 }, (_, y) => Array.from({ length: 32 }, (_, x) => shade(x, y)));
+    const isTrivial = (m) => {
+      const normalized = normalizeMatrix(m, options);
+      return hashUtils.isTrivialHash(hashUtils.computeHashFromMatrix(normalized, 'phash'), 'phash',
+        luminanceHistogram([normalized]));
+    };
+
+    // A night scene: a diagonal gradient between gray levels 10 and 34
+    const dark = (x, y) => 10 + Math.round(((x + y) / 62) * 24);
+
+    it('leaves frames with enough contrast unchanged', () => {
+      const bright = matrix((x, y) => Math.round(((x + y) / 62) * 255));
+      assert.equal(normalizeMatrix(bright, options), bright);
+    });
+
+    it('stretches a dark gradient over the full range', () => {
+      const values = normalizeMatrix(matrix(dark), options).flat();
+      assert.equal(Math.min(...values), 0);
+      assert.equal(Math.max(...values), 255);
+    });
+
+    it('gives a dark gradient a non-trivial hash', () => {
+      assert.equal(isTrivial(matrix(dark)), false);
+    });
+
+    it('flattens a frame with only noise, which is still rejected', () => {
+      const noisy = matrix((x, y) => 40 + ((x * 7 + y * 3) % 5));
+      const flattened = normalizeMatrix(noisy, options);
+      assert.equal(new Set(flattened.flat()).size, 1);
+      assert.equal(isTrivial(noisy), true);
+      assert.equal(isTrivial(matrix(() => 0)), true);
+    });
+  });
+
+  describe('selectKeyframes', () => {
+    const options = {
+      threshold: VIDEO_PROCESSING.SCENE_CHANGE_THRESHOLD,
+      minStddev: VIDEO_PROCESSING.SCENE_MIN_STDDEV
+    };
+    const PROBE = VIDEO_PROCESSING.SCENE_PROBE_SIZE ** 2;
+
+    // Probe of a scene, dimmed by `scale` (0 is black)
+    const scene = (seed, scale = 1) =>
+      Float32Array.from({ length: PROBE }, (_, i) => scale * (128 + 60 * Math.sin(i * (0.3 + seed * 0.7) + seed)));
+    const probes = (scenes) => scenes.map((gray, time) => ({ time, gray }));
+
+    it('measures probe differences from 0 to 1', () => {
+      assert.equal(probeDifference(scene(1), scene(1)), 0);
+      assert.equal(probeDifference(new Float32Array(4), new Float32Array(4).fill(255)), 1);
+    });
+
+    it('spreads keyframes over a single shot', () => {
+      const result = selectKeyframes(probes(Array.from({ length: 16 }, () => scene(1))), 3, options);
+      assert.deepEqual(result.boundaries, []);
+      assert.deepEqual(result.times, [1, 5, 11]);
+      assert.equal(result.primary, 11);
+    });
+
+    it('takes the middle of each shot between cuts', () => {
+      const shots = [...Array(6).fill(scene(1)), ...Array(4).fill(scene(2)), ...Array(6).fill(scene(3))];
+      const result = selectKeyframes(probes(shots), 3, options);
+      assert.deepEqual(result.boundaries, [6, 10]);
+      assert.deepEqual(result.times, [2, 7, 12]);
+      assert.equal(result.primary, 2);
+    });
+
+    it('keeps a gradual fade in one shot and never picks the black end', () => {
+      const fade = Array.from({ length: 16 }, (_, i) => scene(1, i < 8 ? 1 : 1 - (i - 7) / 8));
+      const result = selectKeyframes(probes(fade), 3, options);
+      assert.deepEqual(result.boundaries, []);
+      assert.equal(result.times.length, 3);
+      for (const time of result.times) {
+        assert.ok(time < 15, `picked ${time}`);
+      }
+    });
+
+    it('picks nothing from a black video', () => {
+      const result = selectKeyframes(probes(Array.from({ length: 8 }, () => scene(1, 0))), 3, options);
+      assert.deepEqual(result, { times: [], primary: null, boundaries: [] });
+    });
+  });
+});
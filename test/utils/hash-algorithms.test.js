@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HASH_GEOMETRIES } from '../../esm-src/constants.js';
+import {
+  HashAlgorithmRegistry,
+  dct2D,
+  getHashGeometry,
+  haar2D,
+  hashAlgorithms,
+  resizeMatrix
+} from '../../esm-src/utils/hash-algorithms.js';
+import { createMatrix } from '../helpers.js';
+
+describe('hash-algorithms', () => {
+  describe('dct2D', () => {
+    it('puts all energy of a flat matrix in the DC term', () => {
+      const result = dct2D(createMatrix(8, () => 10));
+      assert.ok(Math.abs(result[0][0] - 80) < 1e-9);
+      assert.ok(Math.abs(result[0][1]) < 1e-9);
+      assert.ok(Math.abs(result[3][5]) < 1e-9);
+    });
+
+    it('leaves coefficients beyond the limit at 0', () => {
+      const result = dct2D(createMatrix(8), 2);
+      assert.equal(result[2][0], 0);
+      assert.equal(result[7][7], 0);
+    });
+  });
+
+  describe('haar2D', () => {
+    it('puts the mean in the top-left corner', () => {
+      const result = haar2D([[1, 3], [5, 7]]);
+      assert.equal(result[0][0], 4);
+    });
+  });
+
+  describe('resizeMatrix', () => {
+    it('averages the covered source cells', () => {
+      assert.deepEqual(resizeMatrix([[1, 3], [5, 7]], 1, 1), [[4]]);
+      assert.deepEqual(resizeMatrix(createMatrix(4, () => 2), 2, 2), [[2, 2], [2, 2]]);
+    });
+  });
+
+  describe('getHashGeometry', () => {
+    it('falls back to the standard geometry', () => {
+      assert.equal(getHashGeometry('strict'), HASH_GEOMETRIES.strict);
+      assert.equal(getHashGeometry(undefined), HASH_GEOMETRIES.standard);
+      assert.equal(getHashGeometry('unknown'), HASH_GEOMETRIES.standard);
+    });
+  });
+
+  describe('built-in algorithms', () => {
+    for (const id of ['phash', 'dhash', 'ahash', 'whash']) {
+      it(`${id} produces bits() '0'/'1' characters in every geometry`, () => {
+        const algorithm = hashAlgorithms.get(id);
+        for (const geometry of Object.values(HASH_GEOMETRIES)) {
+          const bits = algorithm.compute(createMatrix(geometry.canvasSize), geometry);
+          assert.match(bits, /^[01]+$/);
+          assert.equal(bits.length, algorithm.bits(geometry));
+        }
+      });
+    }
+
+    it('give different hashes for different pictures', () => {
+      const waves = createMatrix(32, (x, y) => 128 + 100 * Math.sin(x / 3) * Math.cos(y / 5));
+      const ripples = createMatrix(32, (x, y) => 128 + 100 * Math.sin(y / 2 + x / 7));
+      for (const algorithm of hashAlgorithms.list()) {
+        assert.notEqual(algorithm.compute(waves), algorithm.compute(ripples), algorithm.id);
+      }
+    });
+  });
+
+  describe('HashAlgorithmRegistry', () => {
+    it('rejects incomplete definitions', () => {
+      const registry = new HashAlgorithmRegistry();
+      assert.throws(() => registry.register({ id: 'broken', version: 1 }), /Invalid hash algorithm/);
+      assert.equal(registry.has('broken'), false);
+    });
+
+    it('registers, lists and looks up algorithms', () => {
+      const registry = new HashAlgorithmRegistry();
+      const algorithm = { id: 'test', version: 2, label: 'Test', bits: () => 4, compute: () => '0101' };
+      registry.register(algorithm);
+      assert.equal(registry.get('test'), algorithm);
+      assert.equal(registry.get('missing'), null);
+      assert.deepEqual(registry.list(), [algorithm]);
+    });
+
+    it('keys hashes by algorithm id and version', () => {
+      assert.equal(HashAlgorithmRegistry.key('phash', 1), 'phash@1');
+      assert.equal(HashAlgorithmRegistry.key('dhash', 2), 'dhash@2');
+    });
+
+    it('leaves the standard geometry out of keys', () => {
+      assert.equal(HashAlgorithmRegistry.key('phash', 1, { id: 'standard', version: 1 }), 'phash@1');
+      assert.equal(HashAlgorithmRegistry.key('phash', 1, { id: 'strict', version: 1 }), 'phash@1/strict@1');
+    });
+  });
+});
@@ -0,0 +1,191 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HASH_CONFIG } from '../../esm-src/constants.js';
+import { HashUtils } from '../../esm-src/utils/hash.js';
+import { createLogger, createMatrix, flipBits, randomHash } from '../helpers.js';
+
+const HASH = '9c3a5e71d2b4f086';
+
+describe('HashUtils', () => {
+  const hashUtils = new HashUtils(createLogger());
+
+  describe('computeHashFromMatrix', () => {
+    it('returns a hex hash for every registered algorithm', () => {
+      for (const algorithm of ['phash', 'dhash', 'ahash', 'whash']) {
+        assert.match(hashUtils.computeHashFromMatrix(createMatrix(32), algorithm), /^[0-9a-f]{16}$/);
+      }
+    });
+
+    it('sizes hashes for the geometry', () => {
+      assert.match(hashUtils.computeHashFromMatrix(createMatrix(64), 'dhash', 'strict'), /^[0-9a-f]{64}$/);
+    });
+
+    it('is deterministic', () => {
+      const matrix = createMatrix(32);
+      assert.equal(hashUtils.computePHashFromMatrix(matrix), hashUtils.computePHashFromMatrix(matrix));
+    });
+
+    it('returns null for a matrix of the wrong size or an unknown algorithm', () => {
+      assert.equal(hashUtils.computeHashFromMatrix(createMatrix(16), 'phash'), null);
+      assert.equal(hashUtils.computeHashFromMatrix(createMatrix(32), 'unknown'), null);
+    });
+  });
+
+  describe('algorithm keys', () => {
+    it('defaults entries without an algorithm to pHash v1', () => {
+      assert.equal(hashUtils.getEntryAlgorithmKey({}), 'phash@1');
+      assert.equal(hashUtils.getEntryAlgorithmKey({ algorithm: 'dhash', algorithmVersion: 1 }), 'dhash@1');
+      assert.equal(hashUtils.getAlgorithmKey('ahash'), 'ahash@1');
+      assert.equal(hashUtils.getEntryAlgorithmKey({ algorithm: 'dhash', geometry: 'strict' }), 'dhash@1/strict@1');
+      assert.equal(hashUtils.getAlgorithmKey('ahash', 'strict'), 'ahash@1/strict@1');
+    });
+  });
+
+  describe('hammingDistance', () => {
+    it('counts differing bits of hex hashes', () => {
+      assert.equal(hashUtils.hammingDistance(HASH, HASH), 0);
+      assert.equal(hashUtils.hammingDistance(HASH, flipBits(HASH, [0, 9, 63])), 3);
+    });
+
+    it('compares legacy binary hashes with their hex form', () => {
+      const legacy = hashUtils.toBitString(HASH, 'phash');
+      assert.equal(legacy.length, 63);
+      assert.equal(hashUtils.hammingDistance(legacy, HASH), 0);
+    });
+
+    it('accepts packed words', () => {
+      assert.equal(hashUtils.hammingDistance(hashUtils.toPacked(HASH), flipBits(HASH, [5])), 1);
+    });
+
+    it('returns Infinity for missing, unrecognized or differently sized hashes', () => {
+      assert.equal(hashUtils.hammingDistance(HASH, null), Infinity);
+      assert.equal(hashUtils.hammingDistance(HASH, 'not a hash'), Infinity);
+      assert.equal(hashUtils.hammingDistance(HASH, HASH.repeat(4)), Infinity);
+    });
+  });
+
+  describe('scaleThreshold / areHashesSimilar', () => {
+    it('scales thresholds with the hash length', () => {
+      assert.equal(hashUtils.scaleThreshold(12, HASH), 12);
+      assert.equal(hashUtils.scaleThreshold(12, HASH.repeat(4)), 48);
+    });
+
+    it('matches hashes within the threshold', () => {
+      const threshold = HASH_CONFIG.HAMMING_THRESHOLD;
+      const positions = Array.from({ length: threshold + 1 }, (_, i) => i * 4);
+      assert.equal(hashUtils.areHashesSimilar(HASH, flipBits(HASH, positions.slice(0, threshold))), true);
+      assert.equal(hashUtils.areHashesSimilar(HASH, flipBits(HASH, positions)), false);
+    });
+  });
+
+  describe('compareHashSequences', () => {
+    const sequence = Array.from({ length: 10 }, (_, i) => randomHash(i + 1));
+
+    it('matches an aligned run with a few bits off per frame', () => {
+      const result = hashUtils.compareHashSequences(sequence, sequence.map((hash, i) => flipBits(hash, [i, i + 20])));
+      assert.equal(result.comparedFrames, 10);
+      assert.equal(result.score, 1);
+      assert.equal(result.averageDistance, 2);
+    });
+
+    it('scores a partial match by the share of close frames', () => {
+      const candidate = sequence.map((hash, i) => (i < 5 ? hash : randomHash(100 + i)));
+      const result = hashUtils.compareHashSequences(sequence, candidate);
+      assert.equal(result.matchedFrames, 5);
+      assert.equal(result.score, 0.5);
+    });
+
+    it('skips missing frames and compares the overlapping length only', () => {
+      const other = 'ffffffffffffffff';
+      const result = hashUtils.compareHashSequences([HASH, HASH, null, HASH], [HASH, other, HASH, flipBits(HASH, [1]), HASH]);
+      assert.equal(result.comparedFrames, 3);
+      assert.equal(result.matchedFrames, 2);
+      assert.equal(result.score, 2 / 3);
+    });
+
+    it('scores nothing for non-arrays', () => {
+      assert.equal(hashUtils.compareHashSequences(null, [HASH]).score, 0);
+    });
+  });
+
+  describe('findHashSubsequence', () => {
+    const clip = Array.from({ length: 4 }, (_, i) => randomHash(i + 1));
+
+    it('finds the offset of a clip inside a longer sequence', () => {
+      const haystack = [randomHash(50), randomHash(51), randomHash(52), ...clip.map(hash => flipBits(hash, [7])), randomHash(53)];
+      const best = hashUtils.findHashSubsequence(clip, haystack);
+      assert.equal(best.offset, 3);
+      assert.equal(best.score, 1);
+      assert.equal(best.averageDistance, 1);
+    });
+
+    it('reports the best partial alignment when no run matches fully', () => {
+      const haystack = [randomHash(50), clip[0], clip[1], randomHash(51), randomHash(52)];
+      const best = hashUtils.findHashSubsequence(clip, haystack);
+      assert.equal(best.offset, 1);
+      assert.equal(best.score, 0.5);
+    });
+
+    it('compares a haystack shorter than the needle at offset 0', () => {
+      const best = hashUtils.findHashSubsequence(clip, clip.slice(0, 2));
+      assert.equal(best.offset, 0);
+      assert.equal(best.comparedFrames, 2);
+    });
+
+    it('returns null for empty input', () => {
+      assert.equal(hashUtils.findHashSubsequence([], [HASH]), null);
+      assert.equal(hashUtils.findHashSubsequence([HASH], null), null);
+    });
+  });
+
+  describe('matchHashSet', () => {
+    const pool = Array.from({ length: 6 }, (_, i) => randomHash(i + 1));
+
+    it('finds each frame anywhere in the pool', () => {
+      const result = hashUtils.matchHashSet([flipBits(pool[4], [1]), flipBits(pool[0], [2, 3]), null], pool);
+      assert.equal(result.comparedFrames, 2);
+      assert.equal(result.score, 1);
+      assert.equal(result.averageDistance, 1.5);
+    });
+
+    it('scores the share of frames with a close frame in the pool', () => {
+      const result = hashUtils.matchHashSet([pool[1], randomHash(100), randomHash(101), pool[3]], [...pool, null]);
+      assert.equal(result.matchedFrames, 2);
+      assert.equal(result.score, 0.5);
+    });
+
+    it('returns a zero score when nothing is comparable', () => {
+      assert.equal(hashUtils.matchHashSet([HASH], []).score, 0);
+      assert.equal(hashUtils.matchHashSet(null, pool).comparedFrames, 0);
+    });
+  });
+
+  describe('isTrivialHash / validateHash', () => {
+    it('flags uniform and unrecognized hashes', () => {
+      assert.equal(hashUtils.isTrivialHash('0'.repeat(16)), true);
+      assert.equal(hashUtils.isTrivialHash('not a hash'), true);
+      assert.equal(hashUtils.isTrivialHash(HASH), false);
+    });
+
+    it('decides on the signal entropy when a histogram is given', () => {
+      assert.equal(hashUtils.isTrivialHash(HASH, 'phash', [100, 0, 0, 0]), true);
+      assert.equal(hashUtils.isTrivialHash('0'.repeat(16), 'phash', [25, 25, 25, 25]), false);
+    });
+
+    it('accepts hashes of any geometry of the algorithm', () => {
+      assert.equal(hashUtils.validateHash(HASH).valid, true);
+      assert.equal(hashUtils.validateHash(HASH.repeat(4)).valid, true);
+      assert.equal(hashUtils.validateHash(HASH.repeat(2)).valid, false);
+    });
+  });
+
+  describe('calculateEntropy', () => {
+    it('measures binary strings and normalizes histograms to 0-1', () => {
+      assert.equal(hashUtils.calculateEntropy('0000'), 0);
+      assert.equal(hashUtils.calculateEntropy('0101'), 1);
+      assert.equal(hashUtils.calculateEntropy([1, 1, 1, 1]), 1);
+      assert.equal(hashUtils.calculateEntropy([4, 0]), 0);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseMediaId } from '../../esm-src/utils/media-id.js';
+
+describe('parseMediaId', () => {
+  it('reads video IDs from video and thumbnail URLs', () => {
+    assert.equal(parseMediaId('https://video.twimg.com/ext_tw_video/1712345678901234567/pu/vid/avc1/720x1280/a.mp4?tag=12'),
+      'video:1712345678901234567');
+    assert.equal(parseMediaId('https://video.twimg.com/amplify_video/1698765432109876543/vid/avc1/1280x720/b.mp4'),
+      'video:1698765432109876543');
+    assert.equal(parseMediaId('https://pbs.twimg.com/ext_tw_video_thumb/1712345678901234567/pu/img/c.jpg'),
+      'video:1712345678901234567');
+    assert.equal(parseMediaId('https://pbs.twimg.com/amplify_video_thumb/1698765432109876543/img/d.jpg'),
+      'video:1698765432109876543');
+  });
+
+  it('reads GIF names from the video and its thumbnail', () => {
+    assert.equal(parseMediaId('https://video.twimg.com/tweet_video/GxAbc-12_z.mp4'), 'gif:GxAbc-12_z');
+    assert.equal(parseMediaId('https://pbs.twimg.com/tweet_video_thumb/GxAbc-12_z.jpg'), 'gif:GxAbc-12_z');
+  });
+
+  it('reads photo names without the format', () => {
+    assert.equal(parseMediaId('https://pbs.twimg.com/media/F1a2B3c4D5e?format=jpg&name=small'), 'photo:F1a2B3c4D5e');
+  });
+
+  it('ignores other hosts, paths and malformed URLs', () => {
+    for (const src of [
+      'https://example.com/ext_tw_video/1712345678901234567/pu/vid/a.mp4',
+      'https://video.twimg.com/ext_tw_video/abc/pu/vid/a.mp4',
+      'https://video.twimg.com/ext_tw_video/1712345678901234567',
+      'https://pbs.twimg.com/profile_images/123/avatar.jpg',
+      'https://pbs.twimg.com/card_img/123/abc?format=jpg',
+      'blob:https://x.com/6c1e1a52-3a43-4f7e-9d0c-2f6ba3b8f0aa',
+      'not a url',
+      '',
+      null
+    ]) {
+      assert.equal(parseMediaId(src), null, String(src));
+    }
+  });
+});
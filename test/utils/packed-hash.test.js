@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  bitsToHex,
+  getEntryHashBits,
+  hexToBits,
+  hexToWords,
+  isHexHash,
+  isLegacyBinaryHash,
+  normalizeHash,
+  packLegacyEntry,
+  popcount32,
+  wordsHammingDistance
+} from '../../esm-src/utils/packed-hash.js';
+
+const BITS_63 = '1'.repeat(30) + '0'.repeat(33);
+const BITS_64 = '10'.repeat(32);
+
+describe('packed-hash', () => {
+  describe('bitsToHex / hexToBits', () => {
+    it('round-trips whole nibbles', () => {
+      assert.equal(bitsToHex(BITS_64), 'a'.repeat(16));
+      assert.equal(hexToBits('a'.repeat(16)), BITS_64);
+    });
+
+    it('pads a partial last nibble and drops the padding again', () => {
+      const hex = bitsToHex(BITS_63);
+      assert.equal(hex.length, 16);
+      assert.equal(hexToBits(hex, 63), BITS_63);
+    });
+  });
+
+  describe('hexToWords', () => {
+    it('packs 8 hex digits per word, zero-padding the last one', () => {
+      assert.deepEqual(Array.from(hexToWords('ffffffff0f')), [0xffffffff, 0x0f000000]);
+    });
+  });
+
+  describe('popcount32 / wordsHammingDistance', () => {
+    it('counts set bits', () => {
+      assert.equal(popcount32(0), 0);
+      assert.equal(popcount32(0xffffffff), 32);
+      assert.equal(popcount32(0x80000001), 2);
+    });
+
+    it('measures differing bits between packed hashes', () => {
+      const distance = wordsHammingDistance(hexToWords('f0f0f0f0f0f0f0f0'), hexToWords('f0f0f0f0f0f0f0f1'));
+      assert.equal(distance, 1);
+    });
+
+    it('treats hashes of different sizes as incomparable', () => {
+      assert.equal(wordsHammingDistance(hexToWords('ff'.repeat(8)), hexToWords('ff'.repeat(32))), Infinity);
+    });
+  });
+
+  describe('getEntryHashBits', () => {
+    it('uses the entry algorithm and geometry, defaulting to standard pHash', () => {
+      assert.equal(getEntryHashBits({}), 63);
+      assert.equal(getEntryHashBits({ algorithm: 'dhash' }), 64);
+      assert.equal(getEntryHashBits({ algorithm: 'phash', geometry: 'strict' }), 255);
+    });
+
+    it('returns null for unregistered algorithms', () => {
+      assert.equal(getEntryHashBits({ algorithm: 'unknown' }), null);
+    });
+  });
+
+  describe('isLegacyBinaryHash', () => {
+    it('matches the bit count when one is given', () => {
+      assert.equal(isLegacyBinaryHash(BITS_64, 64), true);
+      assert.equal(isLegacyBinaryHash(BITS_64, 256), false);
+    });
+
+    it('accepts standard legacy lengths that no hex hash has', () => {
+      assert.equal(isLegacyBinaryHash(BITS_63), true);
+    });
+
+    it('takes lengths shared with strict hex hashes as hex', () => {
+      assert.equal(isLegacyBinaryHash(BITS_64), false);
+      assert.equal(isHexHash(BITS_64), true);
+    });
+
+    it('rejects non-binary strings and non-strings', () => {
+      assert.equal(isLegacyBinaryHash('a'.repeat(63)), false);
+      assert.equal(isLegacyBinaryHash(null), false);
+    });
+  });
+
+  describe('isLegacyBinaryHash / normalizeHash', () => {
+    it('converts legacy hashes and keeps hex hashes', () => {
+      assert.equal(isLegacyBinaryHash(BITS_63), true);
+      assert.equal(normalizeHash(BITS_63), bitsToHex(BITS_63));
+      assert.equal(isHexHash('0123abcd'), true);
+      assert.equal(normalizeHash('0123abcd'), '0123abcd');
+    });
+
+    it('returns null for unrecognized input', () => {
+      assert.equal(isLegacyBinaryHash(null), false);
+      assert.equal(normalizeHash('XYZ'), null);
+      assert.equal(normalizeHash('ABCDEF'), null);
+    });
+  });
+
+  describe('packLegacyEntry', () => {
+    it('converts the hash and frame hashes and stamps the version', () => {
+      const entry = { hash: BITS_63, frameHashes: [BITS_63, null] };
+      assert.deepEqual(packLegacyEntry(entry, '2.0'), {
+        hash: bitsToHex(BITS_63),
+        frameHashes: [bitsToHex(BITS_63), null],
+        version: '2.0'
+      });
+    });
+
+    it('returns hex entries unchanged', () => {
+      const entry = { hash: 'abcdef0123456789' };
+      assert.equal(packLegacyEntry(entry, '2.0'), entry);
+    });
+
+    it('leaves strict hex entries made only of 0 and 1 digits alone', () => {
+      const entry = { hash: BITS_64, algorithm: 'dhash', geometry: 'strict' };
+      assert.equal(packLegacyEntry(entry, '2.0'), entry);
+    });
+  });
+});
@@ -1,6 +1,6 @@
 import fs from "fs";
 import path, { resolve } from "path";
-import { defineConfig } from "vite";
+import { build, defineConfig } from "vite";
 
 export default defineConfig({
 	build: {
@@ -9,7 +9,7 @@ export default defineConfig({
 		rollupOptions: {
 					input: {
 						content: resolve(__dirname, "esm-src/content.js"),
-						options: resolve(__dirname, "options/options.js"),
+						background: resolve(__dirname, "esm-src/background.js"),
 					},
 			output: {
 				entryFileNames: "[name].js",
@@ -46,7 +46,11 @@ export default defineConfig({
 							description:
 								"Control+Click videos on Twitter/X to fingerprint and block matching videos in your feed.",
 							permissions: ["storage", "activeTab"],
+							host_permissions: ["https://pbs.twimg.com/*"],
 							options_page: "options/options.html",
+							background: {
+								service_worker: "background.js",
+							},
 							icons: {
 								16: "icon.png",
 								48: "icon.png",
@@ -81,7 +85,8 @@ export default defineConfig({
 						const filePath = path.join(optionsDir, file);
 						const stats = fs.statSync(filePath);
 
-						if (stats.isFile()) {
+						// options.js is bundled separately (see build-options-page)
+						if (stats.isFile() && file !== "options.js") {
 							const content = fs.readFileSync(filePath, "utf8");
 							this.emitFile({
 								type: "asset",
@@ -118,5 +123,32 @@ export default defineConfig({
 				}
 			},
 		},
+		{
+			// The options page imports modules the content script also uses. Bundled
+			// with the other entries, they would be split into a chunk the
+			// (non-module) content script cannot load, so it gets its own build.
+			name: "build-options-page",
+			apply: "build",
+			async closeBundle() {
+				await build({
+					configFile: false,
+					logLevel: "warn",
+					publicDir: false,
+					build: {
+						outDir: resolve(__dirname, "dist/options"),
+						emptyOutDir: false,
+						target: "es2020",
+						minify: false,
+						sourcemap: true,
+						lib: {
+							entry: resolve(__dirname, "options/options.js"),
+							formats: ["iife"],
+							name: "videoBlockerOptions",
+							fileName: () => "options.js",
+						},
+					},
+				});
+			},
+		},
 	],
 });